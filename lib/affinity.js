@@ -0,0 +1,57 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { affinityKeys } from './scoring.js';
+
+// Reading affinity: for every domain, author and topic cluster, how often
+// documents from it were read versus left unopened. Each rate is smoothed
+// toward neutral (50%) with config.affinity.priorWeight pseudo-observations,
+// so one or two documents barely move it, then scaled to ±maxPoints:
+//
+//   rate   = (read + priorWeight / 2) / (read + skipped + priorWeight)
+//   points = round(maxPoints × (2 × rate − 1))
+
+const DIMENSIONS = ['domain', 'author', 'cluster'];
+
+/**
+ * Points for one domain, author or cluster.
+ *
+ * @param {number} read
+ * @param {number} skipped
+ * @param {{ priorWeight: number, maxPoints: number }} settings - config.affinity
+ * @returns {number}
+ */
+export function affinityPoints(read, skipped, { priorWeight, maxPoints }) {
+  const rate = (read + priorWeight / 2) / (read + skipped + priorWeight);
+  // `|| 0` turns -0 into 0
+  return Math.round(maxPoints * (2 * rate - 1)) || 0;
+}
+
+/**
+ * Learn affinity weights from documents that were read and ones that were
+ * skipped. A document in both lists counts as read.
+ *
+ * @param {{ read: object[], skipped: object[] }} signals - Reader documents
+ * @param {{ config?: object, learnedAt?: string }} [options]
+ * @returns {{ learnedAt: string, read: number, skipped: number,
+ *   weights: Record<string, Record<string, { read: number, skipped: number, points: number }>> }}
+ */
+export function buildAffinityModel({ read, skipped }, { config = DEFAULT_CONFIG, learnedAt = new Date().toISOString() } = {}) {
+  const readIds = new Set(read.map(doc => doc.id));
+  const skippedDocs = skipped.filter(doc => !readIds.has(doc.id));
+  const weights = Object.fromEntries(DIMENSIONS.map(dimension => [dimension, {}]));
+
+  const count = (doc, field) => {
+    for (const [dimension, key] of affinityKeys(doc, { config })) {
+      const weight = (weights[dimension][key] ||= { read: 0, skipped: 0, points: 0 });
+      weight[field]++;
+    }
+  };
+  read.forEach(doc => count(doc, 'read'));
+  skippedDocs.forEach(doc => count(doc, 'skipped'));
+
+  for (const byKey of Object.values(weights)) {
+    for (const weight of Object.values(byKey)) {
+      weight.points = affinityPoints(weight.read, weight.skipped, config.affinity);
+    }
+  }
+  return { learnedAt, read: read.length, skipped: skippedDocs.length, weights };
+}
@@ -0,0 +1,65 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { createRateLimiter } from './ratelimit.js';
+
+/**
+ * Client for one AgentMail inbox.
+ *
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.apiBase]
+ * @param {string} [options.inboxId]
+ * @param {Function} [options.transport] - fetch-compatible, see createTransport()
+ * @param {object} [options.limiter] - From createRateLimiter(); AgentMail calls are
+ *   retried but not paced
+ */
+export function createAgentMailClient({
+  apiKey,
+  apiBase = DEFAULT_CONFIG.agentmail.apiBase,
+  inboxId = DEFAULT_CONFIG.agentmail.inboxId,
+  transport = globalThis.fetch,
+  limiter = createRateLimiter(),
+}) {
+  async function request(path, options = {}) {
+    const url = `${apiBase}${path}`;
+    const res = await limiter.run('agentmail', () => transport(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    }));
+    if (!res.ok) {
+      const txt = await res.text();
+      throw new Error(`AgentMail API error ${res.status}: ${txt}`);
+    }
+    return res.json();
+  }
+
+  async function fetchUnreadThreads() {
+    const resp = await request(`/inboxes/${inboxId}/threads?labels=unread&limit=50`);
+    const threads = resp.threads || resp.items || resp || [];
+    return Array.isArray(threads) ? threads : [];
+  }
+
+  function fetchThread(threadId) {
+    return request(`/inboxes/${inboxId}/threads/${threadId}`);
+  }
+
+  function markThreadRead(threadId) {
+    return request(`/inboxes/${inboxId}/threads/${threadId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ labels: [] }),
+    });
+  }
+
+  // Send from this inbox; resolves to AgentMail's { message_id, thread_id }
+  function sendMessage({ to, subject, text, html, labels = [] }) {
+    return request(`/inboxes/${inboxId}/messages/send`, {
+      method: 'POST',
+      body: JSON.stringify({ to, subject, text, html, labels }),
+    });
+  }
+
+  return { inboxId, request, fetchUnreadThreads, fetchThread, markThreadRead, sendMessage };
+}
@@ -0,0 +1,91 @@
+// Reading-time budget for the Shortlist: instead of the top `cap` documents,
+// the highest-scoring set whose reading time fits in the day's minutes
+// (config.shortlist.budget). Reading time comes from word_count, at a slower
+// rate for categories such as video, podcasts and PDFs.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Largest budget accepted, from the CLI or config: a day
+export const MAX_BUDGET_MINUTES = 24 * 60;
+
+/**
+ * Minutes it takes to get through a document, or null without a word count.
+ *
+ * @param {object} doc - Reader document
+ * @param {{ config: object }} options
+ * @returns {number|null} Whole minutes, at least 1
+ */
+export function readingMinutes(doc, { config }) {
+  if (!doc.word_count) return null;
+  const { wordsPerMinute, categoryWordsPerMinute } = config.shortlist.budget;
+  const rate = categoryWordsPerMinute[doc.category] ?? wordsPerMinute;
+  return Math.max(1, Math.ceil(doc.word_count / rate));
+}
+
+/**
+ * Today's reading budget, or null when shortlisting uses the cap. An explicit
+ * `minutes` (shortlist --budget) turns budget mode on for the run.
+ *
+ * @param {{ config: object, clock: { now(): number }, minutes?: number|null }} options
+ * @returns {{ minutes: number, day: string, source: string }|null}
+ */
+export function shortlistBudget({ config, clock, minutes = null }) {
+  const budget = config.shortlist.budget;
+  const day = WEEKDAYS[new Date(clock.now()).getDay()];
+  if (minutes !== null) return { minutes, day, source: '--budget' };
+  if (!budget.enabled) return null;
+  const forDay = budget.weekdays[day];
+  return forDay === undefined
+    ? { minutes: budget.minutes, day, source: 'every day' }
+    : { minutes: forDay, day, source: day };
+}
+
+/**
+ * Pick the candidates with the largest total effective score whose minutes fit
+ * in `minutes` (0/1 knapsack over whole minutes). Candidates need `minutes`
+ * and `effectiveScore`; ones scoring 0 or less are never picked.
+ *
+ * @param {object[]} candidates
+ * @param {number} budget - Minutes
+ * @returns {object[]} The picked candidates, in the order given
+ */
+export function pickWithinBudget(candidates, budget) {
+  const items = candidates.filter(c => c.effectiveScore > 0 && c.minutes <= budget);
+  // No table wider than the picks could ever fill
+  const minutes = Math.min(budget, items.reduce((sum, item) => sum + item.minutes, 0));
+  const width = minutes + 1;
+  // best[m]: highest total score within m minutes using the items so far;
+  // took[i * width + m]: whether item i is in that best set
+  const best = new Float64Array(width);
+  const took = new Uint8Array(items.length * width);
+  items.forEach((item, i) => {
+    for (let m = minutes; m >= item.minutes; m--) {
+      const withItem = best[m - item.minutes] + item.effectiveScore;
+      if (withItem > best[m]) {
+        best[m] = withItem;
+        took[i * width + m] = 1;
+      }
+    }
+  });
+  const picked = new Set();
+  let left = minutes;
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (took[i * width + left]) {
+      picked.add(items[i]);
+      left -= items[i].minutes;
+    }
+  }
+  return candidates.filter(c => picked.has(c));
+}
+
+/**
+ * "1 h 25 min" style.
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const rest = minutes % 60;
+  return `${Math.floor(minutes / 60)} h${rest ? ` ${rest} min` : ''}`;
+}
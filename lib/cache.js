@@ -0,0 +1,41 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+// Run-to-run state (processed Feed docs, last Shortlist run, ...) as a plain
+// object in `data`, persisted with save().
+
+/**
+ * Cache backed by a JSON file.
+ *
+ * @param {string} file
+ * @param {{ load?: boolean, persist?: boolean }} [options] - load: false starts
+ *   empty (--no-cache); persist: false makes save() a no-op (--dry-run)
+ * @returns {{ data: object, save(): void }}
+ */
+export function createFileCache(file, { load = true, persist = true } = {}) {
+  let data = { processed: {} };
+  if (load && existsSync(file)) {
+    try {
+      data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch {
+      data = { processed: {} };
+    }
+  }
+  data.processed ||= {};
+  return {
+    data,
+    save() {
+      if (persist) writeFileSync(file, JSON.stringify(data, null, 2));
+    },
+  };
+}
+
+/**
+ * In-memory cache, for library callers and tests.
+ *
+ * @param {object} [data]
+ * @returns {{ data: object, save(): void }}
+ */
+export function createMemoryCache(data = {}) {
+  data.processed ||= {};
+  return { data, save() {} };
+}
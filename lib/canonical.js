@@ -0,0 +1,49 @@
+import { normalizeNewsletterUrl } from './newsletter.js';
+import { ledgerKey } from './ledger.js';
+
+// One key per article however its URL was dressed up: tracking parameters,
+// http vs. https, "www.", mobile hosts and the AMP variants publishers and
+// Google serve. Used to find copies of the same document in Reader.
+
+const MOBILE_HOST_PREFIXES = /^(m|mobile|amp)\./i;
+const AMP_QUERY_PARAMS = ['amp', 'outputType', 'amp_js_v', 'usqp', '_gsa'];
+
+// AMP caches wrap the publisher URL in their own path
+function unwrapAmpCache(urlObj) {
+  const cache = urlObj.hostname.endsWith('.cdn.ampproject.org') && urlObj.pathname.match(/^\/[cv]\/(s\/)?(.+)$/);
+  const google = urlObj.hostname.replace(/^www\./, '').match(/^google\.[a-z.]+$/) && urlObj.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+  const match = cache || google;
+  if (!match) return null;
+  return `${match[1] ? 'https' : 'http'}://${match[2]}${urlObj.search}`;
+}
+
+function stripAmp(urlObj) {
+  urlObj.hostname = urlObj.hostname.replace(MOBILE_HOST_PREFIXES, '');
+  urlObj.pathname = urlObj.pathname
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/\.amp(\.html?)?$/i, (_, ext) => ext || '')
+    .replace(/^\/amp\//i, '/');
+  for (const param of AMP_QUERY_PARAMS) urlObj.searchParams.delete(param);
+  return urlObj;
+}
+
+/**
+ * The URL an article is known by across copies: normalized like newsletter
+ * links (see normalizeNewsletterUrl()), then AMP caches unwrapped and AMP
+ * paths, AMP query parameters and mobile hosts ("m.", "mobile.", "amp.")
+ * dropped. Scheme, "www." and trailing slash are ignored as in ledgerKey().
+ *
+ * @param {string} url
+ * @returns {string|null} A comparison key such as "example.com/story", or null
+ */
+export function canonicalUrl(url) {
+  let normalized = normalizeNewsletterUrl(url);
+  if (!normalized) return null;
+  for (let i = 0; i < 2; i++) {
+    const unwrapped = unwrapAmpCache(new URL(normalized));
+    if (!unwrapped) break;
+    normalized = normalizeNewsletterUrl(unwrapped);
+    if (!normalized) return null;
+  }
+  return ledgerKey(stripAmp(new URL(normalized)).toString());
+}
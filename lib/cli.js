@@ -0,0 +1,444 @@
+import { TRANSPORT_MODES } from './transport.js';
+import { MAX_BUDGET_MINUTES } from './budget.js';
+
+// Command-line grammar for process-feed.js: global options, then one or more
+// commands, each followed by its own options. Commands run in the order given:
+//
+//   process-feed.js --dry-run ingest --feeds shortlist prune --days=45
+//
+// Every option has a type and is checked before anything runs. A value comes
+// from the flag, else its environment variable, else its config file key,
+// else the built-in default.
+//
+// Commands with `snapshotFirst` move or archive documents; a live run takes a
+// snapshot before the first of them (see config.snapshot). `plannable` ones
+// can follow `plan`.
+
+const PROGRAM = 'process-feed.js';
+
+export const GLOBAL_OPTIONS = {
+  config: { type: 'string', placeholder: 'path', env: 'READER_CONFIG', description: 'JSON config file; reader.config.json is used if present' },
+  'dry-run': { type: 'boolean', env: 'READER_DRY_RUN', description: 'Show what would happen without making changes' },
+  verbose: { type: 'boolean', env: 'READER_VERBOSE', description: 'Show each document being processed' },
+  'no-cache': { type: 'boolean', description: 'Ignore the cache and reprocess all documents' },
+  'full-resync': { type: 'boolean', description: 'Rebuild the local document mirror from scratch' },
+  transport: { type: 'enum', values: TRANSPORT_MODES, env: 'READER_TRANSPORT', default: 'live', description: 'Talk to the APIs, record the traffic, or replay recorded fixtures' },
+  fixtures: { type: 'string', placeholder: 'dir', env: 'READER_FIXTURES', description: 'Fixture directory for record and replay; fixtures/recorded if unset' },
+  confirm: { type: 'integer', min: 1, placeholder: 'N', description: 'Allow up to N changes this run, above the guardrail caps' },
+  report: { type: 'enum', values: ['json', 'markdown'], description: 'Print a run report to stdout; logs move to stderr' },
+  help: { type: 'boolean', description: 'Show help, for the program or the command it follows' },
+};
+
+export const COMMANDS = {
+  feed: {
+    summary: 'Triage Feed with feed.rules (the default when no command is given)',
+    snapshotFirst: true,
+    plannable: true,
+    options: {
+      limit: { type: 'integer', min: 1, placeholder: 'N', description: 'Only process the first N documents' },
+      since: { type: 'integer', min: 1, placeholder: 'days', description: 'Skip documents created more than this many days ago' },
+      'archive-skipped': { type: 'boolean', env: 'READER_ARCHIVE_SKIPPED', config: 'feed.archiveSkipped', description: 'Archive documents whose rule leaves them in Feed' },
+    },
+  },
+  ingest: {
+    summary: 'Save links from newsletters and new entries from subscribed feeds to Later',
+    plannable: true,
+    options: {
+      newsletters: { type: 'boolean', description: 'Ingest newsletters (the default unless --feeds is given)' },
+      feeds: { type: 'boolean', description: 'Ingest feeds (the default unless --newsletters is given, when an OPML file is configured)' },
+      source: { type: 'list', placeholder: 'type:path', description: 'Newsletter source, replacing ingest.sources (repeatable)' },
+      opml: { type: 'string', placeholder: 'path', config: 'ingest.opml', description: 'Feed subscription list' },
+      'resolve-redirects': { type: 'boolean', env: 'READER_RESOLVE_REDIRECTS', config: 'ingest.redirects.enabled', description: 'Follow click-tracker links to find the article behind them' },
+    },
+  },
+  shortlist: {
+    summary: 'Rescore the Shortlist and changed Later items and promote or demote',
+    snapshotFirst: true,
+    plannable: true,
+    options: {
+      budget: { type: 'integer', min: 1, max: MAX_BUDGET_MINUTES, placeholder: 'minutes', env: 'READER_SHORTLIST_BUDGET', description: 'Fill the Shortlist to this much reading time instead of the cap or the configured budget' },
+    },
+  },
+  nuke: {
+    summary: 'Archive everything in Later saved more than N days ago, except protected documents',
+    snapshotFirst: true,
+    plannable: true,
+    options: {
+      days: { type: 'integer', min: 1, placeholder: 'N', aliases: ['nuke-days'], env: 'READER_NUKE_DAYS', config: 'nuke.days', description: 'Age in days after which Later items are archived' },
+    },
+  },
+  prune: {
+    summary: 'Archive Feed and Later documents not opened in N days',
+    snapshotFirst: true,
+    plannable: true,
+    options: {
+      days: { type: 'integer', min: 1, placeholder: 'N', aliases: ['stale-days'], env: 'READER_STALE_DAYS', config: 'prune.days', description: 'Days without being opened after which a document is archived' },
+    },
+  },
+  'archive-later': {
+    summary: 'Archive every document in Later',
+    snapshotFirst: true,
+    plannable: true,
+    options: {},
+  },
+  dedupe: {
+    summary: 'Archive extra copies of the same article across Feed, Later and Shortlist',
+    snapshotFirst: true,
+    plannable: true,
+    options: {},
+  },
+  digest: {
+    summary: 'Email the Shortlist as a reading plan through AgentMail',
+    options: {
+      to: { type: 'list', split: true, placeholder: 'address', env: 'DIGEST_TO', config: 'digest.to', description: 'Recipient (repeatable, or comma-separated)' },
+    },
+  },
+  snapshot: {
+    summary: 'Save every document\'s location, tags, notes and progress to JSON and CSV',
+    options: {
+      out: { type: 'string', placeholder: 'file', description: 'JSON file to write, with the CSV beside it (default: snapshot-<run>.json in snapshot.dir)' },
+    },
+  },
+  restore: {
+    summary: 'List snapshots, or put documents back where one recorded them',
+    options: {
+      snapshot: { type: 'string', placeholder: 'file', description: 'Snapshot JSON to restore' },
+    },
+  },
+  plan: {
+    summary: 'Write the changes the commands after it would make to a plan file, changing nothing',
+    options: {
+      out: { type: 'string', placeholder: 'file', default: 'reader-plan.json', description: 'Plan file to write' },
+    },
+  },
+  apply: {
+    summary: 'Make the changes in a plan file, skipping documents changed since it was written',
+    snapshotFirst: true,
+    args: [{ name: 'plan-file', required: true }],
+    options: {},
+  },
+  undo: {
+    summary: 'List journaled runs, or revert one with --run',
+    options: {
+      run: { type: 'string', placeholder: 'id', description: 'Run to revert' },
+    },
+  },
+  explain: {
+    summary: 'Show why a document did or did not make the Shortlist',
+    args: [{ name: 'docId|url', required: true }],
+    options: {},
+  },
+  serve: {
+    summary: 'Run the review dashboard: the pending Shortlist, near misses and archiving, with decisions for the next run',
+    options: {
+      port: { type: 'integer', min: 1, max: 65535, placeholder: 'N', env: 'READER_SERVE_PORT', config: 'review.port', description: 'Port to listen on' },
+      host: { type: 'string', placeholder: 'address', config: 'review.host', description: 'Address to listen on' },
+    },
+  },
+  affinity: {
+    summary: 'Relearn reading affinity and print the strongest weights',
+    options: {},
+  },
+  profiles: {
+    summary: 'List newsletter profiles, or test which links one extracts from an email',
+    args: [{ name: 'test', values: ['test'] }, { name: 'eml-file' }],
+    options: {
+      'resolve-redirects': { type: 'boolean', env: 'READER_RESOLVE_REDIRECTS', config: 'ingest.redirects.enabled', description: 'Follow click-tracker links when testing an email' },
+    },
+  },
+  help: {
+    summary: 'Show help for a command',
+    args: [{ name: 'command', command: true }],
+    options: {},
+  },
+};
+
+// Flag-only invocations from before subcommands existed. `starts` flags pick
+// the stages, which run in their old order; the others only set options, and
+// the feed run is the default when no stage was picked.
+const LEGACY_FLAGS = {
+  'ingest-newsletters': { command: 'ingest', option: 'newsletters', starts: true },
+  'ingest-feeds': { command: 'ingest', option: 'feeds', starts: true },
+  source: { command: 'ingest', option: 'source' },
+  opml: { command: 'ingest', option: 'opml' },
+  'resolve-redirects': { command: 'ingest', option: 'resolve-redirects' },
+  shortlist: { command: 'shortlist', starts: true },
+  'nuke-later': { command: 'nuke', starts: true },
+  'nuke-days': { command: 'nuke', option: 'days' },
+  'prune-stale': { command: 'prune', starts: true },
+  'stale-days': { command: 'prune', option: 'days' },
+  'archive-later': { command: 'archive-later', starts: true },
+  limit: { command: 'feed', option: 'limit' },
+  since: { command: 'feed', option: 'since' },
+  'archive-skipped': { command: 'feed', option: 'archive-skipped' },
+};
+const LEGACY_ORDER = ['ingest', 'shortlist', 'nuke', 'prune', 'archive-later'];
+
+function splitFlag(arg) {
+  const eq = arg.indexOf('=');
+  return eq === -1 ? [arg.slice(2), undefined] : [arg.slice(2, eq), arg.slice(eq + 1)];
+}
+
+function findOption(options, name) {
+  if (options[name]) return name;
+  return Object.keys(options).find(key => options[key].aliases?.includes(name)) ?? null;
+}
+
+function helpHint(command) {
+  return command ? `Run "${PROGRAM} ${command} --help" for its options.` : `Run "${PROGRAM} --help" for usage.`;
+}
+
+// A flag's value: true for a bare boolean, a list of strings for a list
+function addFlag(flags, name, spec, raw) {
+  if (spec.type === 'list') {
+    flags[name] = [...(flags[name] || []), raw];
+  } else {
+    flags[name] = spec.type === 'boolean' && raw === undefined ? true : raw;
+  }
+}
+
+/**
+ * Split argv into global flags and an ordered list of commands with their
+ * flags and arguments. Only names are checked here; values are checked by
+ * resolveOptions(). Runs that use the old flag-only style (--shortlist,
+ * --prune-stale, ...) are translated into commands, and `equivalent` spells
+ * them out the new way.
+ *
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {{ global: Record<string, any>, commands: { name: string, flags: Record<string, any>, args: string[] }[],
+ *   help: string|true|null, legacy: boolean, equivalent: string|null }}
+ * @throws {Error} For unknown commands and options, and misplaced arguments
+ */
+export function parseCommandLine(argv) {
+  const global = {};
+  const commands = [];
+  const legacyFlags = [];
+  let help = null;
+  let current = null;
+
+  for (const arg of argv) {
+    if (arg.startsWith('--')) {
+      const [name, raw] = splitFlag(arg);
+      const own = current && findOption(COMMANDS[current.name].options, name);
+      if (own) {
+        addFlag(current.flags, own, COMMANDS[current.name].options[own], raw);
+      } else if (name === 'help') {
+        help = current ? current.name : true;
+      } else if (GLOBAL_OPTIONS[name]) {
+        addFlag(global, name, GLOBAL_OPTIONS[name], raw);
+      } else if (!current && LEGACY_FLAGS[name]) {
+        legacyFlags.push([name, raw]);
+      } else if (current) {
+        throw new Error(`Unknown option --${name} for "${current.name}". ${helpHint(current.name)}`);
+      } else {
+        throw new Error(`Unknown option --${name}. ${helpHint(null)}`);
+      }
+      continue;
+    }
+
+    // A required argument takes any word; otherwise a command name starts the next command
+    const next = current && COMMANDS[current.name].args?.[current.args.length];
+    if (next && (next.required || next.command || !COMMANDS[arg])) {
+      current.args.push(arg);
+    } else if (COMMANDS[arg]) {
+      current = { name: arg, flags: {}, args: [] };
+      commands.push(current);
+    } else if (current) {
+      throw new Error(`Unexpected argument "${arg}" for "${current.name}". ${helpHint(current.name)}`);
+    } else {
+      throw new Error(`Unknown command "${arg}". ${helpHint(null)}`);
+    }
+  }
+
+  if (legacyFlags.length > 0 && commands.length > 0) {
+    const flags = legacyFlags.map(([name]) => `--${name}`).join(', ');
+    throw new Error(`${flags} must follow the command it belongs to. ${helpHint(null)}`);
+  }
+
+  const legacy = legacyFlags.length > 0;
+  if (legacy) {
+    const byName = new Map(['feed', ...LEGACY_ORDER].map(name => [name, { name, flags: {}, args: [] }]));
+    const started = new Set();
+    for (const [flag, raw] of legacyFlags) {
+      const { command, option, starts } = LEGACY_FLAGS[flag];
+      if (option) addFlag(byName.get(command).flags, option, COMMANDS[command].options[option], raw);
+      if (starts) started.add(command);
+    }
+    const run = started.size > 0 ? LEGACY_ORDER.filter(name => started.has(name)) : ['feed'];
+    for (const [flag] of legacyFlags) {
+      const { command } = LEGACY_FLAGS[flag];
+      if (!run.includes(command)) throw new Error(`--${flag} does nothing here: it belongs to "${command}", which this run does not include. ${helpHint(null)}`);
+    }
+    commands.push(...run.map(name => byName.get(name)));
+  }
+
+  // `help <command>` is the same as `<command> --help`
+  const helpIndex = commands.findIndex(c => c.name === 'help');
+  if (helpIndex !== -1) {
+    help = commands[helpIndex].args[0] ?? true;
+    commands.splice(helpIndex, 1);
+  }
+  if (help === true && commands.length === 1) help = commands[0].name;
+  if (help) return { global, commands, help, legacy, equivalent: null };
+  if (commands.length === 0) commands.push({ name: 'feed', flags: {}, args: [] });
+
+  // `plan` comes first and plans the commands after it, feed by default
+  if (commands.some(c => c.name === 'plan')) {
+    if (commands[0].name !== 'plan' || commands.filter(c => c.name === 'plan').length > 1) {
+      throw new Error(`"plan" must come first, once: plan <command>... ${helpHint('plan')}`);
+    }
+    const unplannable = commands.slice(1).find(c => !COMMANDS[c.name].plannable);
+    if (unplannable) {
+      const plannable = Object.keys(COMMANDS).filter(name => COMMANDS[name].plannable).join(', ');
+      throw new Error(`"${unplannable.name}" cannot be planned; plan takes ${plannable}`);
+    }
+    if (commands.length === 1) commands.push({ name: 'feed', flags: {}, args: [] });
+  }
+
+  for (const { name, args } of commands) {
+    for (const [i, spec] of (COMMANDS[name].args || []).entries()) {
+      if (spec.required && args[i] === undefined) throw new Error(`"${name}" needs <${spec.name}>. ${helpHint(name)}`);
+      if (spec.values && args[i] !== undefined && !spec.values.includes(args[i])) {
+        throw new Error(`Unexpected argument "${args[i]}" for "${name}". ${helpHint(name)}`);
+      }
+    }
+  }
+
+  return { global, commands, help, legacy, equivalent: legacy ? formatCommands(commands) : null };
+}
+
+function formatCommands(commands) {
+  const parts = [];
+  for (const { name, flags } of commands) {
+    parts.push(name);
+    for (const [flag, value] of Object.entries(flags)) {
+      const values = Array.isArray(value) ? value : [value];
+      parts.push(...values.map(v => (v === true ? `--${flag}` : `--${flag}=${v}`)));
+    }
+  }
+  return parts.join(' ');
+}
+
+// ─── Values ──────────────────────────────────────────────────────────────────
+
+const TRUE_WORDS = ['true', '1', 'yes', 'on'];
+const FALSE_WORDS = ['false', '0', 'no', 'off'];
+
+function parseValue(spec, raw, label) {
+  switch (spec.type) {
+    case 'boolean':
+      if (raw === true) return true;
+      if (TRUE_WORDS.includes(String(raw).toLowerCase())) return true;
+      if (FALSE_WORDS.includes(String(raw).toLowerCase())) return false;
+      throw new Error(`${label}: expected true or false, got "${raw}"`);
+    case 'integer': {
+      const value = /^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN;
+      const inRange = Number.isSafeInteger(value)
+        && (spec.min === undefined || value >= spec.min)
+        && (spec.max === undefined || value <= spec.max);
+      if (!inRange) {
+        const bounds = `${spec.min !== undefined ? ` >= ${spec.min}` : ''}${spec.max !== undefined ? ` <= ${spec.max}` : ''}`;
+        throw new Error(`${label}: expected an integer${bounds}, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'enum':
+      if (!spec.values.includes(raw)) throw new Error(`${label}: expected one of ${spec.values.map(v => `"${v}"`).join(', ')}, got "${raw}"`);
+      return raw;
+    case 'list': {
+      const values = (Array.isArray(raw) ? raw : [raw])
+        .flatMap(v => (spec.split ? String(v ?? '').split(',') : [String(v ?? '')]))
+        .map(v => v.trim())
+        .filter(Boolean);
+      if (values.length === 0) throw new Error(`${label}: expected a value`);
+      return values;
+    }
+    default:
+      if (raw === undefined || raw === true || raw === '') throw new Error(`${label}: expected a value, as ${label}=<${spec.placeholder || 'value'}>`);
+      return raw;
+  }
+}
+
+function configValue(config, path) {
+  return path.split('.').reduce((value, key) => value?.[key], config);
+}
+
+/**
+ * Typed option values, each from the first place that has one: the flag, its
+ * environment variable, its config key, then its default. Options with none
+ * of these are left out.
+ *
+ * @param {Record<string, object>} options - GLOBAL_OPTIONS or COMMANDS[name].options
+ * @param {Record<string, any>} flags - From parseCommandLine()
+ * @param {{ env?: Record<string, string|undefined>, config?: object|null }} [sources]
+ * @returns {{ values: Record<string, any>, from: Record<string, 'flag'|'env'|'config'|'default'> }}
+ * @throws {Error} Naming the flag or variable whose value is invalid
+ */
+export function resolveOptions(options, flags, { env = process.env, config = null } = {}) {
+  const values = {};
+  const from = {};
+  for (const [name, spec] of Object.entries(options)) {
+    if (flags[name] !== undefined) {
+      values[name] = parseValue(spec, flags[name], `--${name}`);
+      from[name] = 'flag';
+    } else if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+      values[name] = parseValue(spec, env[spec.env], spec.env);
+      from[name] = 'env';
+    } else if (spec.config && config && configValue(config, spec.config) !== undefined) {
+      values[name] = configValue(config, spec.config);
+      from[name] = 'config';
+    } else if (spec.default !== undefined) {
+      values[name] = spec.default;
+      from[name] = 'default';
+    }
+  }
+  return { values, from };
+}
+
+// ─── Help ────────────────────────────────────────────────────────────────────
+
+function optionLines(options, config) {
+  const rows = Object.entries(options).map(([name, spec]) => {
+    let flag = `--${name}`;
+    if (spec.type === 'enum') flag += `=${spec.values.join('|')}`;
+    else if (spec.type !== 'boolean') flag += `=<${spec.placeholder || 'value'}>`;
+    const sources = [
+      spec.env && `env ${spec.env}`,
+      spec.config && `config ${spec.config}${config ? ` = ${JSON.stringify(configValue(config, spec.config) ?? 'none')}` : ''}`,
+      spec.default !== undefined && `default ${spec.default}`,
+      spec.aliases && `also ${spec.aliases.map(a => `--${a}`).join(', ')}`,
+    ].filter(Boolean);
+    return [flag, spec.description + (sources.length > 0 ? ` (${sources.join('; ')})` : '')];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, text]) => `  ${flag.padEnd(width)}  ${text}`);
+}
+
+/**
+ * Help text for the program, or for one command.
+ *
+ * @param {string|null} [command]
+ * @param {{ config?: object|null }} [options] - Shows the config value behind each option
+ * @returns {string}
+ */
+export function formatHelp(command = null, { config = null } = {}) {
+  if (command && !COMMANDS[command]) throw new Error(`Unknown command "${command}". ${helpHint(null)}`);
+  const lines = [];
+  if (command) {
+    const spec = COMMANDS[command];
+    const args = (spec.args || []).map(a => (a.required ? `<${a.name}>` : `[${a.name}]`)).join(' ');
+    lines.push(`Usage: ${PROGRAM} [global options] ${command}${args ? ` ${args}` : ''}${Object.keys(spec.options).length > 0 ? ' [options]' : ''}`, '', spec.summary);
+    if (Object.keys(spec.options).length > 0) lines.push('', 'Options:', ...optionLines(spec.options, config));
+    lines.push('', `Values come from the flag, then the environment, then the config file. Global options: ${PROGRAM} --help`);
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(`Usage: ${PROGRAM} [global options] [command [options]]...`, '');
+  lines.push('Commands run in the order given, each followed by its own options:', `  ${PROGRAM} ingest --feeds shortlist prune --days=45`, '');
+  lines.push('Commands:');
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  for (const [name, spec] of Object.entries(COMMANDS)) lines.push(`  ${name.padEnd(width)}  ${spec.summary}`);
+  lines.push('', 'Global options:', ...optionLines(GLOBAL_OPTIONS, config));
+  lines.push('', `Values come from the flag, then the environment, then the config file. ${helpHint('<command>')}`);
+  return lines.join('\n') + '\n';
+}
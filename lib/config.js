@@ -0,0 +1,638 @@
+import { readFileSync } from 'fs';
+import { WEEKDAYS, MAX_BUDGET_MINUTES } from './budget.js';
+
+// Everything that drives triage can be overridden from a versioned JSON file
+// (--config=path, or reader.config.json next to process-feed.js). File values are
+// merged over DEFAULT_CONFIG: objects merge key by key, lists are replaced
+// outright or patched with { "add": [...], "remove": [...] }.
+
+export const CONFIG_VERSION = 1;
+
+export const DEFAULT_CONFIG = {
+  version: CONFIG_VERSION,
+  readMarker: '📖 READ',
+  readwise: {
+    apiBase: 'https://readwise.io/api/v3',
+    // Requests per minute for each endpoint group (Readwise's published limits)
+    rateLimits: { list: 20, update: 50, save: 50 },
+    burst: 1,       // requests a group may make back to back before pacing kicks in
+    concurrency: 4, // requests in flight at once
+    retry: { maxRetries: 5, baseDelayMs: 1000, maxDelayMs: 60000 },
+  },
+  agentmail: {
+    apiBase: 'https://api.agentmail.to/v0',
+    inboxId: 'jungalowassistant@agentmail.to',
+  },
+
+  // Feed triage: first matching rule wins, defaultAction applies when none match.
+  // recheck rules are re-evaluated next run unless they moved the doc.
+  feed: {
+    rules: [
+      { name: 'awaiting-ghostreader', match: { hasSummary: false }, recheck: true },
+      { name: 'read-marker', match: { readMarker: true }, action: { location: 'later' } },
+    ],
+    defaultAction: {},
+    archiveSkipped: false, // archive docs whose rule leaves them in Feed
+  },
+
+  // Limits on what one run may change, and documents archiving never touches
+  // (see lib/guardrails.js). --confirm=<count> raises the caps for one run.
+  guardrails: {
+    maxChangesPerRun: 500,
+    // Per journal op; ops not listed only count toward the run cap
+    maxChangesPerOperation: { prune: 200, nuke: 200, 'archive-later': 200, dedupe: 200, 'feed-rule': 300 },
+    protect: {
+      tags: ['shortlist', 'keep'],
+      domains: [],
+      locations: [],
+      highlights: true,      // any highlight
+      notes: true,           // a note the reader wrote
+      partialProgress: true, // started but not finished
+    },
+  },
+
+  // Copies of where documents were (see lib/snapshot.js). Live runs of a
+  // command that moves documents save one first, keeping the newest `keep`.
+  snapshot: {
+    auto: true,
+    dir: '.snapshots', // relative to the config file
+    keep: 10,
+    locations: ['feed', 'later', 'shortlist'], // add 'archive' for everything
+  },
+
+  // Defaults for the prune and nuke commands (--days overrides)
+  prune: { days: 30 }, // archive Feed/Later docs not opened in this many days
+  nuke: { days: 30 },  // archive Later docs saved more than this many days ago
+
+  shortlist: {
+    threshold: 50,
+    cap: 20,
+    decayDays: 10,        // untouched for this many days → decay penalty
+    decayPenalty: 15,     // points deducted for stale items
+    heavyFormatExtra: 10, // videos/PDFs must beat threshold + this
+    nearDuplicateThreshold: 0.25, // title+summary similarity (0-1) that makes two docs one story
+    // Reading-time budget (see lib/budget.js): when enabled, the Shortlist is
+    // the highest-scoring set that fits in the day's minutes instead of the
+    // top `cap`. Days are the machine's local weekdays.
+    budget: {
+      enabled: false,
+      minutes: 60,  // days without their own entry in weekdays
+      weekdays: {}, // e.g. { "sat": 180, "sun": 180 }
+      wordsPerMinute: 230,
+      categoryWordsPerMinute: { video: 150, podcast: 150, pdf: 150 },
+      unsizedMinutes: 5, // documents without a word count
+    },
+  },
+
+  // Points learned from reading history (see lib/affinity.js): domains, authors
+  // and topic clusters that get read earn them, ones left unopened lose them
+  affinity: {
+    enabled: true,
+    lookbackDays: 90,   // archive and journal history to learn from
+    readProgress: 0.75, // archived at least this far through counts as read
+    priorWeight: 5,     // pseudo-observations pulling every weight toward neutral
+    maxPoints: 10,      // largest boost or penalty per domain, author or cluster
+    refreshHours: 24,   // relearn when the saved model is older than this
+  },
+
+  trustedDomains: [
+    // Quality tech / product
+    'stratechery.com', 'paulgraham.com', 'waitbutwhy.com', 'every.to',
+    'ben-evans.com', 'lenny.substack.com', 'lennysnewsletter.com', 'morningbrew.com',
+    'hbr.org', 'firstround.com', 'a16z.com', 'sequoiacap.com',
+    // General quality
+    'nytimes.com', 'theatlantic.com', 'newyorker.com', 'noahpinion.substack.com',
+    'bloomberg.com', 'wsj.com', 'economist.com', 'ft.com',
+    // Tech news
+    'techcrunch.com', 'theverge.com', 'wired.com', 'arstechnica.com',
+    'simonwillison.net', 'macstories.net', 'daringfireball.net',
+  ],
+
+  spamTitleSignals: [
+    'digest', 'weekly', 'vol.', 'issue', 'roundup',
+    'links i loved', "what i'm reading", 'newsletter', 'edition',
+    'this week in', 'weekend reads', 'morning links',
+  ],
+
+  // Reference/how-to content → Library tag, not Shortlist
+  librarySignals: [
+    'how to ', 'guide to', 'framework for', 'template for', 'cheat sheet',
+    'reference guide', 'step by step', 'tutorial', 'handbook', 'playbook',
+    'getting started', 'complete guide', 'beginners guide', 'crash course',
+  ],
+
+  // Topic clusters for diversity enforcement
+  topicClusters: {
+    ai_ml: ['artificial intelligence', ' ai ', 'llm', 'machine learning', 'gpt',
+      'claude', 'openai', 'anthropic', 'neural network', 'foundation model',
+      'ai agent', 'chatgpt', 'gemini', 'language model'],
+    product: ['product manager', 'product management', 'product strategy', 'roadmap',
+      'user research', 'product market fit', 'prioritization', 'sprint', 'backlog'],
+    startup_vc: ['startup', 'venture capital', 'fundraising', 'seed round', 'series a',
+      'series b', 'founder', ' vc ', 'valuation', 'exit strategy', 'ipo'],
+    org_leadership: ['org design', 'leadership', 'management', 'company culture',
+      'team building', 'hiring', 'performance review', 'executive', 'ceo', 'strategy'],
+    writing_ideas: ['writing', 'essay', 'mental model', 'decision making', 'cognitive bias',
+      'reasoning', 'thinking clearly', 'philosophy'],
+  },
+
+  // Where newsletter ingestion reads from (see lib/sources/index.js), and the
+  // OPML subscription list for feed ingestion; paths are relative to the
+  // config file. Feed ingestion saves at most maxNewPerFeed entries per feed
+  // per run, newest first; older unseen entries are only marked seen.
+  ingest: {
+    sources: [{ type: 'agentmail' }],
+    opml: null,
+    maxNewPerFeed: 5,
+    feedTimeoutMs: 15000,
+    // Archived documents count as already in Reader for this many days after
+    // they last changed (see recordReaderDocuments)
+    archiveLedgerDays: 90,
+    // Opt-in (--resolve-redirects): links matching trackerPatterns are
+    // followed to their destination, which is then judged like any other link
+    redirects: {
+      enabled: false,
+      trackerPatterns: [
+        /link\.mail\.beehiiv\.com/i, /click\.ghost\./i, /ghost\.io\/r\//i, /\/track\//i,
+        /tracking\./i, /substack\.com\/redirect\//i, /click\.convertkit-mail\d*\.com/i,
+      ],
+      maxHops: 5,
+      timeoutMs: 5000,
+    },
+  },
+
+  // Shortlist digest email (see lib/stages/digest.js), sent from agentmail.inboxId
+  digest: {
+    to: [],                  // recipients; --to overrides
+    subject: 'Reading plan for {date}: {count} on the Shortlist',
+    decayWarningDays: 2,     // flag items this close to decaying
+  },
+
+  // Review dashboard (`serve`, see lib/stages/serve.js) and how its decisions
+  // count (see lib/decisions.js). Decisions are kept in decisionsFile,
+  // relative to the config file, for committing alongside it. With
+  // requireApproval, prune and nuke archive only documents approved in the
+  // dashboard.
+  review: {
+    host: '127.0.0.1',
+    port: 8790,
+    nearMissPoints: 10,    // Later docs this close below the threshold are listed
+    requireApproval: false,
+    decisionsFile: 'reader-decisions.json',
+  },
+
+  // Run notifications (see lib/notify.js). Webhooks whose urlEnv is unset are
+  // skipped, so these only fire once the secret is configured
+  notify: {
+    webhooks: [
+      { name: 'slack', urlEnv: 'SLACK_WEBHOOK_URL', format: 'slack', on: 'change' },
+      { name: 'webhook', urlEnv: 'NOTIFY_WEBHOOK_URL', format: 'json', on: 'always' },
+    ],
+    timeoutMs: 10000,
+  },
+
+  // Extra newsletter profile modules (see lib/newsletter-profiles.js), relative
+  // to the config file
+  profilesDir: null,
+
+  // Hard junk-link suppression
+  skipUrlPatterns: [
+    /unsubscribe/i, /manage.*subscription/i, /manage-preferences/i, /optout/i, /opt-out/i,
+    /welcome/i, /confirm/i, /confirmation/i, /forward/i, /share/i,
+    /\/track\//i, /tracking\./i, /trk=/i,
+    /mail\.beehiiv\.com/i, /link\.mail\.beehiiv\.com/i,
+    /lists\./i, /campaign\./i,
+    /mailto:/i, /\.gif($|\?)/i, /\.png($|\?)/i, /\.jpe?g($|\?)/i, /\.webp($|\?)/i,
+    /^https:\/\/(www\.)?google\.com\/amp\//i,
+    /^https:\/\/(www\.)?google\.com\/url/i,
+    /^https:\/\/(www\.)?facebook\.com/i,
+    /^https:\/\/(www\.)?(twitter|x)\.com/i,
+    /^https:\/\/(www\.)?instagram\.com/i,
+    /^https:\/\/(www\.)?linkedin\.com/i,
+    /^https:\/\/(www\.)?youtube\.com/i,
+    /^https:\/\/(www\.)?tiktok\.com/i,
+    // Substack infra — skip everything except real post pages
+    /substack\.com\/(subscribe|account|login|profile|inbox|app|app-link|redirect|podcast|people|publish|archive|home)(\/|$)/i,
+    /substack\.com\/@/i,
+    /substackcdn\.com/i,
+    /substack\.com\/redirect/i,
+    // Mailchimp infra
+    /list-manage\.com/i,
+    /forward-to-friend\.com/i,
+    /mailchimp\.com/i,
+    /mcsv\.net/i,
+    // Newsletter nav/promo links
+    /thebrowser\.com\/(about|subscribe|gift|account|login|archive|archives)(\/|$)/i,
+    /nextdraft\.com\/(about|why|scream|archives\/page)(\/|$)/i,
+    /longreads\.com\/(about|subscribe|donate|store|tag|category|page|newsletter)(\/|$)/i,
+    /managingeditor\.substack\.com\/(about|subscribe|account)(\/|$)/i,
+    // Tracking pixels and redirectors
+    /\/open\?token=/i,
+    /click\.ghost\./i,
+    /ghost\.io\/r\//i,
+  ],
+};
+
+// Leaf types: string, integer, number, boolean, enum, pattern.
+// Containers: object, map, list (stringList and patternList are shorthands).
+const RANGE_SPEC = {
+  type: 'object',
+  fields: {
+    min: { type: 'number' },
+    max: { type: 'number' },
+  },
+};
+
+const FEED_RULE_SPEC = {
+  type: 'object',
+  required: ['name'],
+  fields: {
+    name: { type: 'string' },
+    recheck: { type: 'boolean' },
+    match: {
+      type: 'object',
+      fields: {
+        domain: { type: 'stringList' },
+        category: { type: 'stringList' },
+        tags: { type: 'stringList' },
+        author: { type: 'pattern' },
+        title: { type: 'pattern' },
+        summary: { type: 'pattern' },
+        notes: { type: 'pattern' },
+        wordCount: RANGE_SPEC,
+        score: RANGE_SPEC,
+        hasSummary: { type: 'boolean' },
+        readMarker: { type: 'boolean' },
+      },
+    },
+    action: {
+      type: 'object',
+      fields: {
+        location: { type: 'enum', values: ['later', 'shortlist', 'archive'] },
+        addTags: { type: 'stringList' },
+        appendNote: { type: 'string' },
+      },
+    },
+  },
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  fields: {
+    version: { type: 'integer', min: CONFIG_VERSION, max: CONFIG_VERSION },
+    readMarker: { type: 'string' },
+    profilesDir: { type: 'string' },
+    ingest: {
+      type: 'object',
+      fields: {
+        sources: {
+          type: 'list',
+          items: {
+            type: 'object',
+            fields: {
+              type: { type: 'enum', values: ['agentmail', 'eml', 'mbox', 'maildir'] },
+              path: { type: 'string' },
+            },
+            required: ['type'],
+          },
+        },
+        opml: { type: 'string' },
+        maxNewPerFeed: { type: 'integer', min: 1 },
+        feedTimeoutMs: { type: 'integer', min: 1000 },
+        archiveLedgerDays: { type: 'integer', min: 1 },
+        redirects: {
+          type: 'object',
+          fields: {
+            enabled: { type: 'boolean' },
+            trackerPatterns: { type: 'patternList' },
+            maxHops: { type: 'integer', min: 1, max: 20 },
+            timeoutMs: { type: 'integer', min: 500 },
+          },
+        },
+      },
+    },
+    readwise: {
+      type: 'object',
+      fields: {
+        apiBase: { type: 'string' },
+        rateLimits: {
+          type: 'object',
+          fields: {
+            list: { type: 'integer', min: 1 },
+            update: { type: 'integer', min: 1 },
+            save: { type: 'integer', min: 1 },
+          },
+        },
+        burst: { type: 'integer', min: 1 },
+        concurrency: { type: 'integer', min: 1, max: 20 },
+        retry: {
+          type: 'object',
+          fields: {
+            maxRetries: { type: 'integer', min: 0, max: 10 },
+            baseDelayMs: { type: 'integer', min: 0 },
+            maxDelayMs: { type: 'integer', min: 0 },
+          },
+        },
+      },
+    },
+    agentmail: {
+      type: 'object',
+      fields: {
+        apiBase: { type: 'string' },
+        inboxId: { type: 'string' },
+      },
+    },
+    feed: {
+      type: 'object',
+      fields: {
+        rules: { type: 'list', items: FEED_RULE_SPEC },
+        defaultAction: FEED_RULE_SPEC.fields.action,
+        archiveSkipped: { type: 'boolean' },
+      },
+    },
+    guardrails: {
+      type: 'object',
+      fields: {
+        maxChangesPerRun: { type: 'integer', min: 0 },
+        maxChangesPerOperation: { type: 'map', values: { type: 'integer', min: 0 } },
+        protect: {
+          type: 'object',
+          fields: {
+            tags: { type: 'stringList' },
+            domains: { type: 'stringList' },
+            locations: { type: 'stringList' },
+            highlights: { type: 'boolean' },
+            notes: { type: 'boolean' },
+            partialProgress: { type: 'boolean' },
+          },
+        },
+      },
+    },
+    snapshot: {
+      type: 'object',
+      fields: {
+        auto: { type: 'boolean' },
+        dir: { type: 'string' },
+        keep: { type: 'integer', min: 1 },
+        locations: { type: 'list', items: { type: 'enum', values: ['new', 'later', 'shortlist', 'archive', 'feed'] } },
+      },
+    },
+    prune: { type: 'object', fields: { days: { type: 'integer', min: 1 } } },
+    nuke: { type: 'object', fields: { days: { type: 'integer', min: 1 } } },
+    shortlist: {
+      type: 'object',
+      fields: {
+        threshold: { type: 'integer' },
+        cap: { type: 'integer', min: 1 },
+        decayDays: { type: 'integer', min: 0 },
+        decayPenalty: { type: 'integer', min: 0 },
+        heavyFormatExtra: { type: 'integer', min: 0 },
+        nearDuplicateThreshold: { type: 'number', min: 0, max: 1 },
+        budget: {
+          type: 'object',
+          fields: {
+            enabled: { type: 'boolean' },
+            minutes: { type: 'integer', min: 1, max: MAX_BUDGET_MINUTES },
+            weekdays: {
+              type: 'object',
+              fields: Object.fromEntries(WEEKDAYS.map(day => [day, { type: 'integer', min: 0, max: MAX_BUDGET_MINUTES }])),
+            },
+            wordsPerMinute: { type: 'integer', min: 50 },
+            categoryWordsPerMinute: { type: 'map', values: { type: 'integer', min: 1 } },
+            unsizedMinutes: { type: 'integer', min: 1 },
+          },
+        },
+      },
+    },
+    affinity: {
+      type: 'object',
+      fields: {
+        enabled: { type: 'boolean' },
+        lookbackDays: { type: 'integer', min: 1 },
+        readProgress: { type: 'number', min: 0, max: 1 },
+        priorWeight: { type: 'number', min: 0 },
+        maxPoints: { type: 'integer', min: 0 },
+        refreshHours: { type: 'number', min: 0 },
+      },
+    },
+    digest: {
+      type: 'object',
+      fields: {
+        to: { type: 'stringList' },
+        subject: { type: 'string' },
+        decayWarningDays: { type: 'integer', min: 0 },
+      },
+    },
+    review: {
+      type: 'object',
+      fields: {
+        host: { type: 'string' },
+        port: { type: 'integer', min: 1, max: 65535 },
+        nearMissPoints: { type: 'integer', min: 0 },
+        requireApproval: { type: 'boolean' },
+        decisionsFile: { type: 'string' },
+      },
+    },
+    notify: {
+      type: 'object',
+      fields: {
+        webhooks: {
+          type: 'list',
+          items: {
+            type: 'object',
+            fields: {
+              name: { type: 'string' },
+              url: { type: 'string' },
+              urlEnv: { type: 'string' },
+              format: { type: 'enum', values: ['json', 'slack'] },
+              on: { type: 'enum', values: ['always', 'change', 'error'] },
+            },
+          },
+        },
+        timeoutMs: { type: 'integer', min: 1000 },
+      },
+    },
+    trustedDomains: { type: 'stringList' },
+    spamTitleSignals: { type: 'stringList' },
+    librarySignals: { type: 'stringList' },
+    topicClusters: { type: 'map', values: { type: 'stringList' } },
+    skipUrlPatterns: { type: 'patternList' },
+  },
+};
+
+const LIST_ITEM_SPECS = {
+  stringList: { type: 'string' },
+  patternList: { type: 'pattern' },
+};
+
+function describeValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+// Key used by { "remove": [...] }: a pattern's source, a rule's name, an
+// ingestion source as "type" or "type:path", or the string itself
+function listItemKey(item) {
+  if (item instanceof RegExp) return item.source;
+  if (item && typeof item === 'object') return item.name ?? (item.path ? `${item.type}:${item.path}` : item.type);
+  return item;
+}
+
+function resolveList(spec, base, raw, path, errors) {
+  const itemSpec = spec.items || LIST_ITEM_SPECS[spec.type];
+  const resolveItems = (items, itemsPath, itemResolver) => {
+    if (!Array.isArray(items)) {
+      errors.push(`${itemsPath}: expected a list, got ${describeValue(items)}`);
+      return [];
+    }
+    return items
+      .map((item, i) => itemResolver(item, `${itemsPath}[${i}]`))
+      .filter(item => item !== undefined);
+  };
+  const resolveItem = (item, itemPath) => resolveConfigValue(itemSpec, undefined, item, itemPath, errors);
+  const resolveKey = (item, itemPath) => resolveConfigValue({ type: 'string' }, undefined, item, itemPath, errors);
+
+  if (Array.isArray(raw)) return resolveItems(raw, path, resolveItem);
+
+  if (raw && typeof raw === 'object') {
+    for (const key of Object.keys(raw)) {
+      if (key !== 'add' && key !== 'remove') errors.push(`${path}.${key}: unknown key (expected "add" or "remove")`);
+    }
+    const added = raw.add === undefined ? [] : resolveItems(raw.add, `${path}.add`, resolveItem);
+    const removed = new Set(raw.remove === undefined ? [] : resolveItems(raw.remove, `${path}.remove`, resolveKey));
+    return [...base.filter(item => !removed.has(listItemKey(item))), ...added];
+  }
+
+  errors.push(`${path}: expected a list or { "add", "remove" }, got ${describeValue(raw)}`);
+  return base;
+}
+
+function resolveConfigValue(spec, base, raw, path, errors) {
+  if (raw === undefined) return base;
+
+  switch (spec.type) {
+    case 'object': {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push(`${path}: expected an object, got ${describeValue(raw)}`);
+        return base;
+      }
+      const result = { ...base };
+      for (const [key, value] of Object.entries(raw)) {
+        const fieldPath = path ? `${path}.${key}` : key;
+        if (!spec.fields[key]) {
+          errors.push(`${fieldPath}: unknown key`);
+          continue;
+        }
+        result[key] = resolveConfigValue(spec.fields[key], base?.[key], value, fieldPath, errors);
+      }
+      for (const key of spec.required || []) {
+        if (result[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key}: required`);
+      }
+      return result;
+    }
+    case 'map': {
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push(`${path}: expected an object, got ${describeValue(raw)}`);
+        return base;
+      }
+      const result = { ...base };
+      for (const [key, value] of Object.entries(raw)) {
+        if (value === null) {
+          delete result[key];
+          continue;
+        }
+        result[key] = resolveConfigValue(spec.values, base?.[key] || [], value, `${path}.${key}`, errors);
+      }
+      return result;
+    }
+    case 'list':
+    case 'stringList':
+    case 'patternList':
+      return resolveList(spec, base || [], raw, path, errors);
+    case 'integer':
+    case 'number': {
+      const inRange = (spec.type === 'integer' ? Number.isInteger(raw) : Number.isFinite(raw))
+        && (spec.min === undefined || raw >= spec.min)
+        && (spec.max === undefined || raw <= spec.max);
+      if (!inRange) {
+        const bounds = spec.min !== undefined && spec.min === spec.max
+          ? ` equal to ${spec.min}`
+          : `${spec.min !== undefined ? ` >= ${spec.min}` : ''}${spec.max !== undefined ? ` <= ${spec.max}` : ''}`;
+        errors.push(`${path}: expected ${spec.type === 'integer' ? 'an integer' : 'a number'}${bounds}, got ${describeValue(raw)}`);
+        return base;
+      }
+      return raw;
+    }
+    case 'boolean':
+      if (typeof raw !== 'boolean') {
+        errors.push(`${path}: expected true or false, got ${describeValue(raw)}`);
+        return base;
+      }
+      return raw;
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        errors.push(`${path}: expected one of ${spec.values.map(v => `"${v}"`).join(', ')}, got ${describeValue(raw)}`);
+        return base;
+      }
+      return raw;
+    case 'string':
+      if (typeof raw !== 'string' || !raw) {
+        errors.push(`${path}: expected a non-empty string, got ${describeValue(raw)}`);
+        return base;
+      }
+      return raw;
+    case 'pattern':
+      if (typeof raw !== 'string' || !raw) {
+        errors.push(`${path}: expected a non-empty string, got ${describeValue(raw)}`);
+        return base;
+      }
+      try {
+        return new RegExp(raw, 'i');
+      } catch (err) {
+        errors.push(`${path}: invalid regular expression (${err.message})`);
+        return base;
+      }
+    default:
+      throw new Error(`Unknown config schema type: ${spec.type}`);
+  }
+}
+
+/**
+ * Validate a parsed config object and merge it over DEFAULT_CONFIG.
+ *
+ * @param {object} raw - Parsed config file contents
+ * @param {string} [source] - Where raw came from, used in the error message
+ * @returns {object} The merged config
+ * @throws {Error} Listing every validation problem found
+ */
+export function resolveConfig(raw, source = 'config') {
+  const errors = [];
+  if (raw?.version === undefined) errors.push(`version: required (current version is ${CONFIG_VERSION})`);
+  const merged = resolveConfigValue(CONFIG_SCHEMA, DEFAULT_CONFIG, raw, '', errors);
+  const ruleNames = merged.feed.rules.map(rule => rule.name);
+  for (const name of new Set(ruleNames.filter((n, i) => ruleNames.indexOf(n) !== i))) {
+    errors.push(`feed.rules: duplicate rule name "${name}"`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+  return merged;
+}
+
+/**
+ * Read a JSON config file and merge it over DEFAULT_CONFIG. With no path the
+ * defaults are returned unchanged.
+ *
+ * @param {string|null} path
+ * @returns {object}
+ */
+export function loadConfig(path) {
+  if (!path) return DEFAULT_CONFIG;
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read config file ${path}: ${err.message}`);
+  }
+  return resolveConfig(raw, `config file ${path}`);
+}
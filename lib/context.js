@@ -0,0 +1,49 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { createMemoryCache } from './cache.js';
+import { silentLogger } from './logger.js';
+
+export const systemClock = { now: () => Date.now() };
+
+/**
+ * Fill in defaults for a pipeline stage context. Every stage takes one:
+ *
+ * - reader: client from createReaderClient() (required by Reader stages)
+ * - agentMail: client from createAgentMailClient() (ingestion only)
+ * - feedClient: from createFeedClient() (feed ingestion only)
+ * - redirectResolver: from createRedirectResolver() (optional, newsletter ingestion)
+ * - journal: from createJournal() (undo only; the Reader client writes to it)
+ * - config: merged config, defaults to DEFAULT_CONFIG
+ * - clock: { now() } in epoch ms, defaults to the system clock
+ * - cache: { data, save() }, defaults to an in-memory cache
+ * - decisions: { data, save() } holding dashboard decisions, from
+ *   createFileDecisions(); defaults to the cache
+ * - logger: { info, verbose, warn, error }, defaults to silent
+ * - dryRun: report what would change without changing it
+ * - guardrails: from createGuardrails() (optional); stages reserve their
+ *   changes with it before making any
+ *
+ * @param {object} ctx
+ * @returns {object}
+ */
+export function resolveContext(ctx = {}) {
+  const resolved = {
+    config: DEFAULT_CONFIG,
+    clock: systemClock,
+    cache: createMemoryCache(),
+    logger: silentLogger,
+    dryRun: false,
+    ...Object.fromEntries(Object.entries(ctx).filter(([, value]) => value !== undefined)),
+  };
+  resolved.decisions ??= resolved.cache;
+  return resolved;
+}
+
+export function daysSince(timestamp, clock) {
+  return Math.floor((clock.now() - new Date(timestamp)) / (1000 * 60 * 60 * 24));
+}
+
+export function daysAgo(days, clock) {
+  const cutoff = new Date(clock.now());
+  cutoff.setDate(cutoff.getDate() - days);
+  return cutoff;
+}
@@ -0,0 +1,201 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+// Review decisions made in the dashboard (see `serve`), one per document,
+// kept under `decisions` in their own file (config.review.decisionsFile, see
+// createFileDecisions) so later runs honour them:
+//
+//   pin       always on the Shortlist; never archived by prune or nuke
+//   reject    the pending action (`op`) does not happen: the document is not
+//             promoted, not demoted, or not archived (prune and nuke alike)
+//   approve   the pending action goes ahead: a candidate that missed the
+//             Shortlist is promoted; with review.requireApproval, prune and
+//             nuke archive only approved documents. Used up once carried out.
+//   override  shortlisting uses `score` instead of the computed score
+//
+// Approvals and rejections last only while their action is pending: once a
+// run finds the document no longer headed for it (moved, opened, scored
+// below the threshold), the decision is dropped. Decisions for documents
+// gone from Feed, Later and the Shortlist are dropped by the dashboard.
+
+export const DECISIONS = ['approve', 'reject', 'pin', 'override'];
+export const DECISION_OPS = ['promote', 'demote', 'prune', 'nuke'];
+
+const ARCHIVE_OPS = ['prune', 'nuke'];
+
+/**
+ * Decisions kept in a JSON file of their own rather than the cache, so they
+ * can be committed and reach scheduled runs, whose cache is restored on its
+ * own. Shaped like a cache for createDecisionStore(). reload() picks up what
+ * other runs wrote; stores created before it see the old decisions.
+ *
+ * @param {string} file
+ * @param {{ persist?: boolean }} [options] - persist: false makes save() a no-op (--dry-run, plan)
+ * @returns {{ data: { decisions: object }, reload(): void, save(): void }}
+ * @throws {Error} When the file exists but cannot be read, rather than lose its decisions
+ */
+export function createFileDecisions(file, { persist = true } = {}) {
+  function read() {
+    if (!existsSync(file)) return { decisions: {} };
+    try {
+      return { decisions: JSON.parse(readFileSync(file, 'utf8')).decisions ?? {} };
+    } catch (err) {
+      throw new Error(`Could not read decisions file ${file}: ${err.message}`);
+    }
+  }
+  const holder = {
+    data: read(),
+    reload() {
+      holder.data = read();
+    },
+    save() {
+      if (persist) writeFileSync(file, JSON.stringify(holder.data, null, 2) + '\n');
+    },
+  };
+  return holder;
+}
+
+/**
+ * @param {{ data: object }} file - From createFileDecisions(), or a cache
+ */
+export function createDecisionStore(file) {
+  const entries = (file.data.decisions ||= {});
+  return {
+    get(id) {
+      return entries[id] || null;
+    },
+    set(id, decision) {
+      entries[id] = decision;
+    },
+    clear(id) {
+      delete entries[id];
+    },
+    // Every decision with its document id, oldest first
+    all() {
+      return Object.entries(entries)
+        .map(([id, decision]) => ({ id, ...decision }))
+        .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    },
+  };
+}
+
+/**
+ * Check a decision from the dashboard and keep only what it needs.
+ *
+ * @param {{ decision: string, op?: string, score?: string|number }} input
+ * @returns {{ decision: string, op?: string, score?: number }}
+ * @throws {Error} Saying what is wrong
+ */
+export function parseDecision({ decision, op, score }) {
+  if (!DECISIONS.includes(decision)) throw new Error(`Unknown decision "${decision}"; expected one of ${DECISIONS.join(', ')}`);
+  if (decision === 'approve' || decision === 'reject') {
+    if (!DECISION_OPS.includes(op)) throw new Error(`"${decision}" needs the action it applies to: one of ${DECISION_OPS.join(', ')}`);
+    return { decision, op };
+  }
+  if (decision === 'override') {
+    const value = Number(score);
+    if (score === undefined || score === '' || !Number.isInteger(value)) throw new Error(`"override" needs a whole-number score, got "${score ?? ''}"`);
+    return { decision, score: value };
+  }
+  return { decision };
+}
+
+/**
+ * How a document's decision changes shortlisting: `forced` (why it is on the
+ * Shortlist regardless of score, diversity and cap), `blocked` (why it is
+ * not promoted), `score` (the score to use) or `stale` (the decision is about
+ * a promotion or demotion that no longer applies where the document is now).
+ *
+ * @param {ReturnType<typeof createDecisionStore>} decisions
+ * @param {object} doc
+ * @returns {{ forced?: string, blocked?: string, score?: number, stale?: boolean }}
+ */
+export function shortlistDecision(decisions, doc) {
+  const entry = decisions.get(doc.id);
+  if (!entry) return {};
+  const inLater = doc.location === 'later';
+  if (entry.decision === 'pin') return { forced: 'pinned in the dashboard' };
+  if (entry.decision === 'override') return { score: entry.score };
+  if (entry.op === 'promote' && !inLater) return { stale: true };
+  if (entry.op === 'demote' && doc.location !== 'shortlist') return { stale: true };
+  if (entry.decision === 'approve' && entry.op === 'promote') return { forced: 'promotion approved in the dashboard' };
+  if (entry.decision === 'reject' && entry.op === 'demote') return { forced: 'demotion rejected in the dashboard' };
+  if (entry.decision === 'reject' && entry.op === 'promote') return { blocked: 'promotion rejected in the dashboard' };
+  return {};
+}
+
+/**
+ * Why prune or nuke must leave a document alone because of a decision, or
+ * null when it may archive it.
+ *
+ * @param {ReturnType<typeof createDecisionStore>} decisions
+ * @param {object} doc
+ * @param {{ requireApproval?: boolean }} [review] - config.review
+ * @returns {string|null}
+ */
+export function archiveHold(decisions, doc, { requireApproval = false } = {}) {
+  const entry = decisions.get(doc.id);
+  if (entry?.decision === 'pin') return 'pinned in the dashboard';
+  if (entry?.decision === 'reject' && ARCHIVE_OPS.includes(entry.op)) return 'archiving rejected in the dashboard';
+  if (requireApproval && !(entry?.decision === 'approve' && ARCHIVE_OPS.includes(entry.op))) return 'not approved in the dashboard';
+  return null;
+}
+
+/**
+ * Whether a document's decision is an approval or rejection of `op` (prune or
+ * nuke), so that it no longer applies once the stage would leave the
+ * document alone anyway.
+ *
+ * @param {ReturnType<typeof createDecisionStore>} decisions
+ * @param {object} doc
+ * @param {string} op
+ * @returns {boolean}
+ */
+export function decidesArchive(decisions, doc, op) {
+  const entry = decisions.get(doc.id);
+  return Boolean(entry) && (entry.decision === 'approve' || entry.decision === 'reject') && entry.op === op;
+}
+
+/**
+ * Forget decisions that no longer apply.
+ *
+ * @param {ReturnType<typeof createDecisionStore>} decisions
+ * @param {string[]} ids
+ * @returns {number} Decisions dropped
+ */
+export function dropDecisions(decisions, ids) {
+  let dropped = 0;
+  for (const id of ids) {
+    if (!decisions.get(id)) continue;
+    decisions.clear(id);
+    dropped++;
+  }
+  return dropped;
+}
+
+/**
+ * Forget decisions for documents no longer in any of `presentIds`.
+ *
+ * @param {ReturnType<typeof createDecisionStore>} decisions
+ * @param {Set<string>} presentIds - Every document in the locations decisions are made about
+ * @returns {number} Decisions dropped
+ */
+export function forgetMissingDocuments(decisions, presentIds) {
+  return dropDecisions(decisions, decisions.all().map(entry => entry.id).filter(id => !presentIds.has(id)));
+}
+
+/**
+ * Forget approvals that have been carried out.
+ *
+ * @param {ReturnType<typeof createDecisionStore>} decisions
+ * @param {string[]} ids - Documents the approved action was done to
+ * @returns {number} Approvals used up
+ */
+export function consumeApprovals(decisions, ids) {
+  let used = 0;
+  for (const id of ids) {
+    if (decisions.get(id)?.decision !== 'approve') continue;
+    decisions.clear(id);
+    used++;
+  }
+  return used;
+}
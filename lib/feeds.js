@@ -0,0 +1,193 @@
+import { stripTags } from './newsletter.js';
+import { createRateLimiter } from './ratelimit.js';
+
+// Subscription lists (OPML) and the three feed formats blogs publish: RSS 2.0
+// (and RSS 1.0, which shares its <item> shape), Atom 1.0 and JSON Feed. Like
+// the newsletter HTML parsing, this reads just the elements we need with
+// regular expressions rather than building a document tree.
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Entity references and CDATA sections to text
+function xmlText(raw = '') {
+  return raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, cdata, entity) => {
+    if (cdata !== undefined) return cdata;
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  }).trim();
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const attrRe = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrRe.exec(source)) !== null) {
+    attrs[match[1].toLowerCase()] = xmlText(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+// Every <tag>…</tag> block, namespace prefixes ignored
+function elements(xml, tag) {
+  const re = new RegExp(`<(?:[\\w-]+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>)`, 'gi');
+  const found = [];
+  let match;
+  while ((match = re.exec(xml)) !== null) {
+    found.push({ attrs: parseAttributes(match[1]), body: match[2] ?? '' });
+  }
+  return found;
+}
+
+function childText(xml, tag) {
+  const [first] = elements(xml, tag);
+  return first ? xmlText(first.body) : '';
+}
+
+// The feed-level part of a document: everything before the first entry
+function feedHead(xml, entryTag) {
+  const start = xml.search(new RegExp(`<(?:[\\w-]+:)?${entryTag}\\b`, 'i'));
+  return start < 0 ? xml : xml.slice(0, start);
+}
+
+function absoluteUrl(url, base) {
+  if (!url) return null;
+  try {
+    return new URL(url, base || undefined).toString();
+  } catch {
+    return null;
+  }
+}
+
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Feed subscriptions in an OPML file, from every <outline> with an xmlUrl
+ * however deeply nested in category outlines.
+ *
+ * @param {string} xml
+ * @returns {{ title: string, xmlUrl: string, htmlUrl: string|null }[]}
+ */
+export function parseOpml(xml) {
+  if (!/<opml\b/i.test(xml)) throw new Error('Not an OPML file (no <opml> element)');
+  const feeds = [];
+  const outlineRe = /<outline\b([^>]*?)\/?>/gi;
+  let match;
+  while ((match = outlineRe.exec(xml)) !== null) {
+    const attrs = parseAttributes(match[1]);
+    if (!attrs.xmlurl) continue;
+    feeds.push({
+      title: attrs.title || attrs.text || attrs.xmlurl,
+      xmlUrl: attrs.xmlurl,
+      htmlUrl: attrs.htmlurl || null,
+    });
+  }
+  return feeds;
+}
+
+function parseJsonFeed(text, baseUrl) {
+  const feed = JSON.parse(text);
+  if (!String(feed.version || '').startsWith('https://jsonfeed.org/version/')) {
+    throw new Error('Not a JSON Feed (missing jsonfeed.org version)');
+  }
+  const base = feed.home_page_url || baseUrl;
+  const entries = (feed.items || []).map(item => {
+    const url = absoluteUrl(item.url || item.external_url, base);
+    return {
+      id: String(item.id ?? url ?? ''),
+      url,
+      title: stripTags(item.title || ''),
+      published: isoDate(item.date_published || item.date_modified),
+    };
+  });
+  return { format: 'json', title: feed.title || '', entries };
+}
+
+function parseAtom(xml, baseUrl) {
+  const entryBlocks = elements(xml, 'entry');
+  const head = feedHead(xml, 'entry');
+  const alternate = links => (links.find(l => !l.attrs.rel || l.attrs.rel === 'alternate') || {}).attrs?.href;
+  const base = absoluteUrl(alternate(elements(head, 'link')), baseUrl) || baseUrl;
+  const entries = entryBlocks.map(({ body }) => {
+    const url = absoluteUrl(alternate(elements(body, 'link')), base);
+    return {
+      id: childText(body, 'id') || url || '',
+      url,
+      title: stripTags(childText(body, 'title')),
+      published: isoDate(childText(body, 'published') || childText(body, 'updated')),
+    };
+  });
+  return { format: 'atom', title: stripTags(childText(head, 'title')), entries };
+}
+
+function parseRss(xml, baseUrl) {
+  const itemBlocks = elements(xml, 'item');
+  const head = feedHead(xml, 'item');
+  // <atom:link rel="self"/> also matches "link"; the RSS one is the one with text
+  const textLink = block => elements(block, 'link').map(l => xmlText(l.body)).find(Boolean);
+  const base = absoluteUrl(textLink(head), baseUrl) || baseUrl;
+  const entries = itemBlocks.map(({ attrs, body }) => {
+    const link = textLink(body);
+    const guid = elements(body, 'guid')[0];
+    const guidText = guid ? xmlText(guid.body) : '';
+    const guidIsLink = guid && guid.attrs.ispermalink !== 'false' && /^https?:\/\//i.test(guidText);
+    const url = absoluteUrl(link || (guidIsLink ? guidText : attrs['rdf:about']), base);
+    return {
+      id: guidText || attrs['rdf:about'] || url || '',
+      url,
+      title: stripTags(childText(body, 'title')),
+      published: isoDate(childText(body, 'pubDate') || childText(body, 'date')),
+    };
+  });
+  return { format: 'rss', title: stripTags(childText(head, 'title')), entries };
+}
+
+/**
+ * Parse an RSS 2.0/1.0, Atom 1.0 or JSON Feed document. Relative entry links
+ * are resolved against the feed's site link, then its own URL.
+ *
+ * @param {string} text - Response body
+ * @param {{ url?: string }} [options] - Where the feed was fetched from
+ * @returns {{ format: 'rss'|'atom'|'json', title: string,
+ *   entries: { id: string, url: string|null, title: string, published: string|null }[] }}
+ */
+export function parseFeed(text, { url } = {}) {
+  const body = text.replace(/^\uFEFF/, '').trim();
+  if (body.startsWith('{')) return parseJsonFeed(body, url);
+  if (/<feed\b[^>]*xmlns=["']http:\/\/www\.w3\.org\/2005\/Atom["']/i.test(body)) return parseAtom(body, url);
+  if (/<(rss|rdf:RDF)\b/i.test(body)) return parseRss(body, url);
+  throw new Error('Unrecognized feed format (expected RSS, Atom or JSON Feed)');
+}
+
+/**
+ * Fetches feeds over the same transport as the API clients, so they are
+ * recorded and replayed with them.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.transport] - fetch-compatible, see createTransport()
+ * @param {object} [options.limiter] - From createRateLimiter(); feed requests
+ *   are retried but not paced
+ * @param {number} [options.timeoutMs=15000] - Per request, so one dead blog
+ *   cannot stall the run
+ */
+export function createFeedClient({
+  transport = globalThis.fetch,
+  limiter = createRateLimiter(),
+  timeoutMs = 15000,
+} = {}) {
+  async function fetchFeed(url) {
+    const res = await limiter.run('feeds', () => transport(url, {
+      headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, */*;q=0.8' },
+      signal: AbortSignal.timeout(timeoutMs),
+    }));
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return parseFeed(await res.text(), { url });
+  }
+
+  return { fetchFeed };
+}
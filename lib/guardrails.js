@@ -0,0 +1,149 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { getDomain, hasOwnNote } from './scoring.js';
+import { silentLogger } from './logger.js';
+
+// Guardrails for unattended runs. Two kinds:
+//
+// - Caps: config.guardrails.maxChangesPerRun and maxChangesPerOperation limit
+//   how many Reader changes one run makes. Stages reserve their changes
+//   before making any (reserve()), so a run over a cap stops before it starts
+//   archiving; a live run can raise the caps with --confirm=<count>.
+// - Protection: documents that archiving stages (prune, nuke, archive-later,
+//   dedupe, archiving feed rules) never archive: protected tags, domains and
+//   locations, and documents with highlights, a note of the reader's own, or
+//   partial reading progress.
+
+/**
+ * Why a document must not be archived, or null when it may be.
+ *
+ * @param {object} doc - Reader document
+ * @param {{ config?: object, highlightCounts?: Map<string, number> }} [options]
+ * @returns {string|null}
+ */
+export function protectionReason(doc, { config = DEFAULT_CONFIG, highlightCounts = new Map() } = {}) {
+  const protect = config.guardrails.protect;
+  if (doc.location && protect.locations.includes(doc.location)) return `in protected location "${doc.location}"`;
+  const tags = Object.keys(doc.tags || {}).map(t => t.toLowerCase());
+  const tag = protect.tags.find(t => tags.includes(t.toLowerCase()));
+  if (tag) return `tagged "${tag}"`;
+  const domain = getDomain({ url: doc.source_url || doc.url });
+  const protectedDomain = protect.domains.find(d => domain === d || domain.endsWith('.' + d));
+  if (protectedDomain) return `from protected domain ${protectedDomain}`;
+  const highlights = highlightCounts.get(doc.id) || 0;
+  if (protect.highlights && highlights > 0) return `has ${highlights} highlight(s)`;
+  if (protect.notes && hasOwnNote(doc)) return 'has a note';
+  const progress = doc.reading_progress || 0;
+  if (protect.partialProgress && progress > 0 && progress < 1) return `${Math.round(progress * 100)}% read`;
+  return null;
+}
+
+/**
+ * A protectionReason() check for one stage. Highlight counts are fetched on
+ * first use, and only when highlights are protected.
+ *
+ * @param {{ reader: object, config: object }} ctx - Resolved stage context
+ * @returns {(doc: object) => Promise<string|null>}
+ */
+export function createProtectionCheck({ reader, config }) {
+  let highlightCounts = null;
+  return async doc => {
+    if (config.guardrails.protect.highlights) highlightCounts ??= await reader.fetchHighlightCounts();
+    return protectionReason(doc, { config, highlightCounts: highlightCounts ?? new Map() });
+  };
+}
+
+/**
+ * Change caps for one run.
+ *
+ * @param {object} [options]
+ * @param {object} [options.config]
+ * @param {number|null} [options.confirm] - --confirm: changes allowed this run, raising every cap to at least this
+ * @param {boolean} [options.dryRun] - Over-cap reservations warn instead of throwing
+ * @param {object} [options.logger]
+ * @returns {{ reserve(changes: Record<string, number>): void, observeReader(reader: object): object,
+ *   usage(): { total: number, byOperation: Record<string, number> } }}
+ */
+export function createGuardrails({ config = DEFAULT_CONFIG, confirm = null, dryRun = false, logger = silentLogger } = {}) {
+  const { maxChangesPerRun, maxChangesPerOperation } = config.guardrails;
+  const byOperation = {};
+  // Changes reserved in advance and not made yet, per operation
+  const reserved = {};
+  let total = 0;
+
+  const capFor = cap => Math.max(cap, confirm ?? 0);
+
+  function overCap(changes) {
+    const runTotal = total + Object.values(changes).reduce((sum, n) => sum + n, 0);
+    if (runTotal > capFor(maxChangesPerRun)) {
+      return { needed: runTotal, message: `this run would make ${runTotal} change(s), over the cap of ${capFor(maxChangesPerRun)} per run` };
+    }
+    for (const [op, count] of Object.entries(changes)) {
+      const cap = maxChangesPerOperation[op];
+      const opTotal = (byOperation[op] || 0) + count;
+      if (cap !== undefined && opTotal > capFor(cap)) {
+        return { needed: Math.max(opTotal, runTotal), message: `${op} would make ${opTotal} change(s), over its cap of ${capFor(cap)} per run` };
+      }
+    }
+    return null;
+  }
+
+  function count(changes) {
+    for (const [op, n] of Object.entries(changes)) byOperation[op] = (byOperation[op] || 0) + n;
+    total += Object.values(changes).reduce((sum, n) => sum + n, 0);
+  }
+
+  /**
+   * Claim changes before making them. Throws when they would take the run
+   * over a cap, so the stage stops before changing anything; in a dry run it
+   * warns instead.
+   *
+   * @param {Record<string, number>} changes - Count per journal op, e.g. { prune: 120 }
+   */
+  function reserve(changes) {
+    const over = overCap(changes);
+    if (over) {
+      const hint = ` To allow it, check with --dry-run and re-run with --confirm=${over.needed}.`;
+      if (!dryRun) throw new Error(`Guardrail: ${over.message}. Nothing was changed by this stage.${hint}`);
+      logger.warn(`Guardrail: ${over.message}. A live run would stop here.${hint}`);
+    }
+    count(changes);
+    for (const [op, n] of Object.entries(changes)) reserved[op] = (reserved[op] || 0) + n;
+  }
+
+  // A change no stage reserved counts (and is checked) when it is made
+  function take(op) {
+    if (reserved[op] > 0) {
+      reserved[op]--;
+      return;
+    }
+    const over = overCap({ [op]: 1 });
+    if (over) throw new Error(`Guardrail: ${over.message}. Re-run with --confirm=${over.needed} to allow it.`);
+    count({ [op]: 1 });
+  }
+
+  /**
+   * The Reader client with every update counted against the caps.
+   *
+   * @param {object} reader - From createReaderClient()
+   * @returns {object}
+   */
+  function observeReader(reader) {
+    return {
+      ...reader,
+      updateDocument: async (doc, changes, op, extra) => {
+        take(op);
+        return reader.updateDocument(doc, changes, op, extra);
+      },
+      updateDocumentLocation: async (doc, location, op, extra) => {
+        take(op);
+        return reader.updateDocumentLocation(doc, location, op, extra);
+      },
+    };
+  }
+
+  function usage() {
+    return { total, byOperation: { ...byOperation } };
+  }
+
+  return { reserve, observeReader, usage };
+}
@@ -0,0 +1,109 @@
+// Public API. process-feed.js is a thin CLI over these exports, with its argument
+// grammar in cli.js; anything not re-exported here is internal and may change.
+
+export { CONFIG_VERSION, DEFAULT_CONFIG, loadConfig, resolveConfig } from './config.js';
+
+// Pure helpers
+export {
+  scoreDoc,
+  detectCluster,
+  isNewsletterWrapperDoc,
+  isLibraryContent,
+  matchLibrarySignal,
+  isHeavyFormat,
+  getDomain,
+  humanizeShortlistReason,
+  isShortlistNote,
+  hasOwnNote,
+  parseBreakdown,
+  affinityKeys,
+} from './scoring.js';
+export { buildAffinityModel, affinityPoints } from './affinity.js';
+export {
+  normalizeNewsletterUrl,
+  extractNewsletterLinks,
+  explainNewsletterLinks,
+  findNewsletterProfile,
+  findTrackedLinks,
+  detectNewsletterSender,
+  classifyGenericLink,
+  isGenericArticleCandidate,
+  hostOf,
+  titleFromSlug,
+} from './newsletter.js';
+export { loadNewsletterProfiles, BUILTIN_PROFILES_DIR } from './newsletter-profiles.js';
+export { parseEmail, parseEmailHeaders, emailToThread, decodeHeaderValue, headerText } from './mime.js';
+export {
+  SOURCE_TYPES,
+  parseSourceSpec,
+  createIngestSource,
+  createAgentMailSource,
+  createEmlSource,
+  createMboxSource,
+  createMaildirSource,
+} from './sources/index.js';
+export { splitMbox } from './sources/mbox.js';
+export { parseOpml, parseFeed } from './feeds.js';
+export { matchFeedRule, buildRuleChanges, describeRuleAction } from './rules.js';
+export { ledgerKey, createIngestLedger, recordReaderDocuments, describeDuplicate } from './ledger.js';
+export { canonicalUrl } from './canonical.js';
+export { storySimilarity, findStoryGroups } from './similarity.js';
+
+// Clients and plumbing
+export { createReaderClient, createReaderRateLimiter } from './readwise.js';
+export { createRateLimiter, parseRetryAfter } from './ratelimit.js';
+export { createAgentMailClient } from './agentmail.js';
+export { createFeedClient } from './feeds.js';
+export { createRunReport, formatReportMarkdown } from './report.js';
+export { createGuardrails, createProtectionCheck, protectionReason } from './guardrails.js';
+export { createNotifier, buildRunDigest, formatNotification, shouldNotify } from './notify.js';
+export { createRedirectResolver } from './redirects.js';
+export { createTransport, TRANSPORT_MODES } from './transport.js';
+export { createJournal, createRunId, summarizeJournalRuns } from './journal.js';
+export { PLAN_VERSION, createPlanRecorder, diffState, applyStateChanges, writePlan, readPlan } from './plan.js';
+export { WEEKDAYS, readingMinutes, shortlistBudget, pickWithinBudget, formatMinutes } from './budget.js';
+export {
+  DECISIONS,
+  DECISION_OPS,
+  createFileDecisions,
+  createDecisionStore,
+  parseDecision,
+  shortlistDecision,
+  archiveHold,
+  decidesArchive,
+  dropDecisions,
+  forgetMissingDocuments,
+  consumeApprovals,
+} from './decisions.js';
+export {
+  SNAPSHOT_VERSION,
+  snapshotRecord,
+  formatSnapshotCsv,
+  writeSnapshot,
+  readSnapshot,
+  listSnapshotFiles,
+  rotateSnapshots,
+  diffSnapshot,
+} from './snapshot.js';
+export { createFileCache, createMemoryCache } from './cache.js';
+export { createFileMirror, createMemoryMirror } from './mirror.js';
+export { createConsoleLogger, silentLogger } from './logger.js';
+export { resolveContext, systemClock } from './context.js';
+
+// Pipeline stages: each takes a context (see resolveContext) plus options
+export { processFeed } from './stages/feed.js';
+export { runShortlisting, planShortlist, executeShortlistPlan } from './stages/shortlist.js';
+export { explainDocument } from './stages/explain.js';
+export { composeShortlistDigest, sendShortlistDigest } from './stages/digest.js';
+export { learnAffinity, loadAffinity, printAffinity } from './stages/affinity.js';
+export { pruneStaleArticles } from './stages/prune.js';
+export { nukeLaterArticles } from './stages/nuke.js';
+export { archiveAllLater } from './stages/archive-later.js';
+export { dedupeDocuments } from './stages/dedupe.js';
+export { ingestNewsletterEmails } from './stages/ingest.js';
+export { ingestFeeds } from './stages/ingest-feeds.js';
+export { undoRun, printJournalRuns } from './stages/undo.js';
+export { takeSnapshot, restoreSnapshot, printSnapshots } from './stages/snapshot.js';
+export { applyPlan } from './stages/apply.js';
+export { collectReview, startDashboard } from './stages/serve.js';
+export { printNewsletterProfiles, testNewsletterProfile } from './stages/profiles.js';
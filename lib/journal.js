@@ -0,0 +1,61 @@
+import { readFileSync, appendFileSync, existsSync } from 'fs';
+import { randomBytes } from 'crypto';
+
+// Append-only JSON Lines record of every Reader mutation, including the
+// document's location/tags/notes beforehand, so a run can be reverted later.
+
+export function createRunId(date = new Date()) {
+  return `${date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Journal stored as JSON Lines in `file`. Pass it to createReaderClient() and
+ * every update is appended under this journal's run ID.
+ *
+ * @param {object} options
+ * @param {string} options.file
+ * @param {string} [options.runId]
+ * @param {{ now(): number }} [options.clock]
+ * @param {{ warn(message: string): void }} [options.logger]
+ */
+export function createJournal({ file, runId = createRunId(), clock = { now: () => Date.now() }, logger = console }) {
+  return {
+    runId,
+    append(entry) {
+      appendFileSync(file, JSON.stringify({ runId, at: new Date(clock.now()).toISOString(), ...entry }) + '\n');
+    },
+    read() {
+      if (!existsSync(file)) return [];
+      const entries = [];
+      readFileSync(file, 'utf8').split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          logger.warn(`Ignoring malformed journal line ${i + 1}`);
+        }
+      });
+      return entries;
+    },
+  };
+}
+
+/**
+ * Group journal entries by run, oldest first.
+ *
+ * @param {object[]} entries
+ * @returns {{ runId: string, startedAt: string, total: number, ops: object, undoneBy: string|null }[]}
+ */
+export function summarizeJournalRuns(entries) {
+  const runs = new Map();
+  for (const entry of entries) {
+    if (!runs.has(entry.runId)) {
+      runs.set(entry.runId, { runId: entry.runId, startedAt: entry.at, total: 0, ops: {}, undoneBy: null });
+    }
+    const run = runs.get(entry.runId);
+    run.ops[entry.op] = (run.ops[entry.op] || 0) + 1;
+    run.total++;
+    if (entry.undoOf && runs.has(entry.undoOf)) runs.get(entry.undoOf).undoneBy = entry.runId;
+  }
+  return [...runs.values()];
+}
@@ -0,0 +1,135 @@
+import { normalizeNewsletterUrl } from './newsletter.js';
+import { daysAgo } from './context.js';
+
+// Ingestion ledger: every URL newsletter ingestion saved, or found already in
+// Reader, keyed by a normalized form so the same article linked from
+// different newsletters (or already archived) is recognised. Lives in the
+// run-to-run cache under `ingestLedger`.
+//
+// Documents in Reader are `reader` entries, rebuilt on every sync from the
+// mirrored locations (see createReaderClient). The archive is too large to
+// list each run, so archived documents come from what changed there since
+// the last sync, and are forgotten ingest.archiveLedgerDays after that.
+
+export const READER_LOCATIONS = ['new', 'later', 'shortlist', 'archive', 'feed'];
+const MIRRORED_LOCATIONS = READER_LOCATIONS.filter(location => location !== 'archive');
+
+const DUPLICATE_KINDS = {
+  run: 'linked more than once this run',
+  ingested: 'ingested by an earlier run',
+  reader: 'already in Reader',
+};
+
+/**
+ * Normalized form of a URL for duplicate checks: redirects unwrapped,
+ * tracking parameters, fragment, scheme, "www." and trailing slash dropped,
+ * remaining query parameters sorted.
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function ledgerKey(url) {
+  const normalized = normalizeNewsletterUrl(url);
+  if (!normalized) return null;
+  const urlObj = new URL(normalized);
+  urlObj.searchParams.sort();
+  const host = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+  const path = urlObj.pathname.replace(/\/+$/, '');
+  return `${host}${path}${urlObj.search}`;
+}
+
+/**
+ * @param {{ data: object }} cache - From createFileCache()/createMemoryCache()
+ */
+export function createIngestLedger(cache) {
+  const entries = (cache.data.ingestLedger ||= {});
+  return {
+    get(url) {
+      const key = ledgerKey(url);
+      return key ? entries[key] || null : null;
+    },
+    record(url, entry) {
+      const key = ledgerKey(url);
+      if (key) entries[key] = entry;
+    },
+    forget(url) {
+      const key = ledgerKey(url);
+      if (key) delete entries[key];
+    },
+    forgetWhere(predicate) {
+      for (const [key, entry] of Object.entries(entries)) {
+        if (predicate(entry)) delete entries[key];
+      }
+    },
+    // When recordReaderDocuments() last looked at the archive
+    get syncedAt() {
+      return cache.data.ingestLedgerSyncedAt || null;
+    },
+    set syncedAt(at) {
+      cache.data.ingestLedgerSyncedAt = at;
+    },
+    get size() {
+      return Object.keys(entries).length;
+    },
+  };
+}
+
+/**
+ * Record the documents in Reader, so links to them are not saved again: all
+ * of new, Feed, Later and the Shortlist, and archived documents changed in
+ * the last `archiveDays` days. `reader` entries for documents no longer in
+ * either are dropped; `ingested` entries are kept.
+ *
+ * @param {object} reader - From createReaderClient()
+ * @param {ReturnType<typeof createIngestLedger>} ledger
+ * @param {{ clock: { now(): number }, archiveDays: number }} options
+ * @returns {Promise<number>} Documents seen
+ */
+export async function recordReaderDocuments(reader, ledger, { clock, archiveDays }) {
+  const startedAt = new Date(clock.now());
+  const keepFrom = daysAgo(archiveDays, clock);
+  const lastSync = ledger.syncedAt ? new Date(ledger.syncedAt) : null;
+  const archived = await reader.fetchDocumentsUpdatedSince('archive', lastSync > keepFrom ? lastSync : keepFrom);
+  ledger.forgetWhere(entry => entry.source === 'reader'
+    && (entry.location !== 'archive' || !(new Date(entry.at) >= keepFrom)));
+
+  let seen = 0;
+  function record(doc, location) {
+    const url = doc.source_url || doc.url;
+    if (!url) return;
+    // Keep the original ingestion record when we saved the doc ourselves
+    if (ledger.get(url)?.source !== 'ingested') {
+      ledger.record(url, { source: 'reader', location, docId: doc.id, at: doc.updated_at || startedAt.toISOString() });
+    }
+    seen++;
+  }
+  for (const doc of archived) record(doc, 'archive');
+  // Where a document is now wins over an older archive entry
+  for (const location of MIRRORED_LOCATIONS) {
+    for (const doc of await reader.fetchDocuments(location)) record(doc, location);
+  }
+  ledger.syncedAt = startedAt.toISOString();
+  return seen;
+}
+
+/**
+ * Why a link was skipped, from the ledger entry it matched.
+ *
+ * @param {{ source: string, senderKey?: string, at?: string, location?: string }} entry
+ * @returns {string}
+ */
+export function describeDuplicate(entry) {
+  if (entry.source === 'run') return `also linked by ${entry.senderKey} in this run`;
+  if (entry.source === 'ingested') return `ingested from ${entry.senderKey} on ${entry.at.split('T')[0]}`;
+  return `already in Reader (${entry.location})`;
+}
+
+// Counts of skipped duplicates by kind, for the end-of-stage summary
+export function logDuplicateSummary(logger, duplicates) {
+  if (duplicates.length === 0) return;
+  logger.info('Duplicates skipped:');
+  for (const [kind, label] of Object.entries(DUPLICATE_KINDS)) {
+    const count = duplicates.filter(dup => dup.kind === kind).length;
+    if (count > 0) logger.info(`  ${label}: ${count}`);
+  }
+}
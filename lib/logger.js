@@ -0,0 +1,25 @@
+// Stages report progress through a logger rather than the console, so the
+// library stays quiet unless the caller wires one up.
+
+export const silentLogger = {
+  info() {},
+  verbose() {},
+  warn() {},
+  error() {},
+};
+
+/**
+ * Logger that writes to the console; verbose lines only when asked for.
+ *
+ * @param {{ verbose?: boolean, stderr?: boolean }} [options] - stderr sends
+ *   everything to stderr, keeping stdout free for machine-readable output
+ */
+export function createConsoleLogger({ verbose = false, stderr = false } = {}) {
+  const print = stderr ? console.error : console.log;
+  return {
+    info: message => print(message),
+    verbose: message => { if (verbose) print(message); },
+    warn: message => console.warn(message),
+    error: message => console.error(message),
+  };
+}
@@ -0,0 +1,201 @@
+// Just enough RFC 5322 / MIME to read newsletters from .eml files: folded
+// headers, RFC 2047 encoded words, nested multipart bodies, quoted-printable
+// and base64 transfer encodings, and charsets. Attachments are ignored.
+
+function decodeBytes(buffer, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// Quoted-printable to bytes (soft line breaks removed)
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const input = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < input.length; i++) {
+    const hex = input[i] === '=' && input.slice(i + 1, i + 3);
+    if (hex && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(input.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode RFC 2047 encoded words ("=?utf-8?Q?Caf=C3=A9?=") in a header value.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function decodeHeaderValue(value = '') {
+  return value
+    // Whitespace between two encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeBytes(bytes, charset.replace(/\*.*$/, ''));
+    });
+}
+
+// Headers are read as latin1; unencoded 8-bit ones are almost always UTF-8
+function rawHeaderText(value = '') {
+  return /[\x80-\xff]/.test(value) ? decodeBytes(Buffer.from(value, 'latin1')) : value;
+}
+
+/**
+ * The text of a header as parseEmailHeaders() returns it: raw 8-bit bytes
+ * and encoded words both decoded.
+ *
+ * @param {string} [value]
+ * @returns {string}
+ */
+export function headerText(value = '') {
+  return decodeHeaderValue(rawHeaderText(value));
+}
+
+function parseHeaderBlock(block) {
+  const headers = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    // The first occurrence wins, as with Subject and From in practice
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+// "text/html; charset=UTF-8; boundary=..." → { type, params }
+function parseStructuredHeader(value = '') {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf('=');
+    if (eq < 0) continue;
+    const key = param.slice(0, eq).trim().toLowerCase();
+    params[key] = param.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function splitHeadersAndBody(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) return [raw, ''];
+  return [raw.slice(0, match.index), raw.slice(match.index + match[0].length)];
+}
+
+function splitMultipart(body, boundary) {
+  const parts = [];
+  const delimiter = `--${boundary}`;
+  const lines = body.split(/\r?\n/);
+  let current = null;
+  for (const line of lines) {
+    if (line.startsWith(delimiter)) {
+      if (current) parts.push(current.join('\n'));
+      if (line.slice(delimiter.length).startsWith('--')) return parts;
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  if (current) parts.push(current.join('\n'));
+  return parts;
+}
+
+function decodeBody(body, headers) {
+  const encoding = (headers['content-transfer-encoding'] || '7bit').toLowerCase();
+  const { params } = parseStructuredHeader(headers['content-type'] || 'text/plain');
+  let bytes;
+  if (encoding === 'base64') bytes = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  else if (encoding === 'quoted-printable') bytes = decodeQuotedPrintable(body);
+  else bytes = Buffer.from(body, 'latin1');
+  return decodeBytes(bytes, params.charset || 'utf-8');
+}
+
+// Depth-first: the first HTML and plain-text bodies that aren't attachments
+function collectBodies(raw, result) {
+  const [headerBlock, body] = splitHeadersAndBody(raw);
+  const headers = parseHeaderBlock(headerBlock);
+  const { type, params } = parseStructuredHeader(headers['content-type'] || 'text/plain');
+  const disposition = parseStructuredHeader(headers['content-disposition'] || '').type;
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    for (const part of splitMultipart(body, params.boundary)) collectBodies(part, result);
+  } else if (type === 'message/rfc822') {
+    collectBodies(body, result);
+  } else if (disposition !== 'attachment') {
+    if (type === 'text/html' && result.html === null) result.html = decodeBody(body, headers);
+    if (type === 'text/plain' && result.text === null) result.text = decodeBody(body, headers);
+  }
+  return headers;
+}
+
+/**
+ * Top-level headers of a message without decoding its body.
+ *
+ * @param {string|Buffer} source - Raw message
+ * @returns {object} Lower-cased header name → raw value (first occurrence)
+ */
+export function parseEmailHeaders(source) {
+  const raw = (Buffer.isBuffer(source) ? source : Buffer.from(source, 'utf8')).toString('latin1');
+  return parseHeaderBlock(splitHeadersAndBody(raw)[0]);
+}
+
+/**
+ * Parse one RFC 5322 message.
+ *
+ * @param {string|Buffer} source - Raw message
+ * @returns {{ headers: object, from: string, subject: string, date: string|null,
+ *   messageId: string|null, html: string|null, text: string|null }}
+ */
+export function parseEmail(source) {
+  const raw = (Buffer.isBuffer(source) ? source : Buffer.from(source, 'utf8')).toString('latin1');
+  const result = { html: null, text: null };
+  const headers = collectBodies(raw, result);
+  return {
+    headers,
+    from: headerText(headers.from),
+    subject: headerText(headers.subject),
+    date: headers.date || null,
+    messageId: headers['message-id'] || null,
+    html: result.html,
+    text: result.text,
+  };
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Plain-text newsletters: turn bare URLs into links so anchors can be
+// extracted. The links get no text, so Reader picks the title.
+function textToHtml(text) {
+  return escapeHtml(text).replace(/https?:\/\/[^\s<>"')\]]+/g, url => `<a href="${url}"></a>`);
+}
+
+/**
+ * A parsed email in the thread shape newsletter ingestion works on (the same
+ * as AgentMail's thread summary and full thread).
+ *
+ * @param {object} email - From parseEmail()
+ * @returns {{ thread: object, fullThread: object }}
+ */
+export function emailToThread(email) {
+  const message = {
+    from: email.from,
+    subject: email.subject,
+    html: email.html ?? (email.text ? textToHtml(email.text) : ''),
+  };
+  return {
+    thread: { subject: email.subject, from: email.from },
+    fullThread: { messages: [message] },
+  };
+}
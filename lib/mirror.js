@@ -0,0 +1,73 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+
+// Local copy of Reader document metadata for the locations we read, plus a
+// cursor per location: the newest updated_at already reflected for it. The
+// Reader client (see createReaderClient) keeps it current with updatedAfter
+// queries, so a run only pulls what changed since the last one.
+
+export const MIRROR_VERSION = 1;
+
+function emptyMirror() {
+  return { version: MIRROR_VERSION, cursors: {}, documents: {} };
+}
+
+function wrapMirror(data, save) {
+  return {
+    data,
+    save,
+    cursor(location) {
+      return data.cursors[location] || null;
+    },
+    setCursor(location, cursor) {
+      data.cursors[location] = cursor;
+    },
+    isTracked(location) {
+      return Boolean(data.cursors[location]);
+    },
+    get(id) {
+      return data.documents[id] || null;
+    },
+    upsert(doc) {
+      data.documents[doc.id] = doc;
+    },
+    remove(id) {
+      delete data.documents[id];
+    },
+    // Every mirrored entry in a location, highlights and notes included
+    entries(location) {
+      return Object.values(data.documents).filter(doc => doc.location === location);
+    },
+    // Forget everything; the next read of each location is a full fetch
+    reset() {
+      data.cursors = {};
+      data.documents = {};
+    },
+  };
+}
+
+/**
+ * Mirror backed by a JSON file.
+ *
+ * @param {string} file
+ * @param {{ load?: boolean }} [options] - load: false starts empty (--full-resync)
+ */
+export function createFileMirror(file, { load = true } = {}) {
+  let data = emptyMirror();
+  if (load && existsSync(file)) {
+    try {
+      const stored = JSON.parse(readFileSync(file, 'utf8'));
+      // A mirror from another format version is simply rebuilt
+      if (stored.version === MIRROR_VERSION) data = stored;
+    } catch {
+      data = emptyMirror();
+    }
+  }
+  return wrapMirror(data, () => writeFileSync(file, JSON.stringify(data)));
+}
+
+/**
+ * In-memory mirror: only saves requests within a single run.
+ */
+export function createMemoryMirror() {
+  return wrapMirror(emptyMirror(), () => {});
+}
@@ -0,0 +1,62 @@
+import { readdirSync, existsSync } from 'fs';
+import { join, basename, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Newsletter profiles are modules in a directory, one per sender or platform.
+// Each default-exports:
+//
+//   name        - defaults to the file name
+//   priority    - higher is tried first (default 0; built-in platform profiles
+//                 use -10 so a newsletter-specific profile wins)
+//   match       - RegExp tested against the sender/subject text, or
+//                 (sender: { text, html }) => boolean
+//   allow       - (urlObj, anchor, { config }) => boolean | { keep, reason }
+//   title       - optional (anchor, urlObj) => string|null; default anchor text
+//   postProcess - optional (keptLinks, { thread, fullThread, config }) => keptLinks
+//
+// A module in a user directory replaces a built-in profile of the same name.
+
+export const BUILTIN_PROFILES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'profiles');
+
+function validateProfile(profile, file) {
+  const problems = [];
+  if (typeof profile.name !== 'string' || !profile.name) problems.push('name must be a non-empty string');
+  if (!(profile.match instanceof RegExp) && typeof profile.match !== 'function') {
+    problems.push('match must be a RegExp or a function');
+  }
+  if (typeof profile.allow !== 'function') problems.push('allow must be a function');
+  for (const key of ['title', 'postProcess']) {
+    if (profile[key] !== undefined && typeof profile[key] !== 'function') problems.push(`${key} must be a function`);
+  }
+  if (typeof profile.priority !== 'number') problems.push('priority must be a number');
+  if (problems.length > 0) throw new Error(`Invalid newsletter profile ${file}:\n  - ${problems.join('\n  - ')}`);
+}
+
+async function loadProfileDir(dir) {
+  if (!existsSync(dir)) throw new Error(`Newsletter profile directory not found: ${dir}`);
+  const files = readdirSync(dir).filter(f => f.endsWith('.js') || f.endsWith('.mjs')).sort();
+  const profiles = [];
+  for (const file of files) {
+    const path = join(dir, file);
+    const mod = await import(pathToFileURL(path).href);
+    const profile = { name: basename(file).replace(/\.m?js$/, ''), priority: 0, ...(mod.default || {}), source: path };
+    validateProfile(profile, path);
+    profiles.push(profile);
+  }
+  return profiles;
+}
+
+/**
+ * Load the built-in profiles plus any from extra directories.
+ *
+ * @param {{ dirs?: string[] }} [options] - Extra profile directories, in order
+ * @returns {Promise<object[]>} Highest priority first
+ */
+export async function loadNewsletterProfiles({ dirs = [] } = {}) {
+  const byName = new Map();
+  for (const dir of [BUILTIN_PROFILES_DIR, ...dirs]) {
+    for (const profile of await loadProfileDir(dir)) byName.set(profile.name, profile);
+  }
+  // Stable sort keeps file order within a priority
+  return [...byName.values()].sort((a, b) => b.priority - a.priority);
+}
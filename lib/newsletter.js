@@ -0,0 +1,293 @@
+import { DEFAULT_CONFIG } from './config.js';
+
+const REDIRECT_PARAM_KEYS = [
+  'url', 'u', 'target', 'dest', 'destination', 'redirect', 'redirect_url',
+  'redirect_uri', 'href', 'r', 'to'
+];
+
+const TRACKING_QUERY_PREFIXES = ['utm_', 'mc_', 'fbclid', 'gclid', 'ref', 'ref_src', 'ref_url', 'source', 'attribution_', 'campaign', 'cid'];
+
+const JUNK_ANCHOR_TEXT_PATTERNS = [
+  /^view in browser$/i, /^read online$/i, /^website$/i, /^share$/i, /^forward$/i,
+  /^tweet$/i, /^post$/i, /^subscribe$/i, /^donate$/i, /^gift$/i, /^account$/i,
+  /^manage preferences$/i, /^unsubscribe$/i, /^archives?$/i, /^about$/i, /^login$/i,
+  /^read more$/i, /^more$/i, /^here$/i, /^link$/i
+];
+
+export function decodeHtmlEntities(str = '') {
+  return str
+    .replace(/&amp;/g, '&')
+    .replace(/&#038;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+export function stripTags(str = '') {
+  return decodeHtmlEntities(str).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Unwrap redirect/tracking wrappers and strip tracking query params and
+ * fragments, so the same article always yields the same URL.
+ *
+ * @param {string} rawUrl - As found in an href (HTML entities allowed)
+ * @returns {string|null} The normalized URL, or null if it isn't one
+ */
+export function normalizeNewsletterUrl(rawUrl) {
+  let candidate = decodeHtmlEntities((rawUrl || '').trim());
+  if (!candidate) return null;
+
+  for (let i = 0; i < 4; i++) {
+    let urlObj;
+    try {
+      urlObj = new URL(candidate);
+    } catch {
+      return null;
+    }
+
+    const redirectValue = REDIRECT_PARAM_KEYS
+      .map(key => urlObj.searchParams.get(key))
+      .find(Boolean);
+
+    if (redirectValue && /^https?:\/\//i.test(decodeURIComponent(redirectValue))) {
+      candidate = decodeURIComponent(redirectValue);
+      continue;
+    }
+
+    if (urlObj.hostname === 'www.google.com' && urlObj.pathname === '/url') {
+      const q = urlObj.searchParams.get('q');
+      if (q && /^https?:\/\//i.test(q)) {
+        candidate = q;
+        continue;
+      }
+    }
+
+    for (const key of [...urlObj.searchParams.keys()]) {
+      if (TRACKING_QUERY_PREFIXES.some(prefix => key.toLowerCase().startsWith(prefix))) {
+        urlObj.searchParams.delete(key);
+      }
+    }
+
+    urlObj.hash = '';
+    const normalized = urlObj.toString().replace(/\/$/, urlObj.pathname === '/' ? '/' : '');
+    return normalized;
+  }
+
+  return null;
+}
+
+export function extractAnchorsFromHtml(html) {
+  const anchors = [];
+  const anchorRe = /<a\b[^>]*href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gis;
+  let match;
+  while ((match = anchorRe.exec(html)) !== null) {
+    anchors.push({
+      rawUrl: match[1],
+      text: stripTags(match[2]),
+    });
+  }
+  return anchors;
+}
+
+function junkAnchorReason(anchor) {
+  const text = (anchor.text || '').trim();
+  if (JUNK_ANCHOR_TEXT_PATTERNS.some(p => p.test(text))) return `navigation link text "${text}"`;
+  if (text && text.length < 5) return `link text "${text}" too short`;
+  return null;
+}
+
+/**
+ * Fallback link filter for senders without a dedicated profile, with the
+ * reason for its verdict.
+ *
+ * @param {URL} urlObj - Normalized link
+ * @param {{ text?: string }} [anchor] - The link's anchor text
+ * @param {{ config?: object }} [options]
+ * @returns {{ keep: boolean, reason: string }}
+ */
+export function classifyGenericLink(urlObj, anchor = {}, { config = DEFAULT_CONFIG } = {}) {
+  const url = urlObj.toString();
+  if (!['http:', 'https:'].includes(urlObj.protocol)) return { keep: false, reason: `${urlObj.protocol} link` };
+  const skip = config.skipUrlPatterns.find(p => p.test(url));
+  if (skip) return { keep: false, reason: `matches skipUrlPatterns ${skip}` };
+  const host = urlObj.hostname.replace(/^www\./, '');
+  if (host === 'thebrowser.com' || host.endsWith('.thebrowser.com') || host === 'browsermedia.news') {
+    return { keep: false, reason: 'The Browser site page' };
+  }
+  if (urlObj.pathname.length < 4) return { keep: false, reason: 'home page, not an article' };
+  const junk = junkAnchorReason(anchor);
+  if (junk) return { keep: false, reason: junk };
+  return { keep: true, reason: 'looks like an article' };
+}
+
+/**
+ * @param {URL} urlObj
+ * @param {{ text?: string }} [anchor]
+ * @param {{ config?: object }} [options]
+ * @returns {boolean}
+ */
+export function isGenericArticleCandidate(urlObj, anchor = {}, options = {}) {
+  return classifyGenericLink(urlObj, anchor, options).keep;
+}
+
+// Host without "www.", for profile allow() rules
+export function hostOf(urlObj) {
+  return urlObj.hostname.replace(/^www\./, '');
+}
+
+// A readable title from the last path segment, for links whose anchor text says nothing
+export function titleFromSlug(urlObj) {
+  const slug = urlObj.pathname.split('/').filter(Boolean).pop() || '';
+  const words = decodeURIComponent(slug).replace(/\.\w+$/, '').split(/[-_]+/).filter(w => w && !/^\d+$/.test(w));
+  if (words.length === 0) return null;
+  const title = words.join(' ');
+  return title[0].toUpperCase() + title.slice(1);
+}
+
+function senderOf(thread, fullThread) {
+  const messages = fullThread?.messages || [];
+  const text = [
+    thread?.subject,
+    thread?.from,
+    thread?.from_name,
+    thread?.from_email,
+    ...(messages.flatMap(m => [m.from, m.from_name, m.from_email, m.sender, m.sender_email, m.subject])),
+  ]
+    .filter(Boolean)
+    .join(' | ');
+  const html = messages.map(m => m.html || m.body || '').join('\n');
+  return { text, html };
+}
+
+function profileMatches(profile, sender) {
+  return typeof profile.match === 'function' ? profile.match(sender) : profile.match.test(sender.text);
+}
+
+/**
+ * The profile whose `match` fits a thread's sender (see loadNewsletterProfiles()).
+ *
+ * @param {object} thread - Thread summary (subject, from, ...)
+ * @param {object} [fullThread] - Thread with messages
+ * @param {object[]} [profiles] - Highest priority first
+ * @returns {object|null} null when only the generic filter applies
+ */
+export function findNewsletterProfile(thread, fullThread, profiles = []) {
+  const sender = senderOf(thread, fullThread);
+  return profiles.find(profile => profileMatches(profile, sender)) || null;
+}
+
+/**
+ * Name of the profile matching a thread's sender, or "generic".
+ *
+ * @param {object} thread
+ * @param {object} [fullThread]
+ * @param {object[]} [profiles]
+ * @returns {string}
+ */
+export function detectNewsletterSender(thread, fullThread, profiles = []) {
+  return findNewsletterProfile(thread, fullThread, profiles)?.name || 'generic';
+}
+
+function threadHtml(fullThread) {
+  return (fullThread?.messages || []).map(m => m.html || m.body || '').join('\n');
+}
+
+/**
+ * Normalized links in a thread that match `ingest.redirects.trackerPatterns`:
+ * the ones worth handing to a redirect resolver (see createRedirectResolver()).
+ *
+ * @param {object} fullThread - Thread with messages[].html (or .body)
+ * @param {{ config?: object }} [options]
+ * @returns {string[]} Unique normalized URLs
+ */
+export function findTrackedLinks(fullThread, { config = DEFAULT_CONFIG } = {}) {
+  const { trackerPatterns } = config.ingest.redirects;
+  const tracked = new Set();
+  for (const anchor of extractAnchorsFromHtml(threadHtml(fullThread))) {
+    const url = normalizeNewsletterUrl(anchor.rawUrl);
+    if (url && trackerPatterns.some(p => p.test(url))) tracked.add(url);
+  }
+  return [...tracked];
+}
+
+function toVerdict(result) {
+  if (typeof result === 'boolean') return { keep: result, reason: result ? 'allowed by profile' : 'denied by profile' };
+  return { keep: Boolean(result?.keep), reason: result?.reason || (result?.keep ? 'allowed by profile' : 'denied by profile') };
+}
+
+/**
+ * Every link in a newsletter thread with the verdict on it: which profile
+ * judged it, whether it is kept, and why.
+ *
+ * @param {object} thread - Thread summary (subject, from, ...)
+ * @param {object} fullThread - Thread with messages[].html (or .body)
+ * @param {{ config?: object, profiles?: object[], redirects?: Map<string, string> }} [options] -
+ *   profiles from loadNewsletterProfiles(); without them every sender gets the
+ *   generic filter. redirects maps tracker URLs (see findTrackedLinks()) to
+ *   where they lead; a resolved link is judged by its destination
+ * @returns {{ senderKey: string, profile: object|null, links: object[] }} links hold
+ *   { rawUrl, url, text, title, keep, reason, resolvedFrom }
+ */
+export function explainNewsletterLinks(thread, fullThread, options = {}) {
+  const { profiles = [], redirects } = options;
+  const profile = findNewsletterProfile(thread, fullThread, profiles);
+  const senderKey = profile?.name || 'generic';
+  const links = [];
+  const seen = new Set();
+
+  for (const anchor of extractAnchorsFromHtml(threadHtml(fullThread))) {
+    const entry = { rawUrl: anchor.rawUrl, url: null, text: anchor.text, title: null, keep: false, reason: null, resolvedFrom: null };
+    links.push(entry);
+    let normalized = normalizeNewsletterUrl(anchor.rawUrl);
+    const destination = normalized && redirects?.get(normalized);
+    if (destination) {
+      entry.resolvedFrom = normalized;
+      normalized = normalizeNewsletterUrl(destination);
+    }
+    let urlObj = null;
+    try {
+      urlObj = normalized && new URL(normalized);
+    } catch {
+      urlObj = null;
+    }
+    if (!urlObj) { entry.reason = 'not a valid URL'; continue; }
+    entry.url = normalized;
+    if (seen.has(normalized)) { entry.reason = 'already linked earlier in this email'; continue; }
+
+    const verdict = profile
+      ? toVerdict(profile.allow(urlObj, anchor, options))
+      : classifyGenericLink(urlObj, anchor, options);
+    Object.assign(entry, verdict);
+    if (!entry.keep) continue;
+
+    seen.add(normalized);
+    entry.title = (profile?.title ? profile.title(anchor, urlObj) : anchor.text) || null;
+  }
+
+  if (profile?.postProcess) {
+    const kept = links.filter(link => link.keep);
+    const survivors = new Set(profile.postProcess(kept, { thread, fullThread, ...options }));
+    for (const link of kept) {
+      if (!survivors.has(link)) Object.assign(link, { keep: false, reason: `dropped by ${senderKey} post-processing` });
+    }
+  }
+
+  return { senderKey, profile, links };
+}
+
+/**
+ * Article links worth saving from a newsletter thread, deduplicated.
+ *
+ * @param {object} thread - Thread summary (subject, from, ...)
+ * @param {object} fullThread - Thread with messages[].html (or .body)
+ * @param {{ config?: object, profiles?: object[] }} [options]
+ * @returns {{ url: string, title: string|null, senderKey: string }[]}
+ */
+export function extractNewsletterLinks(thread, fullThread, options = {}) {
+  const { senderKey, links } = explainNewsletterLinks(thread, fullThread, options);
+  return links
+    .filter(link => link.keep)
+    .map(link => ({ url: link.url, title: link.title, senderKey }));
+}
@@ -0,0 +1,221 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { createRateLimiter } from './ratelimit.js';
+import { silentLogger } from './logger.js';
+
+// Run notifications: a digest of a run report (see createRunReport()) posted
+// to webhooks as generic JSON or as a Slack incoming-webhook message. Each
+// webhook picks when it fires:
+//
+//   always  every run that ran a stage
+//   change  runs that changed something in Reader, or failed
+//   error   runs with a failed stage or a failed change
+//
+// Webhook URLs are secrets, so they can come from an environment variable
+// (urlEnv) and are never logged; webhooks are named in logs instead.
+
+export const NOTIFY_TRIGGERS = ['always', 'change', 'error'];
+export const NOTIFY_FORMATS = ['json', 'slack'];
+
+// Shortlist entries listed in one message
+const MAX_LISTED = 10;
+
+/**
+ * What a run is worth telling someone about, from its report.
+ *
+ * @param {object} report - From createRunReport().finish()
+ * @returns {{ runId: string, status: string, dryRun: boolean, startedAt: string, durationMs: number,
+ *   changes: number, shortlist: { promoted: { title: string, url: string|null, reason: string|null }[], demoted: number }|null,
+ *   archived: { pruned: number|null, nuked: number|null },
+ *   ingestion: { newsletters: object|null, feeds: object|null }, errors: string[] }}
+ */
+export function buildRunDigest(report) {
+  const stage = name => report.stages.find(s => s.name === name) ?? null;
+  const shortlist = stage('shortlist');
+  const newsletters = stage('ingest-newsletters');
+  const feeds = stage('ingest-feeds');
+
+  const errors = [];
+  if (report.error) errors.push(report.error);
+  for (const s of report.stages) {
+    if (s.status === 'error') errors.push(`${s.name}: ${s.error}`);
+    for (const action of s.actions.filter(a => !a.ok)) {
+      errors.push(`${s.name}: ${action.op} "${action.title}" failed: ${action.error}`);
+    }
+  }
+
+  return {
+    runId: report.runId,
+    status: report.status,
+    dryRun: report.dryRun,
+    startedAt: report.startedAt,
+    durationMs: report.durationMs,
+    changes: report.totals.changes,
+    shortlist: shortlist && {
+      // The note promotion writes is humanizeShortlistReason()'s text
+      promoted: shortlist.actions
+        .filter(a => a.op === 'promote' && a.ok)
+        .map(a => ({ title: a.title, url: a.url ?? null, reason: a.changes.notes ?? null })),
+      demoted: shortlist.counts.demoted ?? 0,
+    },
+    archived: {
+      pruned: stage('prune-stale')?.counts.documents ?? null,
+      nuked: stage('nuke-later')?.counts.nuked ?? null,
+    },
+    ingestion: {
+      newsletters: newsletters && {
+        messages: newsletters.counts.messages ?? 0,
+        saved: newsletters.counts.saved ?? 0,
+        duplicates: newsletters.counts.duplicates ?? 0,
+        failed: newsletters.counts.failed ?? 0,
+      },
+      feeds: feeds && {
+        feeds: feeds.counts.feeds ?? 0,
+        entries: feeds.counts.entries ?? 0,
+        saved: feeds.counts.saved ?? 0,
+        duplicates: feeds.counts.duplicates ?? 0,
+        failed: feeds.counts.failed ?? 0,
+      },
+    },
+    errors,
+  };
+}
+
+/**
+ * Whether a webhook with trigger `on` fires for this report.
+ *
+ * @param {string} on - One of NOTIFY_TRIGGERS
+ * @param {object} report - From createRunReport().finish()
+ * @returns {boolean}
+ */
+export function shouldNotify(on, report) {
+  if (report.stages.length === 0 && !report.error) return false;
+  const failed = report.status === 'error' || report.totals.failures > 0;
+  if (on === 'error') return failed;
+  if (on === 'change') return failed || report.totals.changes > 0;
+  return true;
+}
+
+// One line per part of the run, shared by both formats
+function digestLines(digest) {
+  const lines = [];
+  if (digest.shortlist) {
+    lines.push(`Shortlist: ${digest.shortlist.promoted.length} promoted, ${digest.shortlist.demoted} demoted`);
+  }
+  const { pruned, nuked } = digest.archived;
+  if (pruned !== null) lines.push(`Pruned: ${pruned} stale document(s)`);
+  if (nuked !== null) lines.push(`Nuked: ${nuked} old Later document(s)`);
+  const { newsletters, feeds } = digest.ingestion;
+  if (newsletters) lines.push(`Newsletters: ${newsletters.saved} link(s) saved from ${newsletters.messages} message(s), ${newsletters.duplicates} duplicate(s)`);
+  if (feeds) lines.push(`Feeds: ${feeds.saved} of ${feeds.entries} new entr${feeds.entries === 1 ? 'y' : 'ies'} saved from ${feeds.feeds} feed(s), ${feeds.duplicates} duplicate(s)`);
+  return lines;
+}
+
+function headline(digest) {
+  const status = digest.status === 'ok' ? (digest.errors.length > 0 ? 'finished with errors' : 'finished') : 'FAILED';
+  return `Reader run ${digest.runId} ${status}${digest.dryRun ? ' (dry run)' : ''}: ${digest.changes} change(s) in ${(digest.durationMs / 1000).toFixed(1)}s`;
+}
+
+// Slack mrkdwn needs &, < and > escaped outside links
+function slackEscape(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackPayload(digest) {
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: `*${slackEscape(headline(digest))}*` } }];
+  const lines = digestLines(digest);
+  if (lines.length > 0) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.map(slackEscape).join('\n') } });
+
+  const promoted = digest.shortlist?.promoted ?? [];
+  if (promoted.length > 0) {
+    const items = promoted.slice(0, MAX_LISTED).map(p => {
+      const title = p.url ? `<${p.url}|${slackEscape(p.title).replace(/\|/g, '¦')}>` : slackEscape(p.title);
+      return `• ${title}${p.reason ? `\n    _${slackEscape(p.reason)}_` : ''}`;
+    });
+    if (promoted.length > MAX_LISTED) items.push(`…and ${promoted.length - MAX_LISTED} more`);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*New on the Shortlist*\n${items.join('\n')}` } });
+  }
+  if (digest.errors.length > 0) {
+    const errors = digest.errors.slice(0, MAX_LISTED).map(e => `• ${slackEscape(e)}`);
+    if (digest.errors.length > MAX_LISTED) errors.push(`…and ${digest.errors.length - MAX_LISTED} more`);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Errors*\n${errors.join('\n')}` } });
+  }
+  // `text` is what notifications and clients without blocks show
+  return { text: headline(digest), blocks };
+}
+
+/**
+ * The request body for one webhook format.
+ *
+ * @param {object} digest - From buildRunDigest()
+ * @param {string} format - One of NOTIFY_FORMATS
+ * @returns {object}
+ */
+export function formatNotification(digest, format) {
+  if (format === 'slack') return slackPayload(digest);
+  return { type: 'reader-processor.run', summary: headline(digest), lines: digestLines(digest), ...digest };
+}
+
+/**
+ * @param {object} options
+ * @param {{ name?: string, url?: string, urlEnv?: string, format?: string, on?: string }[]} [options.webhooks]
+ *   - config.notify.webhooks; ones whose urlEnv is unset are left out
+ * @param {Record<string, string|undefined>} [options.env] - Where urlEnv is looked up
+ * @param {Function} [options.transport] - fetch-compatible
+ * @param {object} [options.limiter] - From createRateLimiter()
+ * @param {number} [options.timeoutMs] - Per request
+ * @param {object} [options.logger]
+ * @returns {{ webhooks: object[], notify(report: object): Promise<{ sent: number, failed: number }> }}
+ */
+export function createNotifier({
+  webhooks = DEFAULT_CONFIG.notify.webhooks,
+  env = process.env,
+  transport = globalThis.fetch,
+  limiter = createRateLimiter({ retry: { maxRetries: 2 } }),
+  timeoutMs = DEFAULT_CONFIG.notify.timeoutMs,
+  logger = silentLogger,
+} = {}) {
+  const active = webhooks
+    .map((hook, i) => ({
+      name: hook.name || hook.urlEnv || `webhook ${i + 1}`,
+      url: hook.url || (hook.urlEnv && env[hook.urlEnv]) || null,
+      format: hook.format || 'json',
+      on: hook.on || 'always',
+    }))
+    .filter(hook => hook.url);
+
+  async function post(hook, body) {
+    const res = await limiter.run('webhooks', () => transport(hook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    }));
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+  }
+
+  async function notify(report) {
+    const due = active.filter(hook => shouldNotify(hook.on, report));
+    if (due.length === 0) return { sent: 0, failed: 0 };
+    const digest = buildRunDigest(report);
+    let sent = 0;
+    let failed = 0;
+    await Promise.all(due.map(async hook => {
+      try {
+        await post(hook, formatNotification(digest, hook.format));
+        logger.verbose(`Notified ${hook.name} (${hook.format})`);
+        sent++;
+      } catch (err) {
+        // A lost notification is not worth failing the run over
+        logger.warn(`Could not notify ${hook.name}: ${err.name === 'TimeoutError' ? 'timed out' : err.message}`);
+        failed++;
+      }
+    }));
+    return { sent, failed };
+  }
+
+  return { webhooks: active, notify };
+}
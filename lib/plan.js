@@ -0,0 +1,197 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { systemClock } from './context.js';
+
+// Plans: every change a run would make, written to a JSON file that can be
+// reviewed (and edited) before `apply` makes exactly those changes. A plan
+// run uses the stages as they are, with the Reader and AgentMail clients
+// wrapped so their mutations are recorded instead of sent (see
+// createPlanRecorder). Each document change keeps the state the stage saw,
+// so apply can skip documents that changed in the meantime. A plan run does
+// not save the cache either; what it would have saved (ingestion ledger, feed
+// state, processed messages, last Shortlist run, ...) goes in the plan as
+// `state` (see diffState) for apply to save once the changes are made.
+
+export const PLAN_VERSION = 1;
+
+// What apply compares to find documents that changed since the plan
+function planState(doc) {
+  return {
+    location: doc.location ?? null,
+    tags: doc.tags ?? {},
+    notes: doc.notes ?? '',
+    updated_at: doc.updated_at ?? null,
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * What a run changed in the cache, as paths into cache.data with their new
+ * value, or `deleted`. Objects are compared key by key, so entries added to
+ * the cache between the plan and apply are left alone.
+ *
+ * @param {object} before - A copy of cache.data from the start of the run
+ * @param {object} after - cache.data at the end of the run
+ * @returns {{ path: string[], value?: any, deleted?: true }[]}
+ */
+export function diffState(before, after) {
+  const changes = [];
+  (function walk(was, now, path) {
+    for (const [key, value] of Object.entries(now)) {
+      const existed = Object.hasOwn(was, key);
+      if (isPlainObject(value) && (!existed || isPlainObject(was[key]))) walk(existed ? was[key] : {}, value, [...path, key]);
+      else if (!existed || JSON.stringify(value) !== JSON.stringify(was[key])) changes.push({ path: [...path, key], value });
+    }
+    for (const key of Object.keys(was)) {
+      if (!Object.hasOwn(now, key)) changes.push({ path: [...path, key], deleted: true });
+    }
+  })(before, after, []);
+  return changes;
+}
+
+/**
+ * Make the cache changes from diffState() in `data` (cache.data).
+ *
+ * @param {object} data
+ * @param {{ path: string[], value?: any, deleted?: true }[]} changes
+ */
+export function applyStateChanges(data, changes) {
+  for (const { path, value, deleted } of changes) {
+    const parents = path.slice(0, -1);
+    const key = path[path.length - 1];
+    if (deleted) {
+      const parent = parents.reduce((obj, step) => (isPlainObject(obj?.[step]) ? obj[step] : null), data);
+      if (parent) delete parent[key];
+    } else {
+      const parent = parents.reduce((obj, step) => (isPlainObject(obj[step]) ? obj[step] : (obj[step] = {})), data);
+      parent[key] = value;
+    }
+  }
+}
+
+/**
+ * Records mutations instead of making them. Stages later in the same plan see
+ * Reader with the earlier planned changes applied, as they would in a live run.
+ *
+ * @param {{ clock?: { now(): number } }} [options]
+ * @returns {{ observeReader(reader: object): object, observeAgentMail(agentMail: object|null): object|null,
+ *   changes: object[], toPlan(options: { planId: string, commands: string|null, state?: object[] }): object }}
+ */
+export function createPlanRecorder({ clock = systemClock } = {}) {
+  const changes = [];
+  // Documents as the planned changes leave them, by id
+  const planned = new Map();
+
+  function planUpdate(doc, docChanges, op, extra = {}) {
+    changes.push({
+      op,
+      docId: doc.id,
+      title: doc.title || doc.url || null,
+      url: doc.source_url || doc.url || null,
+      changes: docChanges,
+      reason: extra.reason ?? null,
+      score: extra.score ?? null,
+      before: planState(doc),
+    });
+    planned.set(doc.id, { ...doc, ...docChanges });
+  }
+
+  // A location's documents with planned changes laid over them
+  function overlay(docs, location) {
+    const ids = new Set(docs.map(doc => doc.id));
+    const moved = [...planned.values()].filter(doc => doc.location === location && !ids.has(doc.id));
+    return [...docs.map(doc => planned.get(doc.id) ?? doc), ...moved].filter(doc => doc.location === location);
+  }
+
+  /**
+   * @param {object} reader - From createReaderClient()
+   * @returns {object}
+   */
+  function observeReader(reader) {
+    return {
+      ...reader,
+      fetchDocuments: async (location, maxDocs = null) => overlay(await reader.fetchDocuments(location, maxDocs), location),
+      fetchDocument: async id => planned.get(id) ?? reader.fetchDocument(id),
+      updateDocument: async (doc, docChanges, op, extra = {}) => planUpdate(doc, docChanges, op, extra),
+      updateDocumentLocation: async (doc, location, op, extra = {}) => planUpdate(doc, { location }, op, extra),
+      saveUrl: async (url, { title = null, location = 'later', reason = null } = {}) => {
+        changes.push({ op: 'save', url, title, location, reason });
+        return { url };
+      },
+    };
+  }
+
+  /**
+   * @param {object|null} agentMail - From createAgentMailClient()
+   * @returns {object|null}
+   */
+  function observeAgentMail(agentMail) {
+    if (!agentMail) return null;
+    return {
+      ...agentMail,
+      markThreadRead: async threadId => {
+        changes.push({ op: 'mark-read', threadId, reason: 'newsletter ingested' });
+      },
+    };
+  }
+
+  function toPlan({ planId, commands = null, state = [] }) {
+    return { version: PLAN_VERSION, planId, createdAt: new Date(clock.now()).toISOString(), commands, changes, state };
+  }
+
+  return { observeReader, observeAgentMail, changes, toPlan };
+}
+
+/**
+ * @param {string} file
+ * @param {object} plan - From createPlanRecorder().toPlan()
+ */
+export function writePlan(file, plan) {
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, JSON.stringify(plan, null, 2) + '\n');
+}
+
+/**
+ * Read and check a plan file. Plans may have been edited by hand, so every
+ * change is checked for what apply needs.
+ *
+ * @param {string} file
+ * @returns {object}
+ * @throws {Error} Listing every problem found
+ */
+export function readPlan(file) {
+  if (!existsSync(file)) throw new Error(`Plan not found: ${file}`);
+  let plan;
+  try {
+    plan = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file}: not valid JSON (${err.message})`);
+  }
+  if (plan?.version !== PLAN_VERSION || !Array.isArray(plan.changes)) {
+    throw new Error(`${file}: not a version ${PLAN_VERSION} plan`);
+  }
+  const errors = [];
+  plan.changes.forEach((change, i) => {
+    const at = `changes[${i}]`;
+    if (!change || typeof change.op !== 'string') errors.push(`${at}: expected an object with an "op"`);
+    else if (change.op === 'save') {
+      if (typeof change.url !== 'string') errors.push(`${at}: a save needs a "url"`);
+    } else if (change.op === 'mark-read') {
+      if (typeof change.threadId !== 'string') errors.push(`${at}: mark-read needs a "threadId"`);
+    } else {
+      if (typeof change.docId !== 'string') errors.push(`${at}: a document change needs a "docId"`);
+      if (!change.changes || typeof change.changes !== 'object' || Array.isArray(change.changes)) errors.push(`${at}: "changes" must be an object`);
+      if (!change.before || typeof change.before !== 'object') errors.push(`${at}: "before" must be an object`);
+    }
+  });
+  if (plan.state !== undefined && !Array.isArray(plan.state)) errors.push('"state" must be a list');
+  (Array.isArray(plan.state) ? plan.state : []).forEach((change, i) => {
+    const valid = Array.isArray(change?.path) && change.path.length > 0 && change.path.every(key => typeof key === 'string');
+    if (!valid) errors.push(`state[${i}]: expected a "path" of one or more keys`);
+  });
+  if (errors.length > 0) throw new Error(`${file}: invalid plan:\n  ${errors.join('\n  ')}`);
+  return plan;
+}
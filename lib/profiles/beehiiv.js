@@ -0,0 +1,23 @@
+import { classifyGenericLink, hostOf } from '../newsletter.js';
+
+// Beehiiv newsletters. Publications live on *.beehiiv.com or their own domain
+// with posts at /p/<slug>; the rest of beehiiv.com is the platform itself.
+export default {
+  name: 'beehiiv',
+  priority: -10,
+  match: sender => /beehiiv/i.test(sender.text) || /beehiiv\.com/i.test(sender.html),
+  allow(urlObj, anchor, options) {
+    const host = hostOf(urlObj);
+    if (host === 'beehiiv.com' || host.endsWith('.beehiiv.com')) {
+      const publication = host.endsWith('.beehiiv.com') && !/^(link|mail|app|www)\./.test(host);
+      if (publication && /^\/p\/[^/]+\/?$/.test(urlObj.pathname)) {
+        return { keep: true, reason: 'Beehiiv post' };
+      }
+      return { keep: false, reason: 'Beehiiv platform link' };
+    }
+    if (/^\/(subscribe|upgrade|account|login|archive)(\/|$)/i.test(urlObj.pathname)) {
+      return { keep: false, reason: 'publication subscription page' };
+    }
+    return classifyGenericLink(urlObj, anchor, options);
+  },
+};
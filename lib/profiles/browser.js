@@ -0,0 +1,15 @@
+import { classifyGenericLink, hostOf } from '../newsletter.js';
+
+// The Browser: links out to other publications; its own site is navigation.
+export default {
+  name: 'browser',
+  priority: 10,
+  match: /the browser|thebrowser\.com|browsermedia/i,
+  allow(urlObj, anchor, options) {
+    const host = hostOf(urlObj);
+    if (host.endsWith('thebrowser.com') || host.endsWith('browsermedia.news')) {
+      return { keep: false, reason: 'The Browser site page' };
+    }
+    return classifyGenericLink(urlObj, anchor, options);
+  },
+};
@@ -0,0 +1,14 @@
+import { classifyGenericLink, hostOf } from '../newsletter.js';
+
+// Buttondown newsletters. buttondown.email / buttondown.com pages are archive
+// and subscription management, not articles.
+export default {
+  name: 'buttondown',
+  priority: -10,
+  match: sender => /buttondown/i.test(sender.text) || /buttondown\.(email|com)/i.test(sender.html),
+  allow(urlObj, anchor, options) {
+    const host = hostOf(urlObj);
+    if (/(^|\.)buttondown\.(email|com)$/.test(host)) return { keep: false, reason: 'Buttondown archive or settings page' };
+    return classifyGenericLink(urlObj, anchor, options);
+  },
+};
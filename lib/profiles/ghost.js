@@ -0,0 +1,16 @@
+import { classifyGenericLink, hostOf } from '../newsletter.js';
+
+// Ghost publications (ghost.io or a custom domain). Member portal, account
+// and RSS pages are not articles.
+export default {
+  name: 'ghost',
+  priority: -10,
+  match: sender => /ghost\.io/i.test(sender.text) || /ghost\.io|\/#\/portal\/|data-ghost/i.test(sender.html),
+  allow(urlObj, anchor, options) {
+    if (hostOf(urlObj) === 'ghost.org') return { keep: false, reason: 'Ghost platform link' };
+    if (urlObj.hash.startsWith('#/portal') || /^\/(account|signin|signup|subscribe|rss|tag|author|membership)(\/|$)/i.test(urlObj.pathname)) {
+      return { keep: false, reason: 'Ghost member or index page' };
+    }
+    return classifyGenericLink(urlObj, anchor, options);
+  },
+};
@@ -0,0 +1,24 @@
+import { classifyGenericLink, hostOf, titleFromSlug } from '../newsletter.js';
+
+// Longreads: keeps its own picks and dated stories, plus whatever it links out to.
+export default {
+  name: 'longreads',
+  priority: 10,
+  match: /longreads/i,
+  allow(urlObj, anchor, options) {
+    if (hostOf(urlObj).endsWith('longreads.com')) {
+      if (/^\/(newsletters|picks|features|reading-lists|best-of)\/[^/]+\/?$/i.test(urlObj.pathname)) {
+        return { keep: true, reason: 'Longreads pick' };
+      }
+      if (/^\/\d{4}\/\d{2}\/\d{2}\/.+/i.test(urlObj.pathname)) {
+        return { keep: true, reason: 'dated Longreads story' };
+      }
+      return { keep: false, reason: 'Longreads site page' };
+    }
+    return classifyGenericLink(urlObj, anchor, options);
+  },
+  // Story links are often "Read the story"; the slug says more
+  title(anchor, urlObj) {
+    return /^read\b/i.test(anchor.text || '') ? titleFromSlug(urlObj) : anchor.text;
+  },
+};
@@ -0,0 +1,15 @@
+import { classifyGenericLink, hostOf } from '../newsletter.js';
+
+// Mailchimp campaigns. Skips Mailchimp's own hosts (hosted archive, list
+// management, image CDN) whatever skipUrlPatterns says.
+const MAILCHIMP_HOSTS = /(^|\.)(mailchimp\.com|list-manage\.com|mcusercontent\.com|mcsv\.net|campaign-archive\.com|eepurl\.com)$/;
+
+export default {
+  name: 'mailchimp',
+  priority: -10,
+  match: sender => /mailchimp|mcsv\.net/i.test(sender.text) || /list-manage\.com|mcusercontent\.com|campaign-archive\.com/i.test(sender.html),
+  allow(urlObj, anchor, options) {
+    if (MAILCHIMP_HOSTS.test(hostOf(urlObj))) return { keep: false, reason: 'Mailchimp platform link' };
+    return classifyGenericLink(urlObj, anchor, options);
+  },
+};
@@ -0,0 +1,19 @@
+import { classifyGenericLink, hostOf } from '../newsletter.js';
+
+// NextDraft (Dave Pell): archive entries on nextdraft.com and outbound links.
+// Listed above the Substack profile because the newsletter is sent from Substack.
+export default {
+  name: 'nextdraft',
+  priority: 10,
+  match: /nextdraft|managingeditor\.substack\.com|dave pell|managing editor/i,
+  allow(urlObj, anchor, options) {
+    const host = hostOf(urlObj);
+    if (host === 'nextdraft.com') {
+      return /^\/archives\/n\d{8}\/[^/]+\/?$/i.test(urlObj.pathname)
+        ? { keep: true, reason: 'NextDraft archive entry' }
+        : { keep: false, reason: 'NextDraft site page' };
+    }
+    if (host === 'managingeditor.substack.com') return { keep: false, reason: 'NextDraft Substack page' };
+    return classifyGenericLink(urlObj, anchor, options);
+  },
+};
@@ -0,0 +1,27 @@
+import { classifyGenericLink, hostOf } from '../newsletter.js';
+
+// Any Substack publication. Posts live at <publication>/p/<slug>; every other
+// substack.com path is app, profile or subscription plumbing.
+export default {
+  name: 'substack',
+  priority: -10,
+  match: sender => /substack\.com/i.test(sender.text) || /substackcdn\.com|substack\.com\/(redirect|app-link)/i.test(sender.html),
+  allow(urlObj, anchor, options) {
+    const host = hostOf(urlObj);
+    if (host === 'substack.com' || host.endsWith('.substack.com')) {
+      if (/^\/p\/[^/]+\/?$/.test(urlObj.pathname)) {
+        const verdict = classifyGenericLink(urlObj, anchor, options);
+        return verdict.keep ? { keep: true, reason: 'Substack post' } : verdict;
+      }
+      return { keep: false, reason: 'Substack app or publication page' };
+    }
+    return classifyGenericLink(urlObj, anchor, options);
+  },
+  // The sending publication's own posts are usually this issue or self-promotion
+  postProcess(links, { thread }) {
+    const sender = (thread?.from_email || thread?.from || '').match(/([a-z0-9-]+)@substack\.com/i);
+    if (!sender) return links;
+    const ownHost = `${sender[1].toLowerCase()}.substack.com`;
+    return links.filter(link => new URL(link.url).hostname !== ownHost);
+  },
+};
@@ -0,0 +1,150 @@
+import { systemClock } from './context.js';
+import { silentLogger } from './logger.js';
+
+// Every API call is scheduled here. Each endpoint group ("list", "update",
+// "save") has its own token bucket sized from the API's per-minute limit, so a
+// read never waits on a write's budget. A 429 drains its bucket for the
+// Retry-After period; 5xx responses and network errors back off exponentially
+// with full jitter. Retries are capped, and up to `concurrency` requests may be
+// in flight at once.
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createTokenBucket(perMinute, burst, clock) {
+  const interval = 60000 / perMinute;
+  let tokens = burst;
+  let updatedAt = clock.now();
+  let pausedUntil = 0;
+
+  function refill() {
+    const now = clock.now();
+    tokens = Math.min(burst, tokens + (now - updatedAt) / interval);
+    updatedAt = now;
+  }
+
+  return {
+    // Take a token if one is free; otherwise how long to wait before asking again
+    take() {
+      refill();
+      const now = clock.now();
+      if (now < pausedUntil) return pausedUntil - now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - tokens) * interval);
+    },
+    pause(ms) {
+      refill();
+      tokens = 0;
+      pausedUntil = Math.max(pausedUntil, clock.now() + ms);
+    },
+  };
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create a scheduler that paces, throttles and retries API calls.
+ *
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.limits] - Requests per minute by bucket name;
+ *   buckets not listed here are not paced
+ * @param {number} [options.burst=1] - Requests a bucket may make back to back
+ * @param {number} [options.concurrency=4] - Requests in flight at once
+ * @param {{ maxRetries?: number, baseDelayMs?: number, maxDelayMs?: number }} [options.retry]
+ * @param {object} [options.logger]
+ * @param {{ now(): number }} [options.clock]
+ * @param {(ms: number) => Promise<void>} [options.sleep]
+ * @param {() => number} [options.random] - Jitter source, [0, 1)
+ * @returns {{ run: (bucket: string, send: () => Promise<Response>) => Promise<Response> }}
+ */
+export function createRateLimiter({
+  limits = {},
+  burst = 1,
+  concurrency = 4,
+  retry = {},
+  logger = silentLogger,
+  clock = systemClock,
+  sleep: wait = sleep,
+  random = Math.random,
+} = {}) {
+  const { maxRetries = 5, baseDelayMs = 1000, maxDelayMs = 60000 } = retry;
+  const buckets = new Map();
+  for (const [name, perMinute] of Object.entries(limits)) {
+    buckets.set(name, createTokenBucket(perMinute, burst, clock));
+  }
+
+  let active = 0;
+  const waiting = [];
+
+  async function acquireSlot() {
+    if (active < concurrency) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  async function acquireToken(bucket) {
+    if (!bucket) return;
+    for (let ms = bucket.take(); ms > 0; ms = bucket.take()) await wait(ms);
+  }
+
+  function backoff(attempt) {
+    return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+  }
+
+  async function run(bucketName, send) {
+    const bucket = buckets.get(bucketName);
+    for (let attempt = 0; ; attempt++) {
+      await acquireToken(bucket);
+      await acquireSlot();
+      let response;
+      try {
+        response = await send();
+      } catch (err) {
+        releaseSlot();
+        if (attempt >= maxRetries) throw err;
+        const ms = backoff(attempt);
+        logger.warn(`Network error (${err.message}). Retry ${attempt + 1}/${maxRetries} in ${ms}ms...`);
+        await wait(ms);
+        continue;
+      }
+      releaseSlot();
+
+      if (response.status === 429 && attempt < maxRetries) {
+        const ms = parseRetryAfter(response.headers.get('Retry-After'), clock.now()) ?? backoff(attempt);
+        logger.warn(`Rate limited. Waiting ${Math.ceil(ms / 1000)}s...`);
+        // Everything else in this bucket would be throttled too
+        bucket?.pause(ms);
+        await wait(ms);
+        continue;
+      }
+      if (response.status >= 500 && attempt < maxRetries) {
+        const ms = backoff(attempt);
+        logger.warn(`Server error ${response.status}. Retry ${attempt + 1}/${maxRetries} in ${ms}ms...`);
+        await wait(ms);
+        continue;
+      }
+      return response;
+    }
+  }
+
+  return { run };
+}
@@ -0,0 +1,210 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { silentLogger } from './logger.js';
+import { createRateLimiter } from './ratelimit.js';
+import { systemClock } from './context.js';
+
+// Mirror cursors trail the sync start by this much, so a modest clock
+// difference with Reader's servers cannot hide a change
+const CURSOR_SKEW_MS = 5 * 60 * 1000;
+
+function isReadable(doc) {
+  return doc.category !== 'highlight' && doc.category !== 'note';
+}
+
+// Which rate-limit bucket a Reader endpoint draws from
+function endpointBucket(method, endpoint) {
+  if (endpoint.includes('/update/')) return 'update';
+  if (endpoint.includes('/save/')) return 'save';
+  return method === 'GET' ? 'list' : 'update';
+}
+
+/**
+ * A rate limiter for Reader from the readwise section of a config.
+ *
+ * @param {object} [readwise] - config.readwise
+ * @param {object} [options] - Passed through to createRateLimiter()
+ */
+export function createReaderRateLimiter(readwise = DEFAULT_CONFIG.readwise, options = {}) {
+  return createRateLimiter({
+    limits: readwise.rateLimits,
+    burst: readwise.burst,
+    concurrency: readwise.concurrency,
+    retry: readwise.retry,
+    ...options,
+  });
+}
+
+/**
+ * Client for the Readwise Reader v3 API.
+ *
+ * @param {object} options
+ * @param {string} options.token - Readwise access token
+ * @param {string} [options.apiBase]
+ * @param {object} [options.limiter] - From createRateLimiter(); paces and retries every call
+ * @param {Function} [options.transport] - fetch-compatible, see createTransport()
+ * @param {object} [options.journal] - From createJournal(); every update is recorded there
+ * @param {object} [options.mirror] - From createFileMirror()/createMemoryMirror(); when
+ *   given, fetchDocuments() syncs incrementally instead of listing every page
+ * @param {object} [options.logger]
+ * @param {{ now(): number }} [options.clock]
+ */
+export function createReaderClient({
+  token,
+  apiBase = DEFAULT_CONFIG.readwise.apiBase,
+  transport = globalThis.fetch,
+  journal = null,
+  logger = silentLogger,
+  limiter = createReaderRateLimiter(DEFAULT_CONFIG.readwise, { logger }),
+  mirror = null,
+  clock = systemClock,
+}) {
+  async function request(endpoint, options = {}) {
+    const url = endpoint.startsWith('http') ? endpoint : `${apiBase}${endpoint}`;
+    const bucket = endpointBucket((options.method || 'GET').toUpperCase(), endpoint);
+    const response = await limiter.run(bucket, () => transport(url, {
+      ...options,
+      headers: {
+        'Authorization': `Token ${token}`,
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    }));
+    if (!response.ok) {
+      const err = new Error(`API error: ${response.status} ${response.statusText}`);
+      err.status = response.status;
+      throw err;
+    }
+    return response.json();
+  }
+
+  // Every page of a /list/ query. `stopAfter` ends early once that many readable docs arrived.
+  async function listAll(query, stopAfter = null) {
+    const results = [];
+    let readable = 0;
+    let cursor = null;
+    do {
+      const params = new URLSearchParams(query);
+      if (cursor) params.set('pageCursor', cursor);
+      const data = await request(`/list/?${params}`);
+      const page = data.results || [];
+      results.push(...page);
+      readable += page.filter(isReadable).length;
+      cursor = data.nextPageCursor;
+      logger.verbose(`  Fetched ${page.length} docs (total: ${results.length})`);
+      if (stopAfter && readable >= stopAfter) break;
+    } while (cursor);
+    return results;
+  }
+
+  function syncCursor(startedAt) {
+    return new Date(startedAt - CURSOR_SKEW_MS).toISOString();
+  }
+
+  async function fullSync(location) {
+    const startedAt = clock.now();
+    logger.verbose(`Fetching documents from ${location}...`);
+    const results = await listAll({ location });
+    const seen = new Set(results.map(doc => doc.id));
+    for (const doc of mirror.entries(location)) {
+      if (!seen.has(doc.id)) mirror.remove(doc.id);
+    }
+    for (const doc of results) mirror.upsert(doc);
+    mirror.setCursor(location, syncCursor(startedAt));
+    mirror.save();
+  }
+
+  async function syncLocation(location) {
+    const since = mirror.cursor(location);
+    if (!since) return fullSync(location);
+
+    const startedAt = clock.now();
+    logger.verbose(`Syncing ${location} (changes since ${since})...`);
+    // Not filtered by location, so documents that left this location show up too
+    const changed = await listAll({ updatedAfter: since });
+    for (const doc of changed) {
+      if (doc.location === location || mirror.isTracked(doc.location)) mirror.upsert(doc);
+      else mirror.remove(doc.id); // moved somewhere we don't mirror, e.g. archive
+    }
+
+    // Deletions never appear in updatedAfter results; a count mismatch means some happened
+    const { count } = await request(`/list/?location=${location}`);
+    const mirrored = mirror.entries(location).length;
+    if (count !== mirrored) {
+      logger.verbose(`  ${location}: ${mirrored} mirrored but ${count} in Reader — refetching`);
+      return fullSync(location);
+    }
+    mirror.setCursor(location, syncCursor(startedAt));
+    mirror.save();
+  }
+
+  async function fetchDocuments(location, maxDocs = null) {
+    if (!mirror) {
+      logger.verbose(`Fetching documents from ${location}...`);
+      const documents = (await listAll({ location }, maxDocs)).filter(isReadable);
+      return maxDocs ? documents.slice(0, maxDocs) : documents;
+    }
+    await syncLocation(location);
+    const documents = mirror.entries(location).filter(isReadable);
+    return maxDocs ? documents.slice(0, maxDocs) : documents;
+  }
+
+  // Documents in `location` changed since `since` (a Date), bypassing the mirror;
+  // for locations too large to mirror, like archive
+  async function fetchDocumentsUpdatedSince(location, since) {
+    logger.verbose(`Fetching ${location} documents updated since ${since.toISOString().split('T')[0]}...`);
+    return (await listAll({ location, updatedAfter: since.toISOString() })).filter(isReadable);
+  }
+
+  // One document by id, wherever it is (archive included), or null
+  async function fetchDocument(id) {
+    const data = await request(`/list/?${new URLSearchParams({ id })}`);
+    return data.results?.[0] ?? null;
+  }
+
+  // Highlight count per document id. Highlights sit outside the document
+  // locations, so they are listed by category
+  async function fetchHighlightCounts() {
+    logger.verbose('Fetching highlights...');
+    const counts = new Map();
+    for (const highlight of await listAll({ category: 'highlight' })) {
+      if (highlight.parent_id) counts.set(highlight.parent_id, (counts.get(highlight.parent_id) || 0) + 1);
+    }
+    return counts;
+  }
+
+  // Every Reader mutation goes through here so it lands in the journal
+  async function updateDocument(doc, changes, op, extra = {}) {
+    try {
+      await request(`/update/${doc.id}/`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes),
+      });
+    } catch (err) {
+      if (err.status === 404) mirror?.remove(doc.id);
+      throw err;
+    }
+    // Keep the mirror right for later stages in this run; the next sync refreshes it anyway
+    const mirrored = mirror?.get(doc.id);
+    if (mirrored) mirror.upsert({ ...mirrored, ...changes });
+    journal?.append({
+      op,
+      docId: doc.id,
+      title: doc.title || doc.url || null,
+      before: { location: doc.location ?? null, tags: doc.tags ?? {}, notes: doc.notes ?? '' },
+      after: changes,
+      ...extra,
+    });
+  }
+
+  async function updateDocumentLocation(doc, location, op, extra = {}) {
+    await updateDocument(doc, { location }, op, extra);
+  }
+
+  async function saveUrl(url, { title = null, location = 'later' } = {}) {
+    const body = { url, location };
+    if (title) body.title = title;
+    return request('/save/', { method: 'POST', body: JSON.stringify(body) });
+  }
+
+  return { request, fetchDocuments, fetchDocumentsUpdatedSince, fetchDocument, fetchHighlightCounts, updateDocument, updateDocumentLocation, saveUrl };
+}
@@ -0,0 +1,107 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { createRateLimiter } from './ratelimit.js';
+import { systemClock } from './context.js';
+import { silentLogger } from './logger.js';
+
+// Opaque click trackers (link.mail.beehiiv.com/ss/c/..., click.ghost.io/...)
+// hide the article URL entirely, so normalizeNewsletterUrl() cannot unwrap
+// them. The resolver follows their HTTP redirects instead: HEAD first, GET
+// when a tracker refuses HEAD, never sending or keeping cookies. It stops at
+// the first URL that is no longer a tracker, so the publisher's own site is
+// never requested. Resolutions
+// are kept in the run-to-run cache under `redirects`, so each tracker URL is
+// only followed once.
+
+// Resolutions older than this are dropped, so the cache does not grow forever
+const RESOLUTION_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+const META_REFRESH_RE = /<meta[^>]+http-equiv=["']?refresh["']?[^>]*content=["']?\s*\d*\s*;\s*url=([^"'>\s]+)/i;
+
+/**
+ * @param {object} options
+ * @param {{ data: object }} options.cache - Resolutions are stored in cache.data.redirects
+ * @param {Function} [options.transport] - fetch-compatible, see createTransport()
+ * @param {object} [options.limiter] - From createRateLimiter()
+ * @param {RegExp[]} [options.trackerPatterns] - URLs that are followed; the chain
+ *   ends at the first URL matching none of them
+ * @param {number} [options.maxHops] - Redirects followed before giving up
+ * @param {number} [options.timeoutMs] - Per request
+ * @param {{ now(): number }} [options.clock]
+ * @param {object} [options.logger]
+ * @returns {{ resolve(url: string): Promise<string|null>, resolveAll(urls: string[]): Promise<Map<string, string>> }}
+ */
+export function createRedirectResolver({
+  cache,
+  transport = globalThis.fetch,
+  limiter = createRateLimiter({ retry: { maxRetries: 1 } }),
+  trackerPatterns = DEFAULT_CONFIG.ingest.redirects.trackerPatterns,
+  maxHops = DEFAULT_CONFIG.ingest.redirects.maxHops,
+  timeoutMs = DEFAULT_CONFIG.ingest.redirects.timeoutMs,
+  clock = systemClock,
+  logger = silentLogger,
+}) {
+  const resolutions = (cache.data.redirects ||= {});
+  for (const [url, entry] of Object.entries(resolutions)) {
+    if (clock.now() - new Date(entry.at).getTime() > RESOLUTION_TTL_MS) delete resolutions[url];
+  }
+
+  function hop(url, method) {
+    return limiter.run('redirects', () => transport(url, {
+      method,
+      redirect: 'manual',
+      credentials: 'omit',
+      headers: { 'Accept': 'text/html,*/*;q=0.8' },
+      signal: AbortSignal.timeout(timeoutMs),
+    }));
+  }
+
+  // The next URL in the chain, or null when `url` is where it ends
+  async function next(url) {
+    let res = await hop(url, 'HEAD');
+    // Some trackers refuse HEAD (405, 403, ...) but redirect a GET
+    if (res.status >= 400) res = await hop(url, 'GET');
+    const location = res.headers.get('location');
+    if (res.status >= 300 && res.status < 400 && location) return new URL(location, url).toString();
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    // A 200 page that redirects with <meta http-equiv="refresh">
+    if (res.body && /html/i.test(res.headers.get('content-type') || '')) {
+      const refresh = (await res.text()).match(META_REFRESH_RE);
+      if (refresh) return new URL(refresh[1].replace(/&amp;/g, '&'), url).toString();
+    }
+    return null;
+  }
+
+  async function follow(start) {
+    const visited = new Set([start]);
+    let url = start;
+    for (let hops = 0; hops < maxHops; hops++) {
+      const target = await next(url);
+      if (!target || !trackerPatterns.some(p => p.test(target))) return target || url;
+      if (visited.has(target)) throw new Error('redirect loop');
+      visited.add(target);
+      url = target;
+    }
+    throw new Error(`more than ${maxHops} redirects`);
+  }
+
+  async function resolve(url) {
+    if (resolutions[url]) return resolutions[url].target;
+    try {
+      const target = await follow(url);
+      // A tracker that answers directly (no redirect) resolves to nothing new
+      if (target === url) return null;
+      resolutions[url] = { target, at: new Date(clock.now()).toISOString() };
+      return target;
+    } catch (err) {
+      logger.verbose(`  Could not resolve ${url}: ${err.name === 'TimeoutError' ? 'timed out' : err.message}`);
+      return null;
+    }
+  }
+
+  async function resolveAll(urls) {
+    const targets = await Promise.all(urls.map(resolve));
+    return new Map(urls.map((url, i) => [url, targets[i]]).filter(([, target]) => target));
+  }
+
+  return { resolve, resolveAll };
+}
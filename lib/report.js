@@ -0,0 +1,186 @@
+import { systemClock } from './context.js';
+
+// One record of everything a run did: each stage's counts, timing and
+// outcome, and every Reader change it made (or failed to make) with the
+// reason the stage gave. Changes are captured by wrapping the Reader client
+// (see observeReader), so stages need no report-specific code. Rendered as
+// JSON for machines and Markdown for GitHub step summaries.
+
+// Per-document rows shown per stage in Markdown; JSON always has all of them
+const MARKDOWN_ACTION_LIMIT = 50;
+
+// Counts worth reporting from a stage's return value: top-level numbers, and
+// lengths of top-level lists. processFeed() groups its counts by rule.
+function summarizeCounts(name, result) {
+  if (Array.isArray(result)) return { documents: result.length };
+  if (!result || typeof result !== 'object') return {};
+  const counts = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (typeof value === 'number') counts[key] = value;
+    else if (Array.isArray(value)) counts[key] = value.length;
+  }
+  if (name === 'feed' && result.byRule) {
+    for (const { rule, titles } of Object.values(result.byRule)) counts[`rule:${rule}`] = (counts[`rule:${rule}`] || 0) + titles.length;
+  }
+  return counts;
+}
+
+function describeChanges(changes) {
+  return Object.entries(changes).map(([key, value]) => {
+    if (key === 'location') return `→ ${value}`;
+    if (key === 'tags') return `tag ${Object.keys(value).join(', ')}`;
+    return `set ${key}`;
+  }).join(', ');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.runId - Usually the journal's run ID
+ * @param {string|null} [options.command] - The commands run, e.g. "ingest shortlist"
+ * @param {boolean} [options.dryRun]
+ * @param {{ now(): number }} [options.clock]
+ * @returns {{ observeReader(reader: object): object, stage(name: string, run: Function): Promise<any>,
+ *   finish(options?: { error?: string }): object }}
+ */
+export function createRunReport({ runId, command = null, dryRun = false, clock = systemClock }) {
+  const startedAt = clock.now();
+  const stages = [];
+  let current = null;
+
+  function record(action) {
+    if (current) current.actions.push(action);
+  }
+
+  /**
+   * The Reader client with every mutation recorded against the running stage.
+   *
+   * @param {object} reader - From createReaderClient()
+   * @returns {object}
+   */
+  function observeReader(reader) {
+    async function observe(entry, mutate) {
+      try {
+        const result = await mutate();
+        record({ ...entry, ok: true });
+        return result;
+      } catch (err) {
+        record({ ...entry, ok: false, error: err.message });
+        throw err;
+      }
+    }
+    return {
+      ...reader,
+      updateDocument: (doc, changes, op, extra = {}) => observe(
+        { op, docId: doc.id, title: doc.title || doc.url || null, url: doc.source_url || doc.url || null, changes, reason: extra.reason ?? (extra.undoOf ? `undo of ${extra.undoOf}` : null) },
+        () => reader.updateDocument(doc, changes, op, extra),
+      ),
+      updateDocumentLocation: (doc, location, op, extra = {}) => observe(
+        { op, docId: doc.id, title: doc.title || doc.url || null, url: doc.source_url || doc.url || null, changes: { location }, reason: extra.reason ?? null },
+        () => reader.updateDocumentLocation(doc, location, op, extra),
+      ),
+      saveUrl: (url, options = {}) => observe(
+        { op: 'save', docId: null, title: options.title || url, url, changes: { location: options.location || 'later' }, reason: options.reason ?? null },
+        () => reader.saveUrl(url, options),
+      ),
+    };
+  }
+
+  /**
+   * Run one stage, timing it and keeping its result's counts. Errors are
+   * recorded and rethrown.
+   *
+   * @param {string} name
+   * @param {() => Promise<any>} run
+   * @returns {Promise<any>} What run() returned
+   */
+  async function stage(name, run) {
+    current = { name, startedAt: new Date(clock.now()).toISOString(), durationMs: 0, status: 'ok', error: null, counts: {}, actions: [] };
+    stages.push(current);
+    const began = clock.now();
+    try {
+      const result = await run();
+      current.counts = summarizeCounts(name, result);
+      return result;
+    } catch (err) {
+      current.status = 'error';
+      current.error = err.message;
+      throw err;
+    } finally {
+      current.durationMs = clock.now() - began;
+      current = null;
+    }
+  }
+
+  // `error`: what stopped the run outside any stage, e.g. a bad argument
+  function finish({ error = null } = {}) {
+    const finishedAt = clock.now();
+    const actions = stages.flatMap(s => s.actions);
+    return {
+      runId,
+      command,
+      dryRun,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - startedAt,
+      status: error || stages.some(s => s.status === 'error') ? 'error' : 'ok',
+      error,
+      totals: {
+        stages: stages.length,
+        changes: actions.filter(a => a.ok).length,
+        failures: actions.filter(a => !a.ok).length + stages.filter(s => s.status === 'error').length,
+      },
+      stages,
+    };
+  }
+
+  return { observeReader, stage, finish };
+}
+
+// ─── Markdown ────────────────────────────────────────────────────────────────
+
+function cell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Render a report from createRunReport().finish() as Markdown, for
+ * $GITHUB_STEP_SUMMARY or a chat message.
+ *
+ * @param {object} report
+ * @returns {string}
+ */
+export function formatReportMarkdown(report) {
+  const lines = [];
+  const mode = report.dryRun ? 'dry run' : 'live';
+  const title = report.command ? `\`${report.command}\`` : report.stages.map(s => s.name).join(', ') || 'no stages';
+  lines.push(`### ${report.status === 'ok' ? '✅' : '❌'} Reader run ${report.runId}: ${title}`);
+  lines.push('');
+  lines.push(`${report.startedAt} · ${mode} · ${seconds(report.durationMs)} · ${report.totals.changes} change(s), ${report.totals.failures} failure(s)`);
+  if (report.dryRun) lines.push('', '_Dry run: counts show what would change; nothing was changed._');
+  if (report.error && !report.stages.some(s => s.status === 'error')) lines.push('', `**Error:** ${report.error}`);
+  if (report.stages.length === 0) return lines.join('\n') + '\n';
+
+  lines.push('', '| Stage | Status | Time | Counts |', '|-------|--------|------|--------|');
+  for (const s of report.stages) {
+    const counts = Object.entries(s.counts).map(([key, n]) => `${key} ${n}`).join(', ');
+    lines.push(`| ${cell(s.name)} | ${s.status === 'ok' ? 'ok' : `**error**: ${cell(s.error)}`} | ${seconds(s.durationMs)} | ${cell(counts) || '—'} |`);
+  }
+
+  for (const s of report.stages.filter(s => s.actions.length > 0)) {
+    const failed = s.actions.filter(a => !a.ok).length;
+    lines.push('', `<details><summary>${cell(s.name)}: ${s.actions.length - failed} change(s)${failed ? `, ${failed} failed` : ''}</summary>`, '');
+    lines.push('| Action | Document | Reason |', '|--------|----------|--------|');
+    for (const a of s.actions.slice(0, MARKDOWN_ACTION_LIMIT)) {
+      const action = `${a.op} ${describeChanges(a.changes)}${a.ok ? '' : ` — **failed**: ${a.error}`}`;
+      const title = a.url ? `[${cell(a.title).replace(/[[\]]/g, '')}](${a.url})` : cell(a.title);
+      lines.push(`| ${cell(action)} | ${title} | ${cell(a.reason) || '—'} |`);
+    }
+    if (s.actions.length > MARKDOWN_ACTION_LIMIT) lines.push('', `… and ${s.actions.length - MARKDOWN_ACTION_LIMIT} more (see the JSON report)`);
+    lines.push('', '</details>');
+  }
+  return lines.join('\n') + '\n';
+}
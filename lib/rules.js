@@ -0,0 +1,82 @@
+import { DEFAULT_CONFIG } from './config.js';
+import { getDomain, scoreDoc } from './scoring.js';
+
+// Feed triage: config.feed.rules are tried in order and the first match wins;
+// when none match, the "default" rule applies config.feed.defaultAction.
+
+export function hasReadMarker(doc, { config = DEFAULT_CONFIG } = {}) {
+  return (doc.summary || '').includes(config.readMarker) || (doc.notes || '').includes(config.readMarker);
+}
+
+export function hasSummary(doc) {
+  return (doc.summary || '').length > 0;
+}
+
+function inRange(value, range) {
+  if (range.min !== undefined && value < range.min) return false;
+  if (range.max !== undefined && value > range.max) return false;
+  return true;
+}
+
+function ruleMatches(rule, doc, getScore, options) {
+  const match = rule.match || {};
+  if (match.domain) {
+    const domain = getDomain(doc);
+    if (!match.domain.some(d => domain === d || domain.endsWith('.' + d))) return false;
+  }
+  if (match.category) {
+    const category = (doc.category || '').toLowerCase();
+    if (!match.category.some(c => c.toLowerCase() === category)) return false;
+  }
+  if (match.tags) {
+    const tags = Object.keys(doc.tags || {}).map(t => t.toLowerCase());
+    if (!match.tags.some(t => tags.includes(t.toLowerCase()))) return false;
+  }
+  if (match.author && !match.author.test(doc.author || '')) return false;
+  if (match.title && !match.title.test(doc.title || '')) return false;
+  if (match.summary && !match.summary.test(doc.summary || '')) return false;
+  if (match.notes && !match.notes.test(doc.notes || '')) return false;
+  if (match.wordCount && !inRange(doc.word_count || 0, match.wordCount)) return false;
+  if (match.hasSummary !== undefined && hasSummary(doc) !== match.hasSummary) return false;
+  if (match.readMarker !== undefined && hasReadMarker(doc, options) !== match.readMarker) return false;
+  // Scoring is the most expensive check, so it runs last and at most once per doc
+  if (match.score && !inRange(getScore(), match.score)) return false;
+  return true;
+}
+
+/**
+ * The feed rule that fires for a document.
+ *
+ * @param {object} doc - Reader document
+ * @param {{ config?: object, now?: number }} [options]
+ * @returns {{ name: string, match?: object, action: object, recheck?: boolean }}
+ */
+export function matchFeedRule(doc, options = {}) {
+  const { config = DEFAULT_CONFIG } = options;
+  let score;
+  const getScore = () => (score ??= scoreDoc(doc, options).score);
+  return config.feed.rules.find(rule => ruleMatches(rule, doc, getScore, options))
+    || { name: 'default', action: config.feed.defaultAction };
+}
+
+// Fields for a single PATCH /update/ call, or null when the action changes nothing
+export function buildRuleChanges(doc, action) {
+  const changes = {};
+  if (action.location) changes.location = action.location;
+  if (action.addTags?.length) {
+    changes.tags = { ...(doc.tags || {}) };
+    for (const tag of action.addTags) changes.tags[tag] = { name: tag };
+  }
+  if (action.appendNote) {
+    changes.notes = doc.notes ? `${doc.notes}\n\n${action.appendNote}` : action.appendNote;
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+export function describeRuleAction(action) {
+  const parts = [];
+  if (action.location) parts.push(`move to ${action.location}`);
+  if (action.addTags?.length) parts.push(`tag ${action.addTags.join(', ')}`);
+  if (action.appendNote) parts.push('append note');
+  return parts.length > 0 ? parts.join(', ') : 'leave in Feed';
+}
@@ -0,0 +1,333 @@
+import { DEFAULT_CONFIG } from './config.js';
+
+// ─── Taxonomy ────────────────────────────────────────────────────────────────
+
+/**
+ * Topic cluster a document belongs to, used for Shortlist diversity.
+ *
+ * @param {object} doc - Reader document
+ * @param {{ config?: object }} [options]
+ * @returns {string} A key of config.topicClusters, or "other"
+ */
+export function detectCluster(doc, { config = DEFAULT_CONFIG } = {}) {
+  const text = ((doc.title || '') + ' ' + (doc.summary || '')).toLowerCase();
+  for (const [cluster, keywords] of Object.entries(config.topicClusters)) {
+    if (keywords.some(kw => text.includes(kw))) return cluster;
+  }
+  return 'other';
+}
+
+/**
+ * The first config.librarySignals phrase found in a document's title or summary.
+ *
+ * @param {object} doc
+ * @param {{ config?: object }} [options]
+ * @returns {string|null}
+ */
+export function matchLibrarySignal(doc, { config = DEFAULT_CONFIG } = {}) {
+  const text = ((doc.title || '') + ' ' + (doc.summary || '')).toLowerCase();
+  return config.librarySignals.find(s => text.includes(s)) ?? null;
+}
+
+/**
+ * Whether a document reads like reference/how-to material that belongs under
+ * the library tag rather than on the Shortlist.
+ *
+ * @param {object} doc
+ * @param {{ config?: object }} [options]
+ * @returns {boolean}
+ */
+export function isLibraryContent(doc, { config = DEFAULT_CONFIG } = {}) {
+  return matchLibrarySignal(doc, { config }) !== null;
+}
+
+/**
+ * Videos, PDFs and podcasts, which must clear a higher Shortlist bar.
+ *
+ * @param {object} doc
+ * @returns {boolean}
+ */
+export function isHeavyFormat(doc) {
+  const cat = (doc.category || '').toLowerCase();
+  return cat === 'video' || cat === 'pdf' || cat === 'podcast';
+}
+
+/**
+ * Host of a document's URL without a leading www., or "unknown".
+ *
+ * @param {object} doc
+ * @returns {string}
+ */
+export function getDomain(doc) {
+  try {
+    return new URL(doc.url || '').hostname.replace(/^www\./, '');
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Whether a document is a newsletter issue page rather than an article it links to.
+ *
+ * @param {object} doc
+ * @returns {boolean}
+ */
+export function isNewsletterWrapperDoc(doc) {
+  try {
+    const u = new URL(doc.url || '');
+    const host = u.hostname.replace(/^www\./, '');
+    const path = u.pathname || '/';
+
+    if (host === 'thebrowser.com' || host === 'browsermedia.news') return true;
+    if (host === 'nextdraft.com') return true;
+    if (host === 'managingeditor.substack.com') return true;
+    if (host === 'longreads.com' && /^\/newsletters\//i.test(path)) return true;
+
+    return false;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * What reading affinity is learned and looked up by: the document's domain,
+ * author and topic cluster. Unknown domains, missing authors and the "other"
+ * cluster are left out.
+ *
+ * @param {object} doc
+ * @param {{ config?: object }} [options]
+ * @returns {[string, string][]} [dimension, key] pairs, e.g. ["domain", "example.com"]
+ */
+export function affinityKeys(doc, { config = DEFAULT_CONFIG } = {}) {
+  const keys = [];
+  const domain = getDomain(doc);
+  if (domain !== 'unknown') keys.push(['domain', domain]);
+  const author = (doc.author || '').trim().toLowerCase();
+  if (author) keys.push(['author', author]);
+  const cluster = detectCluster(doc, { config });
+  if (cluster !== 'other') keys.push(['cluster', cluster]);
+  return keys;
+}
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+
+/**
+ * Score a document for the Shortlist.
+ *
+ * @param {object} doc - Reader document
+ * @param {{ config?: object, now?: number, affinity?: object }} [options] - now is
+ *   epoch ms, for recency; affinity is a model from buildAffinityModel()
+ * @returns {{ score: number, breakdown: string[], shortlist: boolean }}
+ */
+export function scoreDoc(doc, { config = DEFAULT_CONFIG, now = Date.now(), affinity = null } = {}) {
+  let score = 0;
+  const breakdown = [];
+  const title = (doc.title || '').toLowerCase();
+  const category = (doc.category || 'article').toLowerCase();
+  const summary = doc.summary || '';
+  const url = doc.url || '';
+  const readingProgress = doc.reading_progress || 0;
+  const wordCount = doc.word_count || 0;
+  const savedAt = doc.saved_at || doc.created_at;
+
+  // --- Category (0-30 pts) ---
+  let catScore = 0;
+  if (category === 'article') catScore = 30;
+  else if (category === 'pdf') catScore = 20;
+  else if (category === 'tweet') {
+    const isThread = title.includes('🧵') || title.includes('thread') || wordCount > 200;
+    catScore = isThread ? 20 : 5;
+  } else if (category === 'email') catScore = 5;
+  else catScore = 10; // video, podcast, etc.
+  score += catScore;
+  breakdown.push(`category(${category}): +${catScore}`);
+
+  // --- Summary quality (0-35 pts) ---
+  let summaryScore = 0;
+  if (summary.length > 100) {
+    summaryScore += 15;
+    breakdown.push('summary_base: +15');
+    if (summary.length > 300) { summaryScore += 5; breakdown.push('summary_long: +5'); }
+    const dataSignals = ['%', '$', 'study', 'research', 'found that', 'according to',
+      'survey', 'data shows', 'report', 'analysis'];
+    if (dataSignals.some(s => summary.toLowerCase().includes(s))) {
+      summaryScore += 5;
+      breakdown.push('summary_data_signals: +5');
+    }
+    const titleWords = (doc.title || '').toLowerCase().split(/\s+/).filter(w => w.length > 4);
+    const summaryLower = summary.toLowerCase();
+    const overlapRatio = titleWords.length > 0
+      ? titleWords.filter(w => summaryLower.includes(w)).length / titleWords.length
+      : 1;
+    if (overlapRatio < 0.4) { summaryScore += 5; breakdown.push('summary_non_redundant: +5'); }
+    if (/[""\u201C\u201D].{20,}[""\u201C\u201D]/.test(summary)) {
+      summaryScore += 5;
+      breakdown.push('summary_has_quote: +5');
+    }
+    const summarySpam = ['this newsletter', "this week's edition", 'roundup of',
+      'this issue', 'links this week', 'curated links'];
+    if (summarySpam.some(s => summary.toLowerCase().includes(s))) {
+      summaryScore -= 10;
+      breakdown.push('summary_spam: -10');
+    }
+  }
+
+  // Writing fuel signal (+5): suggests an angle worth thinking/blogging about
+  const writingFuelSignals = ['argues that', 'counterintuitive', 'most people',
+    'the real reason', 'unpopular opinion', 'this changes', 'what nobody',
+    'the problem with', 'case for', 'case against', 'why most', 'overlooked'];
+  if (writingFuelSignals.some(s => (summary + title).toLowerCase().includes(s))) {
+    summaryScore += 5;
+    breakdown.push('writing_fuel: +5');
+  }
+
+  score += summaryScore;
+
+  // --- Recency (0-20 pts) ---
+  let recencyScore = 0;
+  if (savedAt) {
+    const daysSaved = Math.floor((now - new Date(savedAt)) / (1000 * 60 * 60 * 24));
+    if (daysSaved <= 7) recencyScore = 20;
+    else if (daysSaved <= 14) recencyScore = 15;
+    else if (daysSaved <= 30) recencyScore = 10;
+    else if (daysSaved <= 60) recencyScore = 5;
+    score += recencyScore;
+    breakdown.push(`recency(${daysSaved}d): +${recencyScore}`);
+  }
+
+  // --- Reading progress (0-15 pts) ---
+  let progressScore = 0;
+  const pct = readingProgress * 100;
+  if (pct > 0 && pct < 90) progressScore = 15;
+  else if (pct === 0) progressScore = 5;
+  score += progressScore;
+  breakdown.push(`progress(${Math.round(pct)}%): +${progressScore}`);
+
+  // --- Spam title penalty (-30 pts) ---
+  if (config.spamTitleSignals.some(s => title.includes(s))) {
+    score -= 30;
+    breakdown.push('spam_title: -30');
+  }
+
+  // --- Newsletter wrapper penalty (hard block) ---
+  if (isNewsletterWrapperDoc(doc)) {
+    score -= 100;
+    breakdown.push('newsletter_wrapper: -100');
+  }
+
+  // --- Domain boost (+15 pts) ---
+  try {
+    const hostname = new URL(url).hostname.replace(/^www\./, '');
+    if (config.trustedDomains.some(d => hostname === d || hostname.endsWith('.' + d))) {
+      score += 15;
+      breakdown.push(`trusted_domain(${hostname}): +15`);
+    }
+  } catch (_) {}
+
+  // --- Learned affinity (±maxPoints per domain, author and cluster) ---
+  if (affinity) {
+    for (const [dimension, key] of affinityKeys(doc, { config })) {
+      const weight = affinity.weights[dimension]?.[key];
+      if (!weight?.points) continue;
+      score += weight.points;
+      breakdown.push(`affinity_${dimension}(${key}: ${weight.read} read, ${weight.skipped} skipped): ${weight.points > 0 ? '+' : ''}${weight.points}`);
+    }
+  }
+
+  return { score, breakdown, shortlist: score >= config.shortlist.threshold };
+}
+
+/**
+ * Split scoreDoc() breakdown entries into their parts. The points of all
+ * entries add up to the score.
+ *
+ * @param {string[]} breakdown - e.g. ["category(article): +30", "spam_title: -30"]
+ * @returns {{ name: string, detail: string|null, points: number }[]}
+ */
+export function parseBreakdown(breakdown) {
+  return breakdown.map(entry => {
+    const [, name, detail = null, points] = entry.match(/^(\w+)(?:\((.*)\))?: ([+-]\d+)$/);
+    return { name, detail, points: Number(points) };
+  });
+}
+
+// ─── Notes ───────────────────────────────────────────────────────────────────
+
+/**
+ * Plain-language note explaining why a document was shortlisted.
+ *
+ * @param {number} score
+ * @param {string[]} breakdown - From scoreDoc()
+ * @param {boolean} [decayApplied]
+ * @returns {string}
+ */
+export function humanizeShortlistReason(score, breakdown, decayApplied) {
+  const reasons = [];
+
+  const category = breakdown.find((b) => b.startsWith('category('));
+  if (category?.includes('article')) reasons.push('it\'s a full article');
+  else if (category?.includes('email')) reasons.push('it looks like a high-signal newsletter');
+  else if (category?.includes('tweet')) reasons.push('it looks like a worthwhile thread or tweet');
+  else if (category?.includes('video')) reasons.push('it\'s a video that scored unusually well');
+  else if (category?.includes('pdf')) reasons.push('it\'s a document worth your time');
+
+  const recency = breakdown.find((b) => b.startsWith('recency('));
+  if (recency) {
+    const m = recency.match(/recency\((\d+)d\)/);
+    if (m) {
+      const days = Number(m[1]);
+      if (days <= 3) reasons.push('it\'s very recent');
+      else if (days <= 7) reasons.push('it\'s still fresh');
+      else reasons.push('it\'s older but still worth surfacing');
+    }
+  }
+
+  if (breakdown.some((b) => b.startsWith('trusted_domain('))) {
+    reasons.push('it came from a source worth paying attention to');
+  }
+
+  if (breakdown.some((b) => /^affinity_\w+\(.*\): \+\d+$/.test(b))) {
+    reasons.push('you usually read pieces like this');
+  }
+
+  if (breakdown.some((b) => b.includes('writing_fuel'))) {
+    reasons.push('the angle seems worth thinking about');
+  } else if (breakdown.some((b) => b.startsWith('summary_base'))) {
+    reasons.push('the summary suggests there\'s real substance here');
+  }
+
+  if (breakdown.some((b) => b.includes('newsletter_wrapper'))) {
+    reasons.push('it is probably a newsletter wrapper, not the real article');
+  }
+
+  const cleanReasons = [...new Set(reasons)].slice(0, 3);
+  const why = cleanReasons.length
+    ? cleanReasons.join(', ')
+    : 'it scored well across freshness, substance, and source quality';
+
+  const suffix = decayApplied ? ' (survived decay — still worth opening)' : '';
+  return `Worth reading soon: ${why}. Score: ${score}.${suffix}`;
+}
+
+/**
+ * Whether a document note is one runShortlisting() wrote (see
+ * humanizeShortlistReason()) rather than the reader's own.
+ *
+ * @param {string} notes
+ * @returns {boolean}
+ */
+export function isShortlistNote(notes = '') {
+  return /^Worth reading soon: .*Score: -?\d+\.( \(survived decay — still worth opening\))?$/s.test(notes.trim());
+}
+
+/**
+ * Whether a document has a note the reader wrote: not a shortlisting note
+ * and not only "dup-of:" lines.
+ *
+ * @param {object} doc
+ * @returns {boolean}
+ */
+export function hasOwnNote(doc) {
+  const notes = (doc.notes || '').split('\n').filter(line => !line.startsWith('dup-of: ')).join('\n').trim();
+  return Boolean(notes) && !isShortlistNote(notes);
+}
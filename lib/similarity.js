@@ -0,0 +1,149 @@
+// Near-duplicate detection for stories covered by several outlets. Each
+// document's title and Ghostreader summary become a set of shingles: content
+// words, plus an extra shingle for each name or number ("OpenAI", "GPT-5"),
+// since outlets paraphrase the prose but not the names;
+// MinHash signatures estimate the Jaccard similarity of two sets cheaply, and
+// documents above a threshold are joined into story groups. Everything is
+// computed locally and deterministically (fixed hash seeds).
+
+const SIGNATURE_SIZE = 128;
+
+// Too short to compare: a bare title shares most of its words with anything on the topic
+const MIN_SHINGLES = 6;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'for', 'from',
+  'has', 'have', 'how', 'in', 'into', 'is', 'it', 'its', 'new', 'not', 'of', 'on', 'or',
+  'our', 'says', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'what', 'when', 'which',
+  'who', 'why', 'will', 'with', 'you', 'your', 'after', 'about', 'more', 'than', 'they',
+  'now', 'said', 'today',
+]);
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3 finalizer: one independent-looking hash per seed from a base hash
+function mix(value, seed) {
+  let h = (value ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => hashString(`minhash-${i}`));
+
+// Crude stemming, so "launches", "launched" and "launch" match
+function stem(word) {
+  return word.length > 4 ? word.replace(/(ing|ed|es|e|s)$/, '') : word;
+}
+
+function tokens(text) {
+  return text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Capitalized words not starting a sentence, and words with digits or inner capitals
+function names(text) {
+  const found = [];
+  for (const sentence of text.split(/[.!?:;]\s+/)) {
+    tokens(sentence).forEach((token, i) => {
+      const distinctive = /\d/.test(token) || /\p{Lu}/u.test(token.slice(1));
+      if (distinctive || (i > 0 && /^\p{Lu}/u.test(token))) found.push(stem(token.toLowerCase()));
+    });
+  }
+  return found;
+}
+
+/**
+ * Shingles of a document's title and summary: stemmed content words, and
+ * each name or number again as "#name".
+ *
+ * @param {{ title?: string, summary?: string }} doc
+ * @returns {Set<string>}
+ */
+export function storyShingles(doc) {
+  const text = `${doc.title || ''}. ${doc.summary || ''}`;
+  const words = tokens(text.toLowerCase()).filter(word => !STOPWORDS.has(word)).map(stem);
+  return new Set([...words, ...names(text).map(name => `#${name}`)]);
+}
+
+/**
+ * @param {Set<string>} shingles
+ * @returns {number[]} MinHash signature
+ */
+export function minhashSignature(shingles) {
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const base = hashString(shingle);
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const h = mix(base, SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of the shingle sets behind two signatures.
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} 0..1
+ */
+export function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) if (a[i] === b[i]) same++;
+  return same / SIGNATURE_SIZE;
+}
+
+/**
+ * Estimated similarity of two documents' stories (title and summary).
+ *
+ * @param {object} a
+ * @param {object} b
+ * @returns {number} 0..1
+ */
+export function storySimilarity(a, b) {
+  return estimateSimilarity(minhashSignature(storyShingles(a)), minhashSignature(storyShingles(b)));
+}
+
+/**
+ * Group documents that tell the same story. Grouping is transitive: if A
+ * matches B and B matches C, all three form one group.
+ *
+ * @param {object[]} docs
+ * @param {{ threshold: number }} options - Minimum estimated similarity, 0..1
+ * @returns {object[][]} Groups of two or more documents, in input order
+ */
+export function findStoryGroups(docs, { threshold }) {
+  const signatures = docs.map(doc => {
+    const shingles = storyShingles(doc);
+    return shingles.size >= MIN_SHINGLES ? minhashSignature(shingles) : null;
+  });
+
+  // Union-find over document indexes
+  const parent = docs.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < docs.length; i++) {
+    if (!signatures[i]) continue;
+    for (let j = i + 1; j < docs.length; j++) {
+      if (signatures[j] && estimateSimilarity(signatures[i], signatures[j]) >= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  docs.forEach((doc, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(doc);
+  });
+  return [...groups.values()].filter(members => members.length > 1);
+}
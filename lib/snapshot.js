@@ -0,0 +1,162 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { dirname, join } from 'path';
+
+// Snapshots: every document in some Reader locations, with what it takes to
+// put it back (location and tags) and what helps a person check it (title,
+// URL, notes, progress, timestamps). Written as JSON, which restore reads,
+// and CSV for spreadsheets, side by side under the same name.
+
+export const SNAPSHOT_VERSION = 1;
+
+const CSV_COLUMNS = ['id', 'url', 'title', 'location', 'tags', 'notes', 'reading_progress', 'saved_at', 'created_at', 'updated_at', 'last_opened_at'];
+
+/**
+ * What a snapshot keeps of one document.
+ *
+ * @param {object} doc - Reader document
+ * @returns {object}
+ */
+export function snapshotRecord(doc) {
+  return {
+    id: doc.id,
+    url: doc.source_url || doc.url || null,
+    title: doc.title || null,
+    location: doc.location ?? null,
+    tags: doc.tags || {},
+    notes: doc.notes || '',
+    reading_progress: doc.reading_progress ?? 0,
+    saved_at: doc.saved_at ?? null,
+    created_at: doc.created_at ?? null,
+    updated_at: doc.updated_at ?? null,
+    last_opened_at: doc.last_opened_at ?? null,
+  };
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A snapshot's documents as CSV, one row each, tags joined with "; ".
+ *
+ * @param {{ documents: object[] }} snapshot
+ * @returns {string}
+ */
+export function formatSnapshotCsv(snapshot) {
+  const rows = snapshot.documents.map(record => CSV_COLUMNS.map(column => (
+    column === 'tags' ? csvField(Object.keys(record.tags).join('; ')) : csvField(record[column])
+  )).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// The CSV beside a snapshot's JSON file
+export function snapshotCsvFile(file) {
+  return file.replace(/\.json$/, '') + '.csv';
+}
+
+/**
+ * Write a snapshot to `file` (JSON) and snapshotCsvFile(file) (CSV),
+ * creating the directory if needed.
+ *
+ * @param {string} file
+ * @param {object} snapshot - { version, runId, takenAt, locations, documents }
+ * @returns {{ file: string, csvFile: string }}
+ */
+export function writeSnapshot(file, snapshot) {
+  mkdirSync(dirname(file), { recursive: true });
+  const csvFile = snapshotCsvFile(file);
+  writeFileSync(file, JSON.stringify(snapshot, null, 2) + '\n');
+  writeFileSync(csvFile, formatSnapshotCsv(snapshot));
+  return { file, csvFile };
+}
+
+/**
+ * Read and check a snapshot JSON file.
+ *
+ * @param {string} file
+ * @returns {object}
+ * @throws {Error} When the file is missing, not JSON, or not a snapshot
+ */
+export function readSnapshot(file) {
+  if (!existsSync(file)) throw new Error(`Snapshot not found: ${file}`);
+  if (file.endsWith('.csv')) throw new Error(`${file}: restore reads the JSON snapshot, not the CSV`);
+  let snapshot;
+  try {
+    snapshot = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${file}: not valid JSON (${err.message})`);
+  }
+  if (snapshot?.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.documents) || !snapshot.takenAt) {
+    throw new Error(`${file}: not a version ${SNAPSHOT_VERSION} snapshot`);
+  }
+  return snapshot;
+}
+
+/**
+ * Snapshot JSON files in `dir`, oldest first. Names start with their kind
+ * ("auto-" or "snapshot-") and end with the run ID, so they sort by time
+ * within a kind.
+ *
+ * @param {string} dir
+ * @param {{ prefix?: string }} [options] - Only names starting with this
+ * @returns {string[]} Full paths
+ */
+export function listSnapshotFiles(dir, { prefix = '' } = {}) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+    .sort()
+    .map(name => join(dir, name));
+}
+
+/**
+ * Delete all but the newest `keep` snapshots whose names start with
+ * `prefix`, JSON and CSV alike.
+ *
+ * @param {string} dir
+ * @param {{ prefix: string, keep: number }} options
+ * @returns {string[]} The JSON files removed
+ */
+export function rotateSnapshots(dir, { prefix, keep }) {
+  const files = listSnapshotFiles(dir, { prefix });
+  const removed = files.slice(0, Math.max(0, files.length - keep));
+  for (const file of removed) {
+    unlinkSync(file);
+    if (existsSync(snapshotCsvFile(file))) unlinkSync(snapshotCsvFile(file));
+  }
+  return removed;
+}
+
+function tagNames(tags) {
+  return Object.keys(tags || {}).sort();
+}
+
+/**
+ * What restoring a snapshot would change: for each recorded document found in
+ * `current`, its recorded location and tags where they differ. Documents not
+ * in `current` are left alone.
+ *
+ * @param {{ documents: object[] }} snapshot
+ * @param {object[]} current - Reader documents as they are now
+ * @returns {{ record: object, doc: object, changes: object, moved: boolean,
+ *   tagsAdded: string[], tagsRemoved: string[] }[]}
+ */
+export function diffSnapshot(snapshot, current) {
+  const byId = new Map(current.map(doc => [doc.id, doc]));
+  const diff = [];
+  for (const record of snapshot.documents) {
+    const doc = byId.get(record.id);
+    if (!doc) continue;
+    const changes = {};
+    const moved = Boolean(record.location) && doc.location !== record.location;
+    if (moved) changes.location = record.location;
+    const recorded = tagNames(record.tags);
+    const now = tagNames(doc.tags);
+    const tagsAdded = recorded.filter(tag => !now.includes(tag));
+    const tagsRemoved = now.filter(tag => !recorded.includes(tag));
+    if (tagsAdded.length > 0 || tagsRemoved.length > 0) changes.tags = record.tags;
+    if (Object.keys(changes).length > 0) diff.push({ record, doc, changes, moved, tagsAdded, tagsRemoved });
+  }
+  return diff;
+}
@@ -0,0 +1,28 @@
+// Unread threads in an AgentMail inbox. Marking a thread processed clears its
+// labels, which is how AgentMail marks it read.
+
+/**
+ * @param {object} agentMail - From createAgentMailClient()
+ * @returns {object} Ingestion source (see lib/sources/index.js)
+ */
+export function createAgentMailSource(agentMail) {
+  return {
+    name: `AgentMail ${agentMail.inboxId}`,
+    async listMessages() {
+      const threads = await agentMail.fetchUnreadThreads();
+      return threads.map(thread => {
+        const id = thread.thread_id || thread.id;
+        return {
+          id,
+          subject: thread.subject || '(no subject)',
+          thread,
+          // Threads in the list carry no bodies
+          loadFullThread: () => agentMail.fetchThread(id),
+        };
+      });
+    },
+    async markProcessed(message) {
+      if (message.id) await agentMail.markThreadRead(message.id);
+    },
+  };
+}
@@ -0,0 +1,25 @@
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join, resolve } from 'path';
+import { createLocalSource } from './local.js';
+
+/**
+ * A single .eml file, or every .eml file in a directory.
+ *
+ * @param {{ path: string, cache: object, clock: object }} options
+ */
+export function createEmlSource({ path, cache, clock }) {
+  const fullPath = resolve(path);
+  return createLocalSource({
+    name: `.eml ${path}`,
+    key: `eml:${fullPath}`,
+    cache,
+    clock,
+    readMessages() {
+      if (!statSync(fullPath).isDirectory()) return [readFileSync(fullPath)];
+      return readdirSync(fullPath)
+        .filter(file => file.toLowerCase().endsWith('.eml'))
+        .sort()
+        .map(file => readFileSync(join(fullPath, file)));
+    },
+  });
+}
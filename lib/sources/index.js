@@ -0,0 +1,58 @@
+import { createAgentMailSource } from './agentmail.js';
+import { createEmlSource } from './eml.js';
+import { createMboxSource } from './mbox.js';
+import { createMaildirSource } from './maildir.js';
+
+// An ingestion source yields newsletter messages in the thread shape that
+// extractNewsletterLinks() reads:
+//
+//   name                 - shown in logs
+//   listMessages()       - messages not yet processed:
+//                          [{ id, subject, thread, loadFullThread() }]
+//   markProcessed(msg)   - called once a message's links are saved
+//
+// Sources are configured as { type, path } (config ingest.sources or
+// --source=type:path).
+
+export const SOURCE_TYPES = ['agentmail', 'eml', 'mbox', 'maildir'];
+
+/**
+ * Parse "--source" syntax: "agentmail" or "<type>:<path>".
+ *
+ * @param {string} value
+ * @returns {{ type: string, path?: string }}
+ */
+export function parseSourceSpec(value) {
+  const colon = value.indexOf(':');
+  const type = colon < 0 ? value : value.slice(0, colon);
+  const path = colon < 0 ? undefined : value.slice(colon + 1);
+  if (!SOURCE_TYPES.includes(type)) {
+    throw new Error(`Unknown ingestion source "${type}" (expected ${SOURCE_TYPES.join(', ')})`);
+  }
+  if (type !== 'agentmail' && !path) throw new Error(`Ingestion source "${type}" needs a path (${type}:<path>)`);
+  return path ? { type, path } : { type };
+}
+
+/**
+ * @param {{ type: string, path?: string }} spec
+ * @param {{ agentMail?: object, cache: object, clock: object }} deps
+ * @returns {object} Ingestion source
+ */
+export function createIngestSource(spec, { agentMail, cache, clock }) {
+  if (spec.type !== 'agentmail' && !spec.path) throw new Error(`Ingestion source "${spec.type}" needs a path`);
+  switch (spec.type) {
+    case 'agentmail':
+      if (!agentMail) throw new Error('AgentMail source needs an AgentMail client (AGENTMAIL_API_KEY not set?)');
+      return createAgentMailSource(agentMail);
+    case 'eml':
+      return createEmlSource({ path: spec.path, cache, clock });
+    case 'mbox':
+      return createMboxSource({ path: spec.path, cache, clock });
+    case 'maildir':
+      return createMaildirSource({ path: spec.path, cache, clock });
+    default:
+      throw new Error(`Unknown ingestion source "${spec.type}"`);
+  }
+}
+
+export { createAgentMailSource, createEmlSource, createMboxSource, createMaildirSource };
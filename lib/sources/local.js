@@ -0,0 +1,47 @@
+import { createHash } from 'crypto';
+import { parseEmail, parseEmailHeaders, emailToThread, headerText } from '../mime.js';
+
+// Shared plumbing for sources that read raw messages from disk. Local
+// mailboxes have no read flag we may touch, so processed Message-IDs are
+// remembered in the run-to-run cache under processedMessages[<source key>].
+
+function messageIdOf(raw, headers) {
+  const header = (headers['message-id'] || '').trim();
+  return header || `sha1:${createHash('sha1').update(raw).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Shown in logs
+ * @param {string} options.key - Cache key for processed-message tracking
+ * @param {() => Buffer[]} options.readMessages - Raw RFC 5322 messages
+ * @param {{ data: object, save(): void }} options.cache
+ * @param {{ now(): number }} options.clock
+ * @returns {object} Ingestion source (see lib/sources/index.js)
+ */
+export function createLocalSource({ name, key, readMessages, cache, clock }) {
+  const processed = ((cache.data.processedMessages ||= {})[key] ||= {});
+
+  return {
+    name,
+    async listMessages() {
+      const messages = [];
+      for (const raw of readMessages()) {
+        const headers = parseEmailHeaders(raw);
+        const id = messageIdOf(raw, headers);
+        if (processed[id]) continue;
+        const subject = headerText(headers.subject) || '(no subject)';
+        messages.push({
+          id,
+          subject,
+          thread: { subject, from: headerText(headers.from) },
+          loadFullThread: async () => emailToThread(parseEmail(raw)).fullThread,
+        });
+      }
+      return messages;
+    },
+    async markProcessed(message) {
+      processed[message.id] = new Date(clock.now()).toISOString();
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { createLocalSource } from './local.js';
+
+/**
+ * A Maildir: messages in new/ and cur/ (tmp/ holds deliveries in progress).
+ * The mailbox itself is never modified.
+ *
+ * @param {{ path: string, cache: object, clock: object }} options
+ */
+export function createMaildirSource({ path, cache, clock }) {
+  const fullPath = resolve(path);
+  if (!existsSync(join(fullPath, 'cur')) && !existsSync(join(fullPath, 'new'))) {
+    throw new Error(`Not a Maildir (no cur/ or new/): ${path}`);
+  }
+  return createLocalSource({
+    name: `Maildir ${path}`,
+    key: `maildir:${fullPath}`,
+    cache,
+    clock,
+    readMessages() {
+      const messages = [];
+      for (const sub of ['new', 'cur']) {
+        const dir = join(fullPath, sub);
+        if (!existsSync(dir)) continue;
+        for (const file of readdirSync(dir).sort()) {
+          if (!file.startsWith('.')) messages.push(readFileSync(join(dir, file)));
+        }
+      }
+      return messages;
+    },
+  });
+}
@@ -0,0 +1,32 @@
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { createLocalSource } from './local.js';
+
+/**
+ * Split an mbox archive into raw messages. Handles both mboxo and mboxrd
+ * quoting: body lines written as ">From " (or ">>From ", ...) lose one ">".
+ *
+ * @param {Buffer} buffer
+ * @returns {Buffer[]}
+ */
+export function splitMbox(buffer) {
+  const text = buffer.toString('latin1');
+  return text
+    .split(/^From [^\n]*\n/m)
+    .filter(chunk => chunk.trim())
+    .map(chunk => Buffer.from(chunk.replace(/^>(>*From )/gm, '$1'), 'latin1'));
+}
+
+/**
+ * @param {{ path: string, cache: object, clock: object }} options
+ */
+export function createMboxSource({ path, cache, clock }) {
+  const fullPath = resolve(path);
+  return createLocalSource({
+    name: `mbox ${path}`,
+    key: `mbox:${fullPath}`,
+    cache,
+    clock,
+    readMessages: () => splitMbox(readFileSync(fullPath)),
+  });
+}
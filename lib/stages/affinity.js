@@ -0,0 +1,114 @@
+import { resolveContext, daysAgo } from '../context.js';
+import { summarizeJournalRuns } from '../journal.js';
+import { buildAffinityModel } from '../affinity.js';
+import { hasOwnNote } from '../scoring.js';
+
+// Journaled moves that count against a document when it is still unopened
+const SKIP_OPS = new Set(['demote', 'prune']);
+
+function isUnopened(doc) {
+  return !doc.last_opened_at && !doc.reading_progress;
+}
+
+/**
+ * Learn reading affinity from recent history and store it in the cache
+ * (cache.data.affinity). Read: documents archived within
+ * config.affinity.lookbackDays that were read at least readProgress of the
+ * way, highlighted, or given a note of the reader's own. Skipped: documents
+ * the journal shows demoted from the Shortlist or pruned in that window and
+ * still unopened. Demotions for story duplicates and undone runs do not count.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader, uses journal
+ * @returns {Promise<object>} The model, see buildAffinityModel()
+ */
+export async function learnAffinity(ctx) {
+  const { reader, journal, config, clock, cache, logger } = resolveContext(ctx);
+  const { lookbackDays, readProgress } = config.affinity;
+  const since = daysAgo(lookbackDays, clock);
+  logger.verbose(`Learning reading affinity from the last ${lookbackDays} days...`);
+
+  const archived = await reader.fetchDocumentsUpdatedSince('archive', since);
+  const highlightCounts = await reader.fetchHighlightCounts();
+  const read = archived.filter(doc => (doc.reading_progress || 0) >= readProgress
+    || highlightCounts.has(doc.id)
+    || hasOwnNote(doc));
+
+  const entries = journal ? journal.read() : [];
+  const undone = new Set(summarizeJournalRuns(entries).filter(run => run.undoneBy).map(run => run.runId));
+  const skippedIds = new Set(entries
+    .filter(entry => SKIP_OPS.has(entry.op) && !undone.has(entry.runId) && new Date(entry.at) >= since)
+    .filter(entry => !String(entry.after?.notes || '').includes('dup-of: '))
+    .map(entry => entry.docId));
+  let skipped = [];
+  if (skippedIds.size > 0) {
+    // Demoted documents sit in Later, pruned ones in the archive
+    const current = new Map([...archived, ...await reader.fetchDocuments('later')].map(doc => [doc.id, doc]));
+    skipped = [...skippedIds].map(id => current.get(id)).filter(doc => doc && isUnopened(doc));
+  }
+
+  const model = buildAffinityModel({ read, skipped }, { config, learnedAt: new Date(clock.now()).toISOString() });
+  cache.data.affinity = model;
+  cache.save();
+  logger.verbose(`  Affinity: ${model.read} read, ${model.skipped} skipped`);
+  return model;
+}
+
+/**
+ * The saved affinity model, relearned first when it is older than
+ * config.affinity.refreshHours. Returns null when affinity is disabled; when
+ * relearning fails the saved model (if any) is used.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @returns {Promise<object|null>}
+ */
+export async function loadAffinity(ctx) {
+  const { config, clock, cache, logger } = resolveContext(ctx);
+  if (!config.affinity.enabled) return null;
+  const saved = cache.data.affinity;
+  const ageHours = saved ? (clock.now() - new Date(saved.learnedAt).getTime()) / (60 * 60 * 1000) : Infinity;
+  if (ageHours < config.affinity.refreshHours) return saved;
+  try {
+    return await learnAffinity(ctx);
+  } catch (err) {
+    logger.warn(`Could not learn reading affinity: ${err.message}`);
+    return saved ?? null;
+  }
+}
+
+/**
+ * Relearn reading affinity and print the strongest weights.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {{ top?: number }} [options] - Weights shown per dimension and direction
+ * @returns {Promise<object>} The model
+ */
+export async function printAffinity(ctx, { top = 10 } = {}) {
+  const { config, logger } = resolveContext(ctx);
+  const { lookbackDays, priorWeight, maxPoints } = config.affinity;
+  const model = await learnAffinity(ctx);
+
+  logger.info('='.repeat(60));
+  logger.info(`READING AFFINITY (last ${lookbackDays} days)`);
+  logger.info('='.repeat(60));
+  logger.info(`Learned from ${model.read} read and ${model.skipped} skipped document(s)`);
+  logger.info(`Smoothing: ${priorWeight} neutral pseudo-observations | Range: ±${maxPoints} per dimension`);
+  if (!config.affinity.enabled) logger.info('Not applied to scoring: affinity.enabled is false');
+
+  for (const [dimension, byKey] of Object.entries(model.weights)) {
+    const ranked = Object.entries(byKey)
+      .filter(([, weight]) => weight.points !== 0)
+      .sort(([, a], [, b]) => b.points - a.points);
+    logger.info(`\nBy ${dimension}:`);
+    if (ranked.length === 0) {
+      logger.info('  (not enough history yet)');
+      continue;
+    }
+    const shown = ranked.length > top * 2 ? [...ranked.slice(0, top), ...ranked.slice(-top)] : ranked;
+    for (const [key, weight] of shown) {
+      const points = weight.points > 0 ? `+${weight.points}` : String(weight.points);
+      logger.info(`  ${points.padStart(4)}  ${key} (${weight.read} read, ${weight.skipped} skipped)`);
+    }
+  }
+  logger.info('='.repeat(60));
+  return model;
+}
@@ -0,0 +1,174 @@
+import { resolveContext } from '../context.js';
+import { readPlan, applyStateChanges } from '../plan.js';
+import { createIngestLedger, describeDuplicate, ledgerKey } from '../ledger.js';
+
+// Shortlisting's operations: when one is skipped, the next incremental
+// Shortlist run has to look at that document again
+const SHORTLIST_OPS = ['promote', 'demote', 'dup-note', 'library-tag'];
+
+// Why a document's first planned change no longer applies, or null
+function driftReason(before, current) {
+  if (!current) return 'no longer in Reader';
+  if (current.location !== before.location) return `moved to ${current.location ?? 'nowhere'} since the plan`;
+  if (current.updated_at !== before.updated_at) return `changed since the plan (updated ${current.updated_at})`;
+  return null;
+}
+
+// Current state of each document the plan changes, from the locations the
+// plan saw them in; ones that left are looked up one by one
+async function fetchCurrent(reader, changes) {
+  const firstSeen = new Map();
+  for (const change of changes) {
+    if (change.docId && !firstSeen.has(change.docId)) firstSeen.set(change.docId, change.before.location);
+  }
+  const current = new Map();
+  for (const location of new Set(firstSeen.values())) {
+    if (!location) continue;
+    for (const doc of await reader.fetchDocuments(location)) {
+      if (firstSeen.has(doc.id)) current.set(doc.id, doc);
+    }
+  }
+  for (const id of firstSeen.keys()) {
+    if (!current.has(id)) current.set(id, await reader.fetchDocument(id));
+  }
+  return current;
+}
+
+// Cache updates from the plan run that belong to skipped changes: any naming a
+// skipped document, the ledger entry of a skipped save, and the Shortlist
+// run time when a shortlisting change was skipped
+function leftOutState(stateChanges, drifted) {
+  const docIds = new Set(drifted.filter(change => change.docId).map(change => change.docId));
+  const ledgerKeys = new Set(drifted.filter(change => change.op === 'save').map(change => ledgerKey(change.url)));
+  const shortlistSkipped = drifted.some(change => SHORTLIST_OPS.includes(change.op));
+  return stateChanges.filter(({ path }) => path.some(key => docIds.has(key))
+    || (path[0] === 'ingestLedger' && ledgerKeys.has(path[1]))
+    || (path[0] === 'lastShortlistRun' && shortlistSkipped));
+}
+
+function describeChange(change) {
+  if (change.op === 'save') return `save ${change.url}`;
+  if (change.op === 'mark-read') return `mark thread ${change.threadId} read`;
+  const parts = Object.entries(change.changes).map(([key, value]) => {
+    if (key === 'location') return `→ ${value}`;
+    if (key === 'tags') return `tags ${Object.keys(value).join(', ') || 'none'}`;
+    return `set ${key}`;
+  });
+  return `${change.title || change.docId}: ${parts.join(', ')}`;
+}
+
+/**
+ * Make the changes in a plan file from `plan`, in order. A document whose
+ * location or updated_at differs from what the plan saw is skipped, with any
+ * later changes to it, as is a save of a URL the ingestion ledger now knows.
+ * What would be applied and skipped is printed first; a dry run stops there.
+ * Changes are journaled under this run, so `undo` can revert them. Once every
+ * change is made without failing, the cache state the plan run would have
+ * saved (the plan's `state`) is saved, except what belongs to skipped changes
+ * (a skipped Feed document is not marked processed, for one).
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader, and agentMail for mark-read changes
+ * @param {{ file: string }} options
+ * @returns {Promise<{ planned: number, applied: number, drifted: object[], failed: number }>}
+ */
+export async function applyPlan(ctx, { file }) {
+  const { reader, agentMail, cache, logger, dryRun, guardrails } = resolveContext(ctx);
+  const plan = readPlan(file);
+  logger.info('='.repeat(60));
+  logger.info(`APPLYING PLAN ${file}`);
+  logger.info('='.repeat(60));
+  logger.info(`Plan ${plan.planId ?? '(no id)'}${plan.commands ? ` (${plan.commands})` : ''}, written ${plan.createdAt ?? 'at an unknown time'}: ${plan.changes.length} change(s)`);
+
+  const current = await fetchCurrent(reader, plan.changes);
+  // Documents as the applied changes leave them; skipped ones map to why
+  const state = new Map();
+  const skipped = new Map();
+  const toApply = [];
+  const drifted = [];
+  const ledger = createIngestLedger(cache);
+  for (const change of plan.changes) {
+    if (change.op === 'save' && ledger.get(change.url)) {
+      drifted.push({ ...change, skipReason: describeDuplicate(ledger.get(change.url)) });
+      continue;
+    }
+    if (change.op === 'mark-read' && !agentMail) {
+      drifted.push({ ...change, skipReason: 'AGENTMAIL_API_KEY not set' });
+      continue;
+    }
+    if (!change.docId) {
+      toApply.push(change);
+      continue;
+    }
+    if (!state.has(change.docId) && !skipped.has(change.docId)) {
+      const reason = driftReason(change.before, current.get(change.docId));
+      if (reason) skipped.set(change.docId, reason);
+      else state.set(change.docId, current.get(change.docId));
+    }
+    if (skipped.has(change.docId)) drifted.push({ ...change, skipReason: skipped.get(change.docId) });
+    else toApply.push(change);
+  }
+
+  logger.info(`\nTo apply: ${toApply.length} | Skipped: ${drifted.length}`);
+  for (const change of toApply) logger.verbose(`  [${change.op}] ${describeChange(change)}`);
+  for (const change of drifted) logger.info(`  [SKIP] [${change.op}] ${describeChange(change)} — ${change.skipReason}`);
+
+  const counts = {};
+  for (const change of toApply.filter(c => c.docId)) counts[change.op] = (counts[change.op] || 0) + 1;
+  guardrails?.reserve(counts);
+
+  let applied = 0, failed = 0;
+  if (dryRun) {
+    applied = toApply.length;
+  } else {
+    // In plan order: a document changed twice must be changed in order
+    for (const change of toApply) {
+      if (change.docId && skipped.has(change.docId)) {
+        drifted.push({ ...change, skipReason: skipped.get(change.docId) });
+        continue;
+      }
+      const extra = { reason: change.reason ?? null, plan: plan.planId ?? null };
+      try {
+        if (change.op === 'save') {
+          await reader.saveUrl(change.url, { title: change.title || undefined, location: change.location || 'later', reason: change.reason ?? null });
+        } else if (change.op === 'mark-read') {
+          await agentMail.markThreadRead(change.threadId);
+        } else {
+          const doc = state.get(change.docId);
+          await reader.updateDocument(doc, change.changes, change.op, extra);
+          state.set(change.docId, { ...doc, ...change.changes });
+        }
+        applied++;
+      } catch (err) {
+        logger.verbose(`  ${describeChange(change)} failed: ${err.message}`);
+        // The document is no longer where the rest of its plan expects
+        if (change.docId) skipped.set(change.docId, `an earlier change failed: ${err.message}`);
+        failed++;
+      }
+    }
+  }
+
+  const stateChanges = plan.state ?? [];
+  if (!dryRun && stateChanges.length > 0) {
+    if (failed === 0) {
+      const leftOut = leftOutState(stateChanges, drifted);
+      const toSave = stateChanges.filter(change => !leftOut.includes(change));
+      applyStateChanges(cache.data, toSave);
+      cache.save();
+      logger.verbose(`Saved ${toSave.length} cache update(s) from the plan run`);
+      if (leftOut.length > 0) {
+        logger.info(`Left out ${leftOut.length} cache update(s) for skipped changes, so the next run looks at those again:`);
+        for (const { path } of leftOut) logger.info(`  ${path.join('.')}`);
+      }
+    } else {
+      logger.warn(`Cache updates from the plan run not saved: ${failed} change(s) failed, so the next run repeats that work`);
+    }
+  }
+
+  logger.info(`\n${dryRun ? '[DRY RUN] Would apply' : 'Applied'}: ${applied} | Skipped: ${drifted.length}${failed ? ` | Failed: ${failed}` : ''}`);
+  return {
+    planned: plan.changes.length,
+    applied,
+    drifted: drifted.map(({ op, docId, title, url, skipReason }) => ({ op, docId: docId ?? null, title: title ?? null, url: url ?? null, reason: skipReason })),
+    failed,
+  };
+}
@@ -0,0 +1,47 @@
+import { resolveContext } from '../context.js';
+import { createProtectionCheck } from '../guardrails.js';
+
+/**
+ * Archive every document in Later except protected ones (see
+ * protectionReason()). The archiving is reserved against ctx.guardrails first.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @returns {Promise<{ archived: number, protected: number, failed: number }>}
+ */
+export async function archiveAllLater(ctx) {
+  const { reader, config, logger, dryRun, guardrails } = resolveContext(ctx);
+  const isProtected = createProtectionCheck({ reader, config });
+  logger.info('='.repeat(60));
+  logger.info('ARCHIVING ALL LATER ITEMS');
+  logger.info('='.repeat(60));
+  const documents = await reader.fetchDocuments('later');
+  logger.info(`\nFound ${documents.length} document(s) in Later\n`);
+  const targets = [];
+  let protectedCount = 0;
+  for (const doc of documents) {
+    const protection = await isProtected(doc);
+    if (protection) {
+      logger.verbose(`Protected: ${doc.title || doc.url} (${protection})`);
+      protectedCount++;
+      continue;
+    }
+    logger.verbose(`Archiving: ${doc.title || doc.url}`);
+    targets.push(doc);
+  }
+  guardrails?.reserve({ 'archive-later': targets.length });
+  let failed = 0;
+  // The Reader client's rate limiter decides how many actually run at once
+  if (!dryRun) {
+    await Promise.all(targets.map(async doc => {
+      try {
+        await reader.updateDocumentLocation(doc, 'archive', 'archive-later', { reason: 'archiving all of Later' });
+      } catch (e) {
+        failed++;
+        logger.verbose(`  archive failed for ${doc.title || doc.url}: ${e.message}`);
+      }
+    }));
+  }
+  const archived = targets.length - failed;
+  logger.info(`\n${dryRun ? '[DRY RUN] Would archive' : 'Archived'}: ${archived}${protectedCount ? ` | Protected: ${protectedCount}` : ''}${failed ? ` | Failed: ${failed}` : ''}`);
+  return { archived, protected: protectedCount, failed };
+}
@@ -0,0 +1,113 @@
+import { resolveContext } from '../context.js';
+import { canonicalUrl } from '../canonical.js';
+import { hasOwnNote } from '../scoring.js';
+import { protectionReason } from '../guardrails.js';
+
+const DEDUPE_LOCATIONS = ['feed', 'later', 'shortlist'];
+
+// Further along in triage wins a tie
+const LOCATION_RANK = { shortlist: 2, later: 1, feed: 0 };
+
+function engagementOf(doc, highlightCounts) {
+  return {
+    highlights: highlightCounts.get(doc.id) || 0,
+    // Shortlist notes and dup-of lines runShortlisting() wrote are not the reader's
+    hasNote: hasOwnNote(doc),
+    progress: doc.reading_progress || 0,
+  };
+}
+
+// Most highlights and notes, then most read, then furthest along, then oldest
+function compareCopies(a, b) {
+  const annotations = c => c.engagement.highlights + (c.engagement.hasNote ? 1 : 0);
+  return (annotations(b) - annotations(a))
+    || (b.engagement.progress - a.engagement.progress)
+    || (LOCATION_RANK[b.doc.location] - LOCATION_RANK[a.doc.location])
+    || String(a.doc.saved_at || a.doc.created_at || '').localeCompare(String(b.doc.saved_at || b.doc.created_at || ''));
+}
+
+function describeCopy({ doc, engagement }) {
+  const parts = [];
+  parts.push(engagement.progress > 0 ? `${Math.round(engagement.progress * 100)}% read` : 'unread');
+  if (engagement.highlights > 0) parts.push(`${engagement.highlights} highlight(s)`);
+  if (engagement.hasNote) parts.push('note');
+  return `${doc.location.padEnd(9)} ${parts.join(', ').padEnd(28)} ${doc.title || doc.url} (${doc.id})`;
+}
+
+/**
+ * Find documents in Feed, Later and Shortlist that are copies of the same
+ * article (see canonicalUrl()), keep the copy with the most highlights,
+ * notes and reading progress, and archive the rest unless protected (see
+ * protectionReason()). Every group is reported.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @returns {Promise<{ groups: { url: string, keep: object, archive: object[], protected: object[] }[],
+ *   archived: number, protected: number, failed: number }>}
+ */
+export async function dedupeDocuments(ctx) {
+  const { reader, config, logger, dryRun, guardrails } = resolveContext(ctx);
+  logger.info('='.repeat(60));
+  logger.info(`DUPLICATE CLEANUP (${DEDUPE_LOCATIONS.join(', ')})`);
+  logger.info('='.repeat(60));
+
+  const byUrl = new Map();
+  for (const location of DEDUPE_LOCATIONS) {
+    for (const doc of await reader.fetchDocuments(location)) {
+      const key = canonicalUrl(doc.source_url || doc.url);
+      if (!key) continue;
+      if (!byUrl.has(key)) byUrl.set(key, []);
+      byUrl.get(key).push(doc);
+    }
+  }
+
+  const duplicated = [...byUrl].filter(([, docs]) => docs.length > 1);
+  const highlightCounts = duplicated.length > 0 ? await reader.fetchHighlightCounts() : new Map();
+  const groups = duplicated.map(([url, docs]) => {
+    const [keep, ...rest] = docs
+      .map(doc => ({ doc, engagement: engagementOf(doc, highlightCounts) }))
+      .sort(compareCopies);
+    // Protected copies (see protectionReason()) stay where they are
+    const copies = rest.map(copy => ({ ...copy, reason: protectionReason(copy.doc, { config, highlightCounts }) }));
+    return { url, keep, archive: copies.filter(c => !c.reason), protected: copies.filter(c => c.reason) };
+  });
+
+  logger.info(`${groups.length} article(s) with more than one copy`);
+  for (const group of groups) {
+    logger.info(`\n[${group.archive.length + group.protected.length + 1} copies] ${group.url}`);
+    logger.info(`  KEEP     ${describeCopy(group.keep)}`);
+    for (const copy of group.archive) logger.info(`  ARCHIVE  ${describeCopy(copy)}`);
+    for (const copy of group.protected) logger.info(`  PROTECT  ${describeCopy(copy)} — ${copy.reason}`);
+  }
+
+  let archived = 0;
+  let failed = 0;
+  const copies = groups.flatMap(group => group.archive.map(({ doc }) => ({ doc, keep: group.keep.doc })));
+  const protectedCount = groups.reduce((sum, group) => sum + group.protected.length, 0);
+  guardrails?.reserve({ dedupe: copies.length });
+  await Promise.all(copies.map(async ({ doc, keep }) => {
+    if (dryRun) {
+      archived++;
+      return;
+    }
+    try {
+      await reader.updateDocumentLocation(doc, 'archive', 'dedupe', { reason: `copy of ${keep.id} (${keep.location})` });
+      archived++;
+    } catch (err) {
+      logger.verbose(`  archive failed for ${doc.title || doc.url}: ${err.message}`);
+      failed++;
+    }
+  }));
+
+  logger.info(`\n${dryRun ? '[DRY RUN] Would archive' : 'Archived'}: ${archived} duplicate(s)${protectedCount ? ` | Protected: ${protectedCount}` : ''}${failed ? ` | Failed: ${failed}` : ''}`);
+  return {
+    groups: groups.map(group => ({
+      url: group.url,
+      keep: group.keep.doc,
+      archive: group.archive.map(copy => copy.doc),
+      protected: group.protected.map(copy => copy.doc),
+    })),
+    archived,
+    protected: protectedCount,
+    failed,
+  };
+}
@@ -0,0 +1,183 @@
+import { resolveContext, daysSince } from '../context.js';
+import { scoreDoc, getDomain } from '../scoring.js';
+import { readingMinutes, formatMinutes } from '../budget.js';
+import { loadAffinity } from './affinity.js';
+
+// The Shortlist as an email: every item with its domain, reading time,
+// Ghostreader summary and the note shortlisting left on it, plus a section
+// for items close to (or past) config.shortlist.decayDays untouched, which
+// lose decayPenalty points on the next run and may drop off.
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// The note minus "dup-of:" lines, which only matter in Reader
+function shortlistNote(doc) {
+  return (doc.notes || '').split('\n').filter(line => !line.startsWith('dup-of: ')).join('\n').trim() || null;
+}
+
+function toEntry(doc, { config, clock, scoring }) {
+  const { decayDays, decayPenalty, threshold } = config.shortlist;
+  const { decayWarningDays } = config.digest;
+  const { score } = scoreDoc(doc, scoring);
+  const lastTouched = doc.last_opened_at || doc.updated_at || doc.saved_at;
+  const untouched = lastTouched ? daysSince(lastTouched, clock) : null;
+  return {
+    id: doc.id,
+    title: doc.title || doc.url,
+    url: doc.source_url || doc.url,
+    domain: getDomain(doc),
+    minutes: readingMinutes(doc, { config }),
+    summary: (doc.summary || '').replace(config.readMarker, '').trim() || null,
+    note: shortlistNote(doc),
+    score,
+    untouchedDays: untouched,
+    // Negative once decay has already applied
+    decaysInDays: untouched === null ? null : decayDays - untouched,
+    decaying: untouched !== null && untouched >= decayDays - decayWarningDays,
+    // Decay alone would take it under the threshold
+    dropsBelowThreshold: score - decayPenalty < threshold,
+  };
+}
+
+function describeDecay(entry) {
+  const when = entry.decaysInDays > 0
+    ? `decays in ${entry.decaysInDays} day(s)`
+    : `untouched for ${entry.untouchedDays} days, decaying`;
+  return entry.dropsBelowThreshold ? `${when}; likely to leave the Shortlist` : when;
+}
+
+function entryMeta(entry) {
+  return [entry.domain, entry.minutes ? `${formatMinutes(entry.minutes)} read` : null].filter(Boolean).join(' · ');
+}
+
+function describeTotal(totalMinutes, unsized) {
+  const total = `About ${formatMinutes(totalMinutes)} of reading in total`;
+  return unsized > 0 ? `${total}, plus ${unsized} item(s) without a word count.` : `${total}.`;
+}
+
+function formatText({ heading, sections, totalMinutes, unsized }) {
+  const lines = [heading, ''];
+  if (totalMinutes) lines.push(describeTotal(totalMinutes, unsized), '');
+  for (const { title, entries } of sections) {
+    lines.push(title, '-'.repeat(title.length), '');
+    for (const entry of entries) {
+      lines.push(`* ${entry.title}`, `  ${entryMeta(entry)}`, `  ${entry.url}`);
+      if (entry.decaying) lines.push(`  ⏳ ${describeDecay(entry)}`);
+      if (entry.summary) lines.push('', `  ${entry.summary}`);
+      if (entry.note) lines.push('', ...entry.note.split('\n').map(line => `  > ${line}`));
+      lines.push('');
+    }
+  }
+  return lines.join('\n');
+}
+
+function formatHtml({ heading, sections, totalMinutes, unsized }) {
+  const parts = [
+    '<!DOCTYPE html>',
+    '<html><body style="font-family: -apple-system, Helvetica, Arial, sans-serif; max-width: 640px; margin: 0 auto; color: #222;">',
+    `<h1 style="font-size: 20px;">${escapeHtml(heading)}</h1>`,
+  ];
+  if (totalMinutes) parts.push(`<p style="color: #666;">${escapeHtml(describeTotal(totalMinutes, unsized))}</p>`);
+  for (const { title, entries } of sections) {
+    parts.push(`<h2 style="font-size: 16px; border-bottom: 1px solid #ddd; padding-bottom: 4px;">${escapeHtml(title)}</h2>`);
+    for (const entry of entries) {
+      parts.push('<div style="margin: 0 0 20px;">');
+      parts.push(`<a href="${escapeHtml(entry.url)}" style="font-size: 16px; font-weight: 600; color: #1a5fb4; text-decoration: none;">${escapeHtml(entry.title)}</a>`);
+      parts.push(`<div style="color: #666; font-size: 13px;">${escapeHtml(entryMeta(entry))}</div>`);
+      if (entry.decaying) parts.push(`<div style="color: #b5651d; font-size: 13px;">⏳ ${escapeHtml(describeDecay(entry))}</div>`);
+      if (entry.summary) parts.push(`<p style="margin: 6px 0;">${escapeHtml(entry.summary)}</p>`);
+      if (entry.note) parts.push(`<blockquote style="margin: 6px 0; padding-left: 10px; border-left: 3px solid #ddd; color: #555; font-size: 13px;">${escapeHtml(entry.note).replace(/\n/g, '<br>')}</blockquote>`);
+      parts.push('</div>');
+    }
+  }
+  parts.push('</body></html>');
+  return parts.join('\n');
+}
+
+/**
+ * Compose the Shortlist digest without sending it. Items about to decay come
+ * first, soonest first; the rest follow by score.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @returns {Promise<{ subject: string, text: string, html: string, entries: object[], decaying: number, totalMinutes: number }>}
+ */
+export async function composeShortlistDigest(ctx) {
+  const { reader, config, clock } = resolveContext(ctx);
+  const affinity = await loadAffinity(ctx);
+  const scoring = { config, now: clock.now(), affinity };
+
+  const docs = await reader.fetchDocuments('shortlist');
+  const entries = docs.map(doc => toEntry(doc, { config, clock, scoring }));
+  const decaying = entries.filter(e => e.decaying).sort((a, b) => a.decaysInDays - b.decaysInDays);
+  const rest = entries.filter(e => !e.decaying).sort((a, b) => b.score - a.score);
+  const totalMinutes = entries.reduce((sum, e) => sum + (e.minutes || 0), 0);
+
+  const date = new Date(clock.now()).toISOString().split('T')[0];
+  const subject = config.digest.subject.replace(/\{date\}/g, date).replace(/\{count\}/g, String(entries.length));
+  const sections = [
+    decaying.length > 0 && { title: 'Open soon or lose them', entries: decaying },
+    rest.length > 0 && { title: decaying.length > 0 ? 'Also on the Shortlist' : 'On the Shortlist', entries: rest },
+  ].filter(Boolean);
+  const heading = entries.length > 0
+    ? `${entries.length} item(s) on your Shortlist`
+    : 'Your Shortlist is empty';
+  const layout = { heading, sections, totalMinutes, unsized: entries.filter(e => !e.minutes).length };
+
+  return {
+    subject,
+    text: formatText(layout),
+    html: formatHtml(layout),
+    entries: [...decaying, ...rest],
+    decaying: decaying.length,
+    totalMinutes,
+  };
+}
+
+/**
+ * Email the Shortlist digest through AgentMail, from config.agentmail.inboxId
+ * to config.digest.to (or `to`). A dry run prints the plain-text version
+ * instead of sending it.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader and, unless dry run, agentMail
+ * @param {{ to?: string[] }} [options] - Recipients, replacing config.digest.to
+ * @returns {Promise<{ items: number, decaying: number, totalMinutes: number, recipients: string[], sent: boolean, messageId: string|null }>}
+ */
+export async function sendShortlistDigest(ctx, { to } = {}) {
+  const { agentMail, config, logger, dryRun } = resolveContext(ctx);
+  const recipients = to && to.length > 0 ? to : config.digest.to;
+  if (recipients.length === 0) throw new Error('The digest needs a recipient: set digest.to in the config file or pass --to=<address>');
+  if (!dryRun && !agentMail) throw new Error('Sending the digest needs AgentMail: set AGENTMAIL_API_KEY');
+
+  logger.info('='.repeat(60));
+  logger.info('SHORTLIST DIGEST');
+  logger.info('='.repeat(60));
+  const digest = await composeShortlistDigest(ctx);
+  logger.info(`${digest.entries.length} item(s), ${digest.decaying} about to decay, ~${formatMinutes(digest.totalMinutes)} of reading`);
+  logger.info(`Subject: ${digest.subject}`);
+  logger.info(`To: ${recipients.join(', ')}`);
+
+  const result = { items: digest.entries.length, decaying: digest.decaying, totalMinutes: digest.totalMinutes, recipients, sent: false, messageId: null };
+  if (dryRun) {
+    logger.info('[DRY RUN] Not sent. Plain-text version:\n');
+    logger.info(digest.text);
+    logger.info('='.repeat(60));
+    return result;
+  }
+
+  const sent = await agentMail.sendMessage({
+    to: recipients,
+    subject: digest.subject,
+    text: digest.text,
+    html: digest.html,
+    labels: ['shortlist-digest'],
+  });
+  logger.info(`Sent from ${agentMail.inboxId} (message ${sent.message_id})`);
+  logger.info('='.repeat(60));
+  return { ...result, sent: true, messageId: sent.message_id ?? null };
+}
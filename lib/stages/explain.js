@@ -0,0 +1,116 @@
+import { resolveContext, daysSince } from '../context.js';
+import { canonicalUrl } from '../canonical.js';
+import { silentLogger } from '../logger.js';
+import {
+  scoreDoc, parseBreakdown, detectCluster, getDomain,
+  isHeavyFormat, isNewsletterWrapperDoc, matchLibrarySignal,
+} from '../scoring.js';
+import { formatMinutes } from '../budget.js';
+import { planShortlist } from './shortlist.js';
+import { loadAffinity } from './affinity.js';
+
+const SEARCH_LOCATIONS = ['shortlist', 'later', 'feed'];
+
+const VERDICT_LABELS = {
+  keep: 'KEEP in Shortlist',
+  promote: 'PROMOTE to Shortlist',
+  demote: 'DEMOTE to Later',
+  skip: 'NOT shortlisted',
+};
+
+function signed(points) {
+  return points >= 0 ? `+${points}` : String(points);
+}
+
+// By id anywhere in Reader; by URL among the locations shortlisting looks at
+async function findDocument(reader, target) {
+  if (!/^https?:\/\//i.test(target)) return reader.fetchDocument(target);
+  const key = canonicalUrl(target);
+  for (const location of SEARCH_LOCATIONS) {
+    const doc = (await reader.fetchDocuments(location))
+      .find(candidate => canonicalUrl(candidate.source_url || candidate.url) === key);
+    if (doc) return doc;
+  }
+  return null;
+}
+
+/**
+ * Print how one document scores: every scoreDoc() component with its points,
+ * the threshold it must clear, decay, the wrapper and library checks, and the
+ * outcome of a full shortlisting pass (including the diversity, duplicate,
+ * cap or reading-budget rule that kept it off the Shortlist). Nothing is
+ * changed in Reader.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {{ target: string }} options - A document id, or a URL in Feed, Later or Shortlist
+ * @returns {Promise<{ doc: object, score: number, components: object[], threshold: number,
+ *   effectiveScore: number, decayApplied: boolean, outcome: { verdict: string, reason: string }|null }>}
+ */
+export async function explainDocument(ctx, { target }) {
+  const { reader, config, clock, cache, logger } = resolveContext(ctx);
+  const { threshold, cap, decayDays, decayPenalty, heavyFormatExtra } = config.shortlist;
+
+  const doc = await findDocument(reader, target);
+  if (!doc) throw new Error(`No document found for ${target}${/^https?:/i.test(target) ? ` in ${SEARCH_LOCATIONS.join(', ')}` : ''}`);
+
+  const affinity = await loadAffinity(ctx);
+  const { score, breakdown } = scoreDoc(doc, { config, now: clock.now(), affinity });
+  const components = parseBreakdown(breakdown);
+  const heavy = isHeavyFormat(doc);
+  const docThreshold = heavy ? threshold + heavyFormatExtra : threshold;
+  const wrapper = isNewsletterWrapperDoc(doc);
+  const librarySignal = matchLibrarySignal(doc, { config });
+
+  logger.info('='.repeat(60));
+  logger.info(`EXPLAIN: ${doc.title || doc.url}`);
+  logger.info('='.repeat(60));
+  logger.info(`Id:       ${doc.id}`);
+  logger.info(`URL:      ${doc.source_url || doc.url}`);
+  logger.info(`Location: ${doc.location || 'unknown'} | Category: ${doc.category || 'article'} | Domain: ${getDomain(doc)} | Cluster: ${detectCluster(doc, { config })}`);
+
+  logger.info('\nScore:');
+  for (const { name, detail, points } of components) {
+    logger.info(`  ${signed(points).padStart(5)}  ${name}${detail ? ` (${detail})` : ''}`);
+  }
+  logger.info(`  ${'-'.repeat(5)}`);
+  logger.info(`  ${String(score).padStart(5)}  total`);
+  if (affinity) logger.info(`  (affinity learned from ${affinity.read} read / ${affinity.skipped} skipped, ${affinity.learnedAt.split('T')[0]})`);
+
+  logger.info(`\nThreshold: ${docThreshold}${heavy ? ` (${threshold} + ${heavyFormatExtra} for ${doc.category})` : ''} — ${score >= docThreshold ? 'clears it' : `${docThreshold - score} short`}`);
+
+  // Decay only applies to items already on the Shortlist
+  let effectiveScore = score;
+  let decayApplied = false;
+  const lastTouched = doc.last_opened_at || doc.updated_at || doc.saved_at;
+  if (doc.location !== 'shortlist') {
+    logger.info('Decay:     not in the Shortlist, so none');
+  } else if (!lastTouched) {
+    logger.info('Decay:     never touched, no timestamp to measure from');
+  } else {
+    const untouched = daysSince(lastTouched, clock);
+    decayApplied = untouched >= decayDays;
+    if (decayApplied) effectiveScore -= decayPenalty;
+    logger.info(`Decay:     ${untouched}d untouched (decays at ${decayDays}d)${decayApplied ? ` → -${decayPenalty}, effective score ${effectiveScore}` : ', none'}`);
+  }
+  logger.info(`Wrapper:   ${wrapper ? 'yes — a newsletter issue page, never shortlisted' : 'no'}`);
+  logger.info(`Library:   ${librarySignal ? `yes — "${librarySignal}" (tagged library, never shortlisted)` : 'no'}`);
+
+  // A full, silent shortlisting pass with this document in it
+  const include = doc.location === 'shortlist' || doc.location === 'later' ? [] : [{ ...doc, location: 'later' }];
+  const plan = await planShortlist({ ...ctx, logger: silentLogger }, { incremental: false, include });
+  const outcome = plan.outcomes.get(doc.id) ?? null;
+  const limit = plan.budget ? `${formatMinutes(plan.budget.minutes)} budget` : `cap ${cap}`;
+  logger.info(`\nOutcome (full pass over Shortlist and Later, ${limit}):`);
+  if (include.length > 0) logger.info(`  (scored as if it were in Later; it is in ${doc.location})`);
+  logger.info(`  ${outcome ? `${VERDICT_LABELS[outcome.verdict]}: ${outcome.reason}` : 'not considered'}`);
+
+  // Incremental runs only rescore Later items that changed since the last run
+  const lastRun = cache.data.lastShortlistRun;
+  const changedAt = doc.updated_at || doc.saved_at || doc.created_at;
+  if (doc.location === 'later' && lastRun && changedAt && new Date(changedAt) <= new Date(lastRun)) {
+    logger.info(`  Unchanged since the last shortlisting run (${lastRun.split('T')[0]}), so the shortlist command will not rescore it until it changes`);
+  }
+  logger.info('='.repeat(60));
+
+  return { doc, score, components, threshold: docThreshold, effectiveScore, decayApplied, outcome };
+}
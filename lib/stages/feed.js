@@ -0,0 +1,113 @@
+import { resolveContext, daysAgo } from '../context.js';
+import { matchFeedRule, buildRuleChanges, describeRuleAction } from '../rules.js';
+import { createProtectionCheck } from '../guardrails.js';
+
+function isWithinDays(doc, days, clock) {
+  if (!days) return true;
+  const docDate = new Date(doc.created_at || doc.updated_at);
+  return docDate >= daysAgo(days, clock);
+}
+
+function printSummary(stats, { logger, dryRun, sinceDays }) {
+  logger.info('\n' + '='.repeat(60));
+  logger.info('SUMMARY');
+  logger.info('='.repeat(60));
+  if (dryRun) logger.info('(DRY RUN - no changes made)\n');
+  logger.info(`Total documents checked: ${stats.total}`);
+  const groups = Object.values(stats.byRule);
+  if (groups.length === 0) logger.info('\nNo rules fired.');
+  for (const { rule, description, titles } of groups) {
+    logger.info(`\nRule "${rule}" → ${description} (${titles.length}):`);
+    titles.slice(0, 10).forEach(t => logger.info(`  - ${t}`));
+    if (titles.length > 10) logger.info(`  ... and ${titles.length - 10} more`);
+  }
+  if (stats.protected > 0) logger.info(`\nProtected from archiving: ${stats.protected}`);
+  if (stats.failed > 0) logger.info(`\nFailed (retried next run): ${stats.failed}`);
+  if (stats.skippedTooOld > 0) logger.info(`\nSkipped - older than ${sinceDays} days: ${stats.skippedTooOld}`);
+  if (stats.skippedCached > 0) logger.info(`\nSkipped - cached: ${stats.skippedCached}`);
+  logger.info('\n' + '='.repeat(60));
+}
+
+/**
+ * Triage Feed documents with config.feed.rules. Protected documents (see
+ * protectionReason()) are never archived; the rule's other changes still
+ * apply. All changes are reserved against ctx.guardrails before any is made.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {object} [options]
+ * @param {number|null} [options.limit] - Only look at the first N Feed docs
+ * @param {number|null} [options.sinceDays] - Skip docs created before this many days ago
+ * @param {boolean} [options.archiveSkipped] - Archive docs whose rule leaves them in Feed
+ * @returns {Promise<{ total: number, byRule: object, skippedCached: number, skippedTooOld: number, protected: number, failed: number }>}
+ */
+export async function processFeed(ctx, { limit = null, sinceDays = null, archiveSkipped = false } = {}) {
+  const { reader, config, clock, cache, logger, dryRun, guardrails } = resolveContext(ctx);
+  const isProtected = createProtectionCheck({ reader, config });
+  const stats = {
+    total: 0,
+    byRule: {}, // "rule → action" → { rule, description, titles }
+    skippedCached: 0,
+    skippedTooOld: 0,
+    protected: 0,
+    failed: 0,
+  };
+
+  logger.info('='.repeat(60));
+  logger.info('PROCESSING FEED');
+  logger.info('='.repeat(60));
+  if (sinceDays) logger.info(`Filtering to last ${sinceDays} days`);
+  let documents = await reader.fetchDocuments('feed', limit);
+  stats.total = documents.length;
+  if (limit) documents = documents.slice(0, limit);
+  logger.info(`\nFound ${documents.length} document(s) in Feed\n`);
+  if (documents.length === 0) { logger.info('Nothing to process.'); return stats; }
+
+  const scoring = { config, now: clock.now() };
+  const updates = [];
+  const processed = {};
+  for (const doc of documents) {
+    const title = doc.title || doc.url || `ID: ${doc.id}`;
+    const docId = doc.id;
+    if (sinceDays && !isWithinDays(doc, sinceDays, clock)) { stats.skippedTooOld++; continue; }
+    if (cache.data.processed[docId]) { stats.skippedCached++; continue; }
+    logger.verbose(`\nProcessing: ${title}`);
+    const rule = matchFeedRule(doc, scoring);
+    const action = { ...rule.action };
+    if (!action.location && archiveSkipped) action.location = 'archive';
+    if (action.location === 'archive') {
+      const protection = await isProtected(doc);
+      if (protection) {
+        logger.verbose(`  [PROTECTED] not archived: ${protection}`);
+        stats.protected++;
+        delete action.location;
+      }
+    }
+    const changes = buildRuleChanges(doc, action);
+    const description = describeRuleAction(action);
+    logger.verbose(`  Rule "${rule.name}": ${description}`);
+    if (changes) updates.push({ doc, changes, reason: `rule "${rule.name}"` });
+    const group = `${rule.name} → ${description}`;
+    (stats.byRule[group] ||= { rule: rule.name, description, titles: [] }).titles.push(title);
+    if (!rule.recheck || action.location) {
+      processed[docId] = { rule: rule.name, location: action.location || null };
+    }
+  }
+  guardrails?.reserve({ 'feed-rule': updates.length });
+  if (!dryRun) {
+    await Promise.all(updates.map(async ({ doc, changes, reason }) => {
+      try {
+        await reader.updateDocument(doc, changes, 'feed-rule', { reason });
+      } catch (e) {
+        stats.failed++;
+        logger.verbose(`  update failed for ${doc.title || doc.url}: ${e.message}`);
+        // Left out of the cache so the next run tries it again
+        delete processed[doc.id];
+      }
+    }));
+  }
+  // Only record the documents whose update landed
+  Object.assign(cache.data.processed, processed);
+  cache.save();
+  printSummary(stats, { logger, dryRun, sinceDays });
+  return stats;
+}
@@ -0,0 +1,133 @@
+import { resolveContext } from '../context.js';
+import { normalizeNewsletterUrl } from '../newsletter.js';
+import { createFeedClient } from '../feeds.js';
+import { createIngestLedger, recordReaderDocuments, ledgerKey, describeDuplicate, logDuplicateSummary } from '../ledger.js';
+
+// Newest first when every entry is dated; otherwise feed order, which is
+// newest first by convention
+function newestFirst(entries) {
+  if (!entries.every(entry => entry.published)) return entries;
+  return [...entries].sort((a, b) => b.published.localeCompare(a.published));
+}
+
+/**
+ * Save new entries from RSS, Atom and JSON feeds to Reader Later. Each feed's
+ * entry IDs are remembered in the cache (feedState[xmlUrl]), so an entry is
+ * only considered once. Entry URLs are normalized like newsletter links and
+ * checked against skipUrlPatterns and the ingestion ledger before saving.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader.
+ *   ctx.feedClient (from createFeedClient()) defaults to plain fetch
+ * @param {{ feeds: { title: string, xmlUrl: string }[] }} options - Subscriptions,
+ *   e.g. from parseOpml()
+ * @returns {Promise<{ feeds: number, entries: number, saved: number, failed: number,
+ *   skipped: number, duplicates: object[] }|null>} null when no feed could be read
+ */
+export async function ingestFeeds(ctx, { feeds }) {
+  const { reader, config, clock, cache, logger, dryRun } = resolveContext(ctx);
+  const feedClient = ctx.feedClient ?? createFeedClient({ timeoutMs: config.ingest.feedTimeoutMs });
+  const { maxNewPerFeed } = config.ingest;
+  logger.info('='.repeat(60));
+  logger.info(`FEED INGESTION (${feeds.length} feed(s) → Reader Later)`);
+  logger.info('='.repeat(60));
+
+  const state = (cache.data.feedState ||= {});
+  const fetched = await Promise.all(feeds.map(async feed => {
+    try {
+      return { feed, parsed: await feedClient.fetchFeed(feed.xmlUrl) };
+    } catch (err) {
+      logger.warn(`Failed to read ${feed.title} (${feed.xmlUrl}): ${err.message}`);
+      return null;
+    }
+  }));
+  const readable = fetched.filter(Boolean);
+  if (feeds.length > 0 && readable.length === 0) return null;
+
+  const pending = [];
+  for (const { feed, parsed } of readable) {
+    const seen = new Set(state[feed.xmlUrl]?.seen || []);
+    const unseen = newestFirst(parsed.entries.filter(entry => entry.id && !seen.has(entry.id)));
+    logger.info(`${feed.title}: ${unseen.length} new of ${parsed.entries.length} item(s) (${parsed.format})`);
+    if (unseen.length > maxNewPerFeed) {
+      logger.verbose(`  ${unseen.length - maxNewPerFeed} older item(s) marked seen without saving (maxNewPerFeed ${maxNewPerFeed})`);
+    }
+    pending.push({ feed, parsed, fresh: unseen.slice(0, maxNewPerFeed), failedIds: new Set() });
+  }
+
+  let saved = 0;
+  let failed = 0;
+  let skipped = 0;
+  const duplicates = [];
+  const entryCount = pending.reduce((sum, { fresh }) => sum + fresh.length, 0);
+
+  if (entryCount > 0) {
+    const ledger = createIngestLedger(cache);
+    const inReader = await recordReaderDocuments(reader, ledger, { clock, archiveDays: config.ingest.archiveLedgerDays });
+    logger.verbose(`Ledger: ${ledger.size} URL(s) known, ${inReader} doc(s) in Reader`);
+    const savedThisRun = new Map(); // ledgerKey → ledger entry
+
+    for (const { feed, fresh, failedIds } of pending) {
+      if (fresh.length === 0) continue;
+      logger.verbose(`\n${feed.title}`);
+      const toSave = [];
+      for (const entry of fresh) {
+        const url = normalizeNewsletterUrl(entry.url);
+        if (!url) {
+          logger.verbose(`  [SKIP] ${entry.title || entry.id} — no usable link`);
+          skipped++;
+          continue;
+        }
+        const skip = config.skipUrlPatterns.find(p => p.test(url));
+        if (skip) {
+          logger.verbose(`  [SKIP] ${url} — matches skipUrlPatterns ${skip}`);
+          skipped++;
+          continue;
+        }
+        const known = savedThisRun.get(ledgerKey(url)) || ledger.get(url);
+        if (known) {
+          const reason = describeDuplicate(known);
+          logger.verbose(`  [DUPLICATE] ${url} — ${reason}`);
+          duplicates.push({ url, title: entry.title, senderKey: feed.title, kind: known.source, reason });
+          continue;
+        }
+        const record = { source: 'ingested', senderKey: feed.title, at: new Date(clock.now()).toISOString() };
+        ledger.record(url, record);
+        savedThisRun.set(ledgerKey(url), { ...record, source: 'run' });
+        toSave.push({ entry, url });
+      }
+
+      await Promise.all(toSave.map(async ({ entry, url }) => {
+        if (dryRun) {
+          logger.verbose(`  [DRY RUN] Would save: ${url}`);
+          saved++;
+          return;
+        }
+        try {
+          await reader.saveUrl(url, { title: entry.title || undefined, reason: `new in ${feed.title}` });
+          logger.verbose(`  Saved: ${url}`);
+          saved++;
+        } catch (err) {
+          logger.verbose(`  Failed to save ${url}: ${err.message}`);
+          // Leave the entry unseen and out of the ledger so a later run retries it
+          ledger.forget(url);
+          failedIds.add(entry.id);
+          failed++;
+        }
+      }));
+    }
+  }
+
+  if (!dryRun) {
+    // Only IDs still in the feed are kept, so the list never outgrows the feed
+    const checkedAt = new Date(clock.now()).toISOString();
+    for (const { feed, parsed, failedIds } of pending) {
+      const seen = parsed.entries.map(entry => entry.id).filter(id => id && !failedIds.has(id));
+      state[feed.xmlUrl] = { title: feed.title, checkedAt, seen };
+    }
+    cache.save();
+  }
+
+  logger.info(`\nFeed ingestion complete: ${saved} saved, ${failed} failed, ${skipped} skipped, ${duplicates.length} duplicate(s)`);
+  logDuplicateSummary(logger, duplicates);
+  return { feeds: readable.length, entries: entryCount, saved, failed, skipped, duplicates };
+}
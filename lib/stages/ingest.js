@@ -0,0 +1,125 @@
+import { resolveContext } from '../context.js';
+import { detectNewsletterSender, extractNewsletterLinks, findTrackedLinks } from '../newsletter.js';
+import { createIngestLedger, recordReaderDocuments, ledgerKey, describeDuplicate, logDuplicateSummary } from '../ledger.js';
+import { loadNewsletterProfiles } from '../newsletter-profiles.js';
+import { createAgentMailSource } from '../sources/index.js';
+
+/**
+ * Save article links from new newsletter messages to Reader Later, then mark
+ * each message processed. Links already in the ingestion ledger (saved
+ * before, or present in any Reader location) are skipped.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader.
+ *   ctx.profiles (from loadNewsletterProfiles()) defaults to the built-in profiles;
+ *   with ctx.redirectResolver, tracker links are followed to their destination
+ * @param {{ sources?: object[] }} [options] - Ingestion sources (see
+ *   lib/sources/index.js); defaults to the ctx.agentMail inbox
+ * @returns {Promise<{ messages: number, saved: number, failed: number, duplicates: object[] }|null>}
+ *   null when no source could be read; duplicates holds { url, title, senderKey, kind, reason }
+ */
+export async function ingestNewsletterEmails(ctx, { sources } = {}) {
+  const { reader, agentMail, config, clock, cache, logger, dryRun } = resolveContext(ctx);
+  sources ??= agentMail ? [createAgentMailSource(agentMail)] : [];
+  logger.info('='.repeat(60));
+  logger.info(`NEWSLETTER INGESTION (${sources.map(source => source.name).join(', ') || 'no sources'} → Reader Later)`);
+  logger.info('='.repeat(60));
+
+  const pending = [];
+  let readable = 0;
+  for (const source of sources) {
+    try {
+      const messages = await source.listMessages();
+      logger.info(`Found ${messages.length} new message(s) in ${source.name}`);
+      pending.push(...messages.map(message => ({ source, message })));
+      readable++;
+    } catch (err) {
+      logger.error(`Failed to read ${source.name}: ${err.message}`);
+    }
+  }
+  if (sources.length > 0 && readable === 0) return null;
+
+  let totalSaved = 0;
+  let totalSkipped = 0;
+  const duplicates = [];
+  if (pending.length === 0) return { messages: 0, saved: 0, failed: 0, duplicates };
+
+  const profiles = ctx.profiles ?? await loadNewsletterProfiles();
+  const ledger = createIngestLedger(cache);
+  const inReader = await recordReaderDocuments(reader, ledger, { clock, archiveDays: config.ingest.archiveLedgerDays });
+  logger.verbose(`Ledger: ${ledger.size} URL(s) known, ${inReader} doc(s) in Reader`);
+  // Links saved by this run, so a second newsletter's copy is reported as such
+  const savedThisRun = new Map(); // ledgerKey → ledger entry
+
+  for (const { source, message } of pending) {
+    const { thread } = message;
+    logger.verbose(`\nProcessing: ${message.subject}`);
+
+    let fullThread;
+    try {
+      fullThread = await message.loadFullThread();
+    } catch (err) {
+      logger.verbose(`  Could not read message: ${err.message}`);
+      continue;
+    }
+
+    let redirects;
+    const tracked = ctx.redirectResolver ? findTrackedLinks(fullThread, { config }) : [];
+    if (tracked.length > 0) {
+      redirects = await ctx.redirectResolver.resolveAll(tracked);
+      logger.verbose(`  Resolved ${redirects.size} of ${tracked.length} tracked link(s)`);
+    }
+
+    const threadMessages = fullThread.messages || [];
+    const links = extractNewsletterLinks(thread, fullThread, { config, profiles, redirects });
+    const senderKey = links[0]?.senderKey || detectNewsletterSender(thread, fullThread, profiles);
+    logger.verbose(`  Sender: ${senderKey}`);
+    logger.verbose(`  Extracted ${links.length} article URL(s) from ${threadMessages.length} message(s)`);
+
+    const fresh = [];
+    for (const link of links) {
+      const entry = savedThisRun.get(ledgerKey(link.url)) || ledger.get(link.url);
+      if (entry) {
+        const reason = describeDuplicate(entry);
+        logger.verbose(`  [DUPLICATE] ${link.url} — ${reason}`);
+        duplicates.push({ url: link.url, title: link.title, senderKey: link.senderKey, kind: entry.source, reason });
+        continue;
+      }
+      const record = { source: 'ingested', senderKey: link.senderKey, at: new Date(clock.now()).toISOString() };
+      ledger.record(link.url, record);
+      savedThisRun.set(ledgerKey(link.url), { ...record, source: 'run' });
+      fresh.push(link);
+    }
+
+    await Promise.all(fresh.map(async link => {
+      if (dryRun) {
+        logger.verbose(`  [DRY RUN] Would save: ${link.url}`);
+        totalSaved++;
+        return;
+      }
+      try {
+        await reader.saveUrl(link.url, { title: link.title, reason: `linked by ${link.senderKey}` });
+        logger.verbose(`  Saved: ${link.url}`);
+        totalSaved++;
+      } catch (err) {
+        logger.verbose(`  Failed to save ${link.url}: ${err.message}`);
+        // Not in Reader after all, so let a later run try again
+        ledger.forget(link.url);
+        totalSkipped++;
+      }
+    }));
+
+    if (!dryRun) {
+      try {
+        await source.markProcessed(message);
+      } catch (err) {
+        logger.verbose(`  Could not mark message as processed: ${err.message}`);
+      }
+    }
+  }
+
+  cache.save();
+
+  logger.info(`\nNewsletter ingestion complete: ${totalSaved} saved, ${totalSkipped} skipped, ${duplicates.length} duplicate(s)`);
+  logDuplicateSummary(logger, duplicates);
+  return { messages: pending.length, saved: totalSaved, failed: totalSkipped, duplicates };
+}
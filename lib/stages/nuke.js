@@ -0,0 +1,69 @@
+import { resolveContext, daysAgo, daysSince } from '../context.js';
+import { createProtectionCheck } from '../guardrails.js';
+import { createDecisionStore, archiveHold, decidesArchive, dropDecisions, consumeApprovals } from '../decisions.js';
+
+/**
+ * Archive everything in Later saved more than `days` ago, except protected
+ * documents (see protectionReason(); the "shortlist" tag is protected by
+ * default) and ones a dashboard decision holds back (see archiveHold()). The
+ * archiving is reserved against ctx.guardrails first.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {{ days: number }} options
+ * @returns {Promise<{ nuked: number, kept: number, protected: number, noDate: number, failed: number }>}
+ */
+export async function nukeLaterArticles(ctx, { days }) {
+  const { reader, config, clock, decisions: decisionFile, logger, dryRun, guardrails } = resolveContext(ctx);
+  const isProtected = createProtectionCheck({ reader, config });
+  const decisions = createDecisionStore(decisionFile);
+  logger.info('='.repeat(60));
+  logger.info(`NUKING LATER — archiving everything older than ${days} days`);
+  logger.info('='.repeat(60));
+  const cutoff = daysAgo(days, clock);
+  logger.info(`Cutoff: ${cutoff.toISOString().split('T')[0]}\n`);
+  const docs = await reader.fetchDocuments('later');
+  let kept = 0, noDate = 0, protectedCount = 0;
+  const targets = [];
+  const staleDecisions = []; // approvals and rejections of a nuke no longer due
+  for (const doc of docs) {
+    const savedAt = doc.saved_at || doc.created_at;
+    if (!savedAt) {
+      noDate++;
+      if (decidesArchive(decisions, doc, 'nuke')) staleDecisions.push(doc.id);
+      continue;
+    }
+    const savedDate = new Date(savedAt);
+    if (savedDate < cutoff) {
+      const protection = archiveHold(decisions, doc, config.review) ?? await isProtected(doc);
+      if (protection) {
+        logger.verbose(`  [PROTECTED] ${doc.title || doc.url}: ${protection}`);
+        protectedCount++;
+      } else {
+        targets.push({ doc, reason: `saved ${daysSince(savedDate, clock)}d ago` });
+      }
+    } else {
+      if (decidesArchive(decisions, doc, 'nuke')) staleDecisions.push(doc.id);
+      kept++;
+    }
+    if ((targets.length + kept + protectedCount) % 50 === 0) logger.info(`  Progress: ${targets.length} to archive, ${kept} kept...`);
+  }
+  guardrails?.reserve({ nuke: targets.length });
+  const archivedIds = [];
+  const failed = [];
+  if (!dryRun) {
+    await Promise.all(targets.map(async ({ doc, reason }) => {
+      try {
+        await reader.updateDocumentLocation(doc, 'archive', 'nuke', { reason });
+        archivedIds.push(doc.id);
+      } catch (e) {
+        failed.push(doc.id);
+        logger.verbose(`  archive failed for ${doc.title || doc.url}: ${e.message}`);
+      }
+    }));
+    const used = consumeApprovals(decisions, archivedIds) + dropDecisions(decisions, staleDecisions);
+    if (used > 0) decisionFile.save();
+  }
+  const nuked = targets.length - failed.length;
+  logger.info(`\n${dryRun ? '[DRY RUN] Would archive' : 'Archived'}: ${nuked} | Kept: ${kept} | Protected: ${protectedCount} | No date: ${noDate}${failed.length ? ` | Failed: ${failed.length}` : ''}`);
+  return { nuked, kept, protected: protectedCount, noDate, failed: failed.length };
+}
@@ -0,0 +1,75 @@
+import { readFileSync } from 'fs';
+import { relative } from 'path';
+import { resolveContext } from '../context.js';
+import { explainNewsletterLinks, findTrackedLinks } from '../newsletter.js';
+import { parseEmail, emailToThread } from '../mime.js';
+import { loadNewsletterProfiles } from '../newsletter-profiles.js';
+
+function describeSource(profile) {
+  return profile.source ? relative(process.cwd(), profile.source) : 'inline';
+}
+
+/**
+ * Print the loaded newsletter profiles in the order they are tried.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); uses ctx.profiles
+ *   when given, otherwise the built-in profiles
+ */
+export async function printNewsletterProfiles(ctx) {
+  const { logger } = resolveContext(ctx);
+  const profiles = ctx.profiles ?? await loadNewsletterProfiles();
+  logger.info('='.repeat(60));
+  logger.info('NEWSLETTER PROFILES (tried in this order)');
+  logger.info('='.repeat(60));
+  for (const profile of profiles) {
+    logger.info(`  ${profile.name.padEnd(12)} priority ${String(profile.priority).padStart(3)}  ${describeSource(profile)}`);
+  }
+  logger.info('  generic      (fallback when no profile matches)');
+  logger.info(`\nTry one on an email with: node process-feed.js profiles test <eml-file>`);
+}
+
+/**
+ * Run an .eml file through profile matching and link extraction, printing
+ * every link with the verdict and the reason for it.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); with
+ *   ctx.redirectResolver, tracker links are followed first
+ * @param {{ file: string }} options
+ * @returns {Promise<{ senderKey: string, kept: object[], dropped: object[] }>}
+ */
+export async function testNewsletterProfile(ctx, { file }) {
+  const { config, cache, logger } = resolveContext(ctx);
+  const profiles = ctx.profiles ?? await loadNewsletterProfiles();
+  const email = parseEmail(readFileSync(file));
+  const { thread, fullThread } = emailToThread(email);
+  const tracked = ctx.redirectResolver ? findTrackedLinks(fullThread, { config }) : [];
+  const redirects = tracked.length > 0 ? await ctx.redirectResolver.resolveAll(tracked) : undefined;
+  if (redirects) cache.save();
+  const { senderKey, profile, links } = explainNewsletterLinks(thread, fullThread, { config, profiles, redirects });
+
+  logger.info('='.repeat(60));
+  logger.info(`PROFILE TEST: ${file}`);
+  logger.info('='.repeat(60));
+  logger.info(`From:    ${email.from || '(none)'}`);
+  logger.info(`Subject: ${email.subject || '(none)'}`);
+  logger.info(`Profile: ${profile ? `${senderKey} (${describeSource(profile)})` : 'generic (no profile matched)'}`);
+  if (!email.html && !email.text) logger.warn('No text/html or text/plain body found');
+  if (tracked.length > 0) logger.info(`Redirects: ${redirects.size} of ${tracked.length} tracked link(s) resolved`);
+
+  const kept = links.filter(link => link.keep);
+  const dropped = links.filter(link => !link.keep);
+  logger.info(`\nKept (${kept.length}):`);
+  for (const link of kept) {
+    logger.info(`  ✓ ${link.url}${link.title ? ` — "${link.title}"` : ''}`);
+    if (link.resolvedFrom) logger.info(`      via ${link.resolvedFrom}`);
+    logger.info(`      ${link.reason}`);
+  }
+  logger.info(`\nDropped (${dropped.length}):`);
+  for (const link of dropped) {
+    logger.info(`  ✗ ${link.url || link.rawUrl}`);
+    if (link.resolvedFrom) logger.info(`      via ${link.resolvedFrom}`);
+    logger.info(`      ${link.reason}`);
+  }
+  logger.info('='.repeat(60));
+  return { senderKey, kept, dropped };
+}
@@ -0,0 +1,80 @@
+import { resolveContext, daysAgo, daysSince } from '../context.js';
+import { createProtectionCheck } from '../guardrails.js';
+import { createDecisionStore, archiveHold, decidesArchive, dropDecisions, consumeApprovals } from '../decisions.js';
+
+/**
+ * Archive Feed and Later documents not opened (or, if never opened, created)
+ * in the last `days` days. Protected documents (see protectionReason()) and
+ * ones a dashboard decision holds back (see archiveHold()) are kept, and the
+ * archiving is reserved against ctx.guardrails first.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {{ days: number }} options
+ * @returns {Promise<string[]>} One "title (age, location)" line per pruned doc; ones
+ *   that failed to archive are left out
+ */
+export async function pruneStaleArticles(ctx, { days }) {
+  const { reader, config, clock, decisions: decisionFile, logger, dryRun, guardrails } = resolveContext(ctx);
+  const isProtected = createProtectionCheck({ reader, config });
+  const decisions = createDecisionStore(decisionFile);
+  logger.info('='.repeat(60));
+  logger.info(`PRUNING STALE ARTICLES (not opened in ${days}+ days)`);
+  logger.info('='.repeat(60));
+  const cutoff = daysAgo(days, clock);
+  logger.verbose(`Cutoff date: ${cutoff.toISOString().split('T')[0]}`);
+  const skipped = [];
+  const targets = [];
+  const staleDecisions = []; // approvals and rejections of a prune no longer due
+  let kept = 0;
+  for (const location of ['feed', 'later']) {
+    const docs = await reader.fetchDocuments(location);
+    logger.verbose(`\nChecking ${docs.length} doc(s) in ${location}...`);
+    for (const doc of docs) {
+      const title = doc.title || doc.url || `ID: ${doc.id}`;
+      const lastTouched = doc.last_opened_at || doc.created_at;
+      if (!lastTouched) {
+        skipped.push(title);
+        if (decidesArchive(decisions, doc, 'prune')) staleDecisions.push(doc.id);
+        continue;
+      }
+      const lastDate = new Date(lastTouched);
+      if (lastDate < cutoff) {
+        const protection = archiveHold(decisions, doc, config.review) ?? await isProtected(doc);
+        if (protection) {
+          logger.verbose(`  [PROTECTED] ${title}: ${protection}`);
+          kept++;
+          continue;
+        }
+        targets.push({
+          doc,
+          reason: `${doc.last_opened_at ? 'last opened' : 'created'} ${daysSince(lastDate, clock)}d ago`,
+          line: `${title} (${daysSince(lastDate, clock)}d, ${location})`,
+        });
+      } else if (decidesArchive(decisions, doc, 'prune')) {
+        staleDecisions.push(doc.id);
+      }
+    }
+  }
+  guardrails?.reserve({ prune: targets.length });
+  const archivedIds = [];
+  const failed = [];
+  if (!dryRun) {
+    await Promise.all(targets.map(async ({ doc, reason }) => {
+      try {
+        await reader.updateDocumentLocation(doc, 'archive', 'prune', { reason });
+        archivedIds.push(doc.id);
+      } catch (e) {
+        failed.push(doc.id);
+        logger.verbose(`  archive failed for ${doc.title || doc.url}: ${e.message}`);
+      }
+    }));
+    const used = consumeApprovals(decisions, archivedIds) + dropDecisions(decisions, staleDecisions);
+    if (used > 0) decisionFile.save();
+  }
+  const pruned = targets.filter(({ doc }) => !failed.includes(doc.id)).map(({ line }) => line);
+  logger.info(`\n${dryRun ? '[DRY RUN] Would prune' : 'Pruned'}: ${pruned.length} stale article(s)`);
+  if (failed.length > 0) logger.info(`Failed: ${failed.length}`);
+  if (kept > 0) logger.info(`Protected (kept): ${kept}`);
+  if (skipped.length > 0) logger.info(`Skipped (no date): ${skipped.length}`);
+  return pruned;
+}
@@ -0,0 +1,480 @@
+import { createServer } from 'http';
+import { randomBytes } from 'crypto';
+import { resolveContext } from '../context.js';
+import { silentLogger } from '../logger.js';
+import { createPlanRecorder } from '../plan.js';
+import {
+  scoreDoc, parseBreakdown, getDomain,
+  isHeavyFormat, isNewsletterWrapperDoc,
+} from '../scoring.js';
+import { createDecisionStore, parseDecision, forgetMissingDocuments } from '../decisions.js';
+import { readingMinutes, formatMinutes } from '../budget.js';
+import { loadAffinity } from './affinity.js';
+import { planShortlist } from './shortlist.js';
+import { pruneStaleArticles } from './prune.js';
+import { nukeLaterArticles } from './nuke.js';
+
+// The review dashboard: a page on localhost showing what the next run would
+// do (the Shortlist with score breakdowns, what narrowly missed it, what
+// prune and nuke would archive), with buttons that record decisions in the
+// cache (see lib/decisions.js) for later runs to honour. Nothing in Reader
+// changes from here.
+
+const MAX_FORM_BYTES = 64 * 1024;
+// Highlights can only be listed in full, so pages reuse them this long
+const HIGHLIGHTS_TTL_MS = 10 * 60 * 1000;
+// Where the documents decisions are about live
+const REVIEW_LOCATIONS = ['shortlist', 'later', 'feed'];
+// Bound to one of these, the page may also be opened as localhost
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1'];
+
+// Each location is fetched once per page, however many stages ask for it
+function memoizeReader(reader) {
+  const fetched = new Map();
+  return {
+    ...reader,
+    fetchDocuments: (location, maxDocs = null) => {
+      const key = `${location}:${maxDocs ?? ''}`;
+      if (!fetched.has(key)) fetched.set(key, reader.fetchDocuments(location, maxDocs));
+      return fetched.get(key);
+    },
+  };
+}
+
+// Highlight counts shared by every page for HIGHLIGHTS_TTL_MS
+function rememberHighlights(reader, clock) {
+  let counts = null;
+  let fetchedAt = 0;
+  return {
+    ...reader,
+    fetchHighlightCounts: () => {
+      if (!counts || clock.now() - fetchedAt > HIGHLIGHTS_TTL_MS) {
+        fetchedAt = clock.now();
+        counts = reader.fetchHighlightCounts().catch(err => {
+          counts = null;
+          throw err;
+        });
+      }
+      return counts;
+    },
+  };
+}
+
+// A cache or decisions file whose save() does nothing, for the stages a page runs
+function unsaved(store) {
+  return { data: store.data, save() {} };
+}
+
+// What prune and nuke would archive with their configured --days, worked out
+// by running them against a plan recorder and a throwaway copy of the
+// decisions. Approval is not required here, or unapproved documents would
+// never show up.
+async function pendingArchives(ctx) {
+  const { reader, config, clock, decisions } = ctx;
+  const planner = createPlanRecorder({ clock });
+  const planCtx = {
+    ...ctx,
+    reader: planner.observeReader(reader),
+    dryRun: false, // the recorder only records what a live run would send
+    config: { ...config, review: { ...config.review, requireApproval: false } },
+    decisions: { data: structuredClone(decisions.data), save() {} },
+  };
+  await pruneStaleArticles(planCtx, { days: config.prune.days });
+  await nukeLaterArticles(planCtx, { days: config.nuke.days });
+  return planner.changes;
+}
+
+/**
+ * Everything the dashboard shows, from a silent full shortlisting pass and
+ * dry runs of prune and nuke. Each document entry carries its score
+ * components (see parseBreakdown()), the outcome the pass gave it and any
+ * decision already made. Nothing is saved: an affinity model learned on the
+ * way stays in ctx.cache's memory only.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @returns {Promise<{ generatedAt: string, threshold: number, cap: number, budget: object|null,
+ *   readingMinutes: number, shortlist: object[],
+ *   demotions: object[], nearMisses: object[], prune: object[], nuke: object[], decisions: object[] }>}
+ */
+export async function collectReview(ctx) {
+  const resolved = resolveContext(ctx);
+  const { reader, config, clock, cache } = resolved;
+  const { threshold, cap, heavyFormatExtra } = config.shortlist;
+  const quiet = {
+    ...resolved,
+    reader: memoizeReader(reader),
+    cache: unsaved(cache),
+    decisions: unsaved(resolved.decisions),
+    logger: silentLogger,
+    guardrails: null,
+  };
+  const decisions = createDecisionStore(resolved.decisions);
+
+  const plan = await planShortlist(quiet, { incremental: false });
+  const scoring = { config, now: clock.now(), affinity: await loadAffinity(quiet) };
+  const candidates = new Map([...plan.currentScored, ...plan.laterCandidates].map(c => [c.doc.id, c]));
+
+  function toEntry(doc, candidate) {
+    const { score, breakdown } = candidate ?? scoreDoc(doc, scoring);
+    const outcome = plan.outcomes.get(doc.id) ?? null;
+    const decision = decisions.get(doc.id);
+    return {
+      id: doc.id,
+      title: doc.title || doc.url,
+      url: doc.source_url || doc.url,
+      domain: getDomain(doc),
+      location: doc.location ?? null,
+      score,
+      effectiveScore: candidate?.effectiveScore ?? (decision?.decision === 'override' ? decision.score : score),
+      decayApplied: candidate?.decayApplied ?? false,
+      threshold: isHeavyFormat(doc) ? threshold + heavyFormatExtra : threshold,
+      minutes: readingMinutes(doc, { config }),
+      components: parseBreakdown(breakdown),
+      verdict: outcome?.verdict ?? null,
+      reason: outcome?.reason ?? null,
+      decision,
+    };
+  }
+
+  // Later documents that cleared the threshold but were held back (story
+  // duplicates, diversity, the cap), came within nearMissPoints of it, or
+  // had their promotion rejected
+  const nearMisses = [];
+  for (const doc of await quiet.reader.fetchDocuments('later')) {
+    if (plan.outcomes.get(doc.id)?.verdict !== 'skip') continue;
+    const candidate = candidates.get(doc.id);
+    if (candidate) {
+      nearMisses.push(toEntry(doc, candidate));
+      continue;
+    }
+    if (isNewsletterWrapperDoc(doc) || plan.libraryCandidates.some(lib => lib.id === doc.id)) continue;
+    const entry = toEntry(doc);
+    const close = entry.threshold - entry.score <= config.review.nearMissPoints;
+    const decided = entry.decision && !['prune', 'nuke'].includes(entry.decision.op);
+    if (close || decided) nearMisses.push(entry);
+  }
+  nearMisses.sort((a, b) => b.effectiveScore - a.effectiveScore);
+
+  const archives = await pendingArchives(quiet);
+  const toArchiveEntry = change => ({
+    id: change.docId,
+    title: change.title,
+    url: change.url,
+    reason: change.reason,
+    decision: decisions.get(change.docId),
+  });
+
+  return {
+    generatedAt: new Date(clock.now()).toISOString(),
+    threshold,
+    cap,
+    budget: plan.budget,
+    readingMinutes: plan.readingMinutes,
+    shortlist: plan.winners.map(c => toEntry(c.doc, c)),
+    demotions: plan.toDemote.map(c => toEntry(c.doc, c)),
+    nearMisses,
+    prune: archives.filter(change => change.op === 'prune').map(toArchiveEntry),
+    nuke: archives.filter(change => change.op === 'nuke').map(toArchiveEntry),
+    decisions: decisions.all(),
+  };
+}
+
+// ─── Page ────────────────────────────────────────────────────────────────────
+
+const STYLE = `
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; max-width: 980px; margin: 0 auto; padding: 0 16px 40px; color: #222; }
+  h1 { font-size: 20px; }
+  h2 { font-size: 16px; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 32px; }
+  .meta, .empty { color: #666; font-size: 13px; }
+  .banner { background: #fff4e5; border: 1px solid #f0c36d; padding: 8px 12px; font-size: 13px; }
+  .row { padding: 10px 0; border-bottom: 1px solid #eee; }
+  .row .title { font-weight: 600; color: #1a5fb4; text-decoration: none; }
+  .score { display: inline-block; min-width: 36px; font-weight: 600; }
+  .parts { font-size: 12px; color: #555; margin: 4px 0; }
+  .parts span { display: inline-block; margin-right: 10px; }
+  .plus { color: #26734d; } .minus { color: #b42318; }
+  .decision { display: inline-block; background: #e8f0fe; color: #1a5fb4; border-radius: 3px; padding: 0 6px; font-size: 12px; }
+  form { display: inline; margin-right: 4px; }
+  button { font-size: 12px; padding: 2px 8px; cursor: pointer; }
+  input[type=number] { width: 56px; font-size: 12px; }
+`;
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Only web URLs become links: a javascript: URL from a feed or newsletter
+// would run on the dashboard's origin, where it can read the form token
+function titleLink(url, text) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    // not a URL: plain text
+  }
+  if (parsed && (parsed.protocol === 'http:' || parsed.protocol === 'https:')) {
+    return `<a class="title" href="${escapeHtml(parsed.href)}">${escapeHtml(text)}</a>`;
+  }
+  return `<span class="title">${escapeHtml(text)}</span>`;
+}
+
+function signed(points) {
+  return points >= 0 ? `+${points}` : String(points);
+}
+
+function describeDecision(decision) {
+  if (!decision) return '';
+  if (decision.decision === 'override') return `score overridden to ${decision.score}`;
+  if (decision.decision === 'pin') return 'pinned';
+  return `${decision.op} ${decision.decision === 'approve' ? 'approved' : 'rejected'}`;
+}
+
+function actionForm(token, id, label, fields) {
+  const hidden = Object.entries({ token, id, ...fields })
+    .map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`)
+    .join('');
+  return `<form method="post" action="/decisions">${hidden}<button>${escapeHtml(label)}</button></form>`;
+}
+
+function overrideForm(token, id, score) {
+  return `<form method="post" action="/decisions">`
+    + `<input type="hidden" name="token" value="${token}"><input type="hidden" name="id" value="${escapeHtml(id)}">`
+    + `<input type="hidden" name="decision" value="override"><input type="number" name="score" value="${score}" step="1">`
+    + `<button>Override score</button></form>`;
+}
+
+// The buttons a row gets: the decision that undoes or confirms its pending
+// action, pin, a score override where scores count, and clear
+function actions(token, entry, { approve = null, reject = null, override = false }) {
+  const forms = [];
+  const { decision } = entry;
+  if (approve && !decision) forms.push(actionForm(token, entry.id, approve.label, { decision: 'approve', op: approve.op }));
+  if (reject && !decision) forms.push(actionForm(token, entry.id, reject.label, { decision: 'reject', op: reject.op }));
+  if (decision?.decision !== 'pin') forms.push(actionForm(token, entry.id, 'Pin', { decision: 'pin' }));
+  if (override) forms.push(overrideForm(token, entry.id, entry.effectiveScore));
+  if (decision) forms.push(actionForm(token, entry.id, 'Clear decision', { decision: 'clear' }));
+  return `<div>${forms.join('')}</div>`;
+}
+
+function scoredRow(token, entry, buttons) {
+  const parts = entry.components.map(({ name, detail, points }) => (
+    `<span class="${points >= 0 ? 'plus' : 'minus'}">${escapeHtml(name)}${detail ? ` (${escapeHtml(detail)})` : ''} ${signed(points)}</span>`
+  ));
+  const scoreNote = entry.effectiveScore !== entry.score ? ` (computed ${entry.score}${entry.decayApplied ? ', decayed' : ''})` : '';
+  return [
+    `<div class="row" id="doc-${escapeHtml(entry.id)}">`,
+    `<span class="score">${entry.effectiveScore}</span> ${titleLink(entry.url, entry.title)}`,
+    entry.decision ? ` <span class="decision">${escapeHtml(describeDecision(entry.decision))}</span>` : '',
+    `<div class="meta">${escapeHtml(entry.domain)}${entry.minutes ? ` · ${formatMinutes(entry.minutes)}` : ''} · threshold ${entry.threshold}${escapeHtml(scoreNote)}${entry.reason ? ` · ${escapeHtml(entry.reason)}` : ''}</div>`,
+    `<div class="parts">${parts.join('')}</div>`,
+    actions(token, entry, buttons),
+    '</div>',
+  ].join('');
+}
+
+function archiveRow(token, entry, op, requireApproval) {
+  return [
+    `<div class="row" id="doc-${escapeHtml(entry.id)}">`,
+    titleLink(entry.url, entry.title || entry.url),
+    entry.decision ? ` <span class="decision">${escapeHtml(describeDecision(entry.decision))}</span>` : '',
+    `<div class="meta">${escapeHtml(entry.reason)}</div>`,
+    actions(token, entry, {
+      approve: requireApproval ? { op, label: `Approve ${op}` } : null,
+      reject: { op, label: 'Keep' },
+    }),
+    '</div>',
+  ].join('');
+}
+
+function section(title, rows, empty) {
+  return `<h2>${escapeHtml(title)}</h2>${rows.length > 0 ? rows.join('\n') : `<p class="empty">${escapeHtml(empty)}</p>`}`;
+}
+
+function describeLimit({ cap, budget, readingMinutes: minutes }) {
+  const limit = budget ? `budget ${formatMinutes(budget.minutes)} (${budget.source})` : `cap ${cap}`;
+  return `${limit} · ${formatMinutes(minutes)} of reading`;
+}
+
+function renderDashboard(review, { token, dryRun, requireApproval }) {
+  const shortlistRows = review.shortlist.map(entry => scoredRow(token, entry, {
+    reject: entry.verdict === 'promote' ? { op: 'promote', label: 'Reject promotion' } : null,
+    override: true,
+  }));
+  const demotionRows = review.demotions.map(entry => scoredRow(token, entry, {
+    reject: { op: 'demote', label: 'Keep in Shortlist' },
+    override: true,
+  }));
+  const nearMissRows = review.nearMisses.map(entry => scoredRow(token, entry, {
+    approve: { op: 'promote', label: 'Promote' },
+    override: true,
+  }));
+  const decisionRows = review.decisions.map(decision => [
+    `<div class="row">${titleLink(decision.url, decision.title || decision.id)} `,
+    `<span class="decision">${escapeHtml(describeDecision(decision))}</span>`,
+    `<div class="meta">${escapeHtml(decision.at)}</div>`,
+    `<div>${actionForm(token, decision.id, 'Clear decision', { decision: 'clear' })}</div></div>`,
+  ].join(''));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8"><title>Reader review</title>',
+    `<style>${STYLE}</style></head><body>`,
+    '<h1>Reader review</h1>',
+    `<p class="meta">What the next run would do, as of ${escapeHtml(review.generatedAt)} · threshold ${review.threshold} · ${escapeHtml(describeLimit(review))} · <a href="/api/review">JSON</a></p>`,
+    dryRun ? '<p class="banner">Dry run: decisions apply while this dashboard runs but are not saved to the cache.</p>' : '',
+    section(`Shortlist (${review.shortlist.length})`, shortlistRows, 'Nothing would be on the Shortlist.'),
+    section(`Leaving the Shortlist (${review.demotions.length})`, demotionRows, 'Nothing would be demoted.'),
+    section(`Near misses (${review.nearMisses.length})`, nearMissRows, 'No Later documents came close.'),
+    section(`Pending prune (${review.prune.length})`, review.prune.map(entry => archiveRow(token, entry, 'prune', requireApproval)), 'Prune would archive nothing.'),
+    section(`Pending nuke (${review.nuke.length})`, review.nuke.map(entry => archiveRow(token, entry, 'nuke', requireApproval)), 'Nuke would archive nothing.'),
+    section(`Decisions (${review.decisions.length})`, decisionRows, 'No decisions yet.'),
+    '</body></html>',
+  ].join('\n');
+}
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+
+function send(res, status, type, body) {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_FORM_BYTES) {
+        reject(new Error('Form too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Serve the review dashboard until close() is called. GET / is the page, GET
+ * /api/review the same data as JSON (see collectReview()); the page's
+ * buttons POST to /decisions with a token that changes every start, so other
+ * sites cannot submit decisions. Requests naming any other Host than the
+ * address listened on are refused, so a DNS-rebinding page cannot read the
+ * review either. Pages only read: each POST reloads ctx.decisions (see
+ * createFileDecisions()), makes its one change, forgets decisions about
+ * documents no longer in Feed, Later or the Shortlist, and saves, so
+ * decisions written by runs in the meantime are kept. The cache is never
+ * saved.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader, and decisions to keep them
+ * @param {{ host?: string, port?: number }} [options] - Default to config.review
+ * @returns {Promise<{ url: string, close(): Promise<void> }>}
+ */
+export async function startDashboard(ctx, { host, port } = {}) {
+  const resolved = resolveContext(ctx);
+  const { reader, config, clock, decisions: decisionFile, logger, dryRun } = resolved;
+  host ??= config.review.host;
+  port ??= config.review.port;
+  const token = randomBytes(16).toString('hex');
+  const view = { ...resolved, reader: rememberHighlights(reader, clock) };
+  // Titles and URLs of the documents on the last page, kept with decisions
+  let shown = new Map();
+  // Host headers naming the address listened on, once listening
+  let ownHosts = new Set();
+
+  async function collect() {
+    // A dry run's decisions live only in memory
+    if (!dryRun) decisionFile.reload?.();
+    const review = await collectReview(view);
+    shown = new Map([...review.shortlist, ...review.demotions, ...review.nearMisses, ...review.prune, ...review.nuke]
+      .map(entry => [entry.id, { title: entry.title, url: entry.url }]));
+    return review;
+  }
+
+  async function decide(form) {
+    const id = form.get('id');
+    if (!id) throw new Error('No document id');
+    if (!dryRun) decisionFile.reload?.();
+    const decisions = createDecisionStore(decisionFile);
+    const doc = shown.get(id) ?? decisions.get(id) ?? {};
+    if (form.get('decision') === 'clear') {
+      decisions.clear(id);
+      logger.info(`  [CLEAR] ${doc.title || id}`);
+    } else {
+      const decision = parseDecision({
+        decision: form.get('decision'),
+        op: form.get('op') ?? undefined,
+        score: form.get('score') ?? undefined,
+      });
+      decisions.set(id, { ...decision, title: doc.title ?? null, url: doc.url ?? null, at: new Date(clock.now()).toISOString() });
+      logger.info(`  [${describeDecision(decision).toUpperCase()}] ${doc.title || id}`);
+    }
+    const present = new Set();
+    for (const location of REVIEW_LOCATIONS) {
+      for (const { id: presentId } of await reader.fetchDocuments(location)) present.add(presentId);
+    }
+    forgetMissingDocuments(decisions, present);
+    decisionFile.save();
+  }
+
+  const server = createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    try {
+      if (!ownHosts.has(String(req.headers.host).toLowerCase())) {
+        send(res, 421, 'text/plain; charset=utf-8', `Open the dashboard at ${url}\n`);
+      } else if (req.method === 'GET' && pathname === '/') {
+        const review = await collect();
+        send(res, 200, 'text/html; charset=utf-8', renderDashboard(review, { token, dryRun, requireApproval: config.review.requireApproval }));
+      } else if (req.method === 'GET' && pathname === '/api/review') {
+        send(res, 200, 'application/json', JSON.stringify(await collect(), null, 2) + '\n');
+      } else if (req.method === 'POST' && pathname === '/decisions') {
+        const form = await readForm(req);
+        if (form.get('token') !== token) {
+          send(res, 403, 'text/plain; charset=utf-8', 'Missing or stale form token: reload the dashboard and try again.\n');
+          return;
+        }
+        try {
+          await decide(form);
+        } catch (err) {
+          send(res, 400, 'text/plain; charset=utf-8', `${err.message}\n`);
+          return;
+        }
+        res.writeHead(303, { Location: `/#doc-${encodeURIComponent(form.get('id'))}` });
+        res.end();
+      } else {
+        send(res, 404, 'text/plain; charset=utf-8', 'Not found\n');
+      }
+    } catch (err) {
+      logger.warn(`Dashboard: ${req.method} ${pathname} failed: ${err.message}`);
+      if (!res.headersSent) send(res, 500, 'text/plain; charset=utf-8', `${err.message}\n`);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: boundPort } = server.address();
+  const hostLabel = host.includes(':') ? `[${host}]` : host;
+  const url = `http://${hostLabel}:${boundPort}/`;
+  ownHosts = new Set([hostLabel, ...(LOOPBACK_HOSTS.includes(host) ? ['localhost'] : [])]
+    .map(name => `${name.toLowerCase()}:${boundPort}`));
+  logger.info('='.repeat(60));
+  logger.info(`REVIEW DASHBOARD at ${url}`);
+  logger.info('='.repeat(60));
+  logger.info('Decisions are saved to the decisions file (review.decisionsFile) and honoured by the next run. Ctrl-C to stop.');
+  if (dryRun) logger.warn('Dry run: decisions will not be saved.');
+
+  return {
+    url,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    }),
+  };
+}
@@ -0,0 +1,458 @@
+import { resolveContext, daysSince } from '../context.js';
+import { canonicalUrl } from '../canonical.js';
+import {
+  scoreDoc, humanizeShortlistReason, detectCluster, getDomain,
+  isLibraryContent, isHeavyFormat, isNewsletterWrapperDoc, isShortlistNote,
+} from '../scoring.js';
+import { findStoryGroups } from '../similarity.js';
+import { loadAffinity } from './affinity.js';
+import { createDecisionStore, shortlistDecision, consumeApprovals, dropDecisions } from '../decisions.js';
+import { readingMinutes, shortlistBudget, pickWithinBudget, formatMinutes } from '../budget.js';
+
+// `extra`: the reason and effective score, kept in the journal and in plans
+async function moveToShortlist(reader, doc, score, breakdown, decayApplied = false, extra = {}) {
+  const note = humanizeShortlistReason(score, breakdown, decayApplied);
+  await reader.updateDocument(doc, { location: 'shortlist', notes: note }, 'promote', extra);
+}
+
+async function demoteFromShortlist(reader, doc, notes = null, extra = {}) {
+  await reader.updateDocument(doc, notes ? { location: 'later', notes } : { location: 'later' }, 'demote', extra);
+}
+
+// The doc's notes with a "dup-of:" line naming the story's winner, replacing
+// any earlier one; a stale Shortlist reason is dropped
+function withDupOfNote(doc, winner) {
+  const line = `dup-of: ${winner.title || winner.url} <${winner.source_url || winner.url}>`;
+  const kept = (doc.notes || '').split('\n').filter(l => !l.startsWith('dup-of: ')).join('\n').trim();
+  return kept && !isShortlistNote(kept) ? `${kept}\n\n${line}` : line;
+}
+
+async function addLibraryTag(reader, doc) {
+  // Use PATCH /update/ with the doc's id — no risk of re-saving archived items to Later
+  if (!doc.id) return;
+  await reader.updateDocument(doc, { tags: { library: { name: 'library' } } }, 'library-tag', { reason: 'library material' });
+}
+
+/**
+ * Score the Shortlist and changed Later items and decide what moves, without
+ * changing anything in Reader. Every document looked at gets an outcome:
+ * kept, promoted, demoted or skipped, with the rule that decided it.
+ * Near-duplicate stories (see findStoryGroups()) are grouped first; only the
+ * member with the best effective score that makes the Shortlist is eligible,
+ * and the others give way to it. Scores include learned reading
+ * affinity (see loadAffinity()) unless config.affinity.enabled is false.
+ * Dashboard decisions (see createDecisionStore()) come first: pinned and
+ * approved documents are on the Shortlist whatever their score, overrides
+ * replace the score, and rejected promotions do not happen while the
+ * document would otherwise be promoted; approvals and rejections that no
+ * longer match a pending move are listed in `staleDecisions`. With a reading
+ * budget (see shortlistBudget()) the Shortlist is the highest-scoring set
+ * that fits in the day's minutes instead of the top config.shortlist.cap.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {object} [options]
+ * @param {boolean} [options.incremental] - Only Later items changed since the last
+ *   run (cache.data.lastShortlistRun) are scored; false scores all of Later
+ * @param {object[]} [options.include] - Extra documents scored as if they were
+ *   changed Later items, e.g. one from Feed that explainDocument() is asked about
+ * @param {number|null} [options.budget] - Reading minutes to fill, overriding
+ *   config.shortlist.budget and turning budget mode on
+ * @returns {Promise<object>} The plan, for executeShortlistPlan()
+ */
+export async function planShortlist(ctx, { incremental = true, include = [], budget: budgetMinutes = null } = {}) {
+  const { reader, config, clock, cache, decisions: decisionFile, logger } = resolveContext(ctx);
+  const { threshold, cap, decayDays, decayPenalty, heavyFormatExtra, nearDuplicateThreshold } = config.shortlist;
+  const startedAt = clock.now();
+  const outcomes = new Map(); // doc id → { verdict: 'keep'|'promote'|'demote'|'skip', reason }
+  const decisions = createDecisionStore(decisionFile);
+  const staleDecisions = []; // doc ids whose approval or rejection no longer applies
+  const budget = shortlistBudget({ config, clock, minutes: budgetMinutes });
+  const limitLabel = budget ? `Budget: ${formatMinutes(budget.minutes)} (${budget.source})` : `Cap: ${cap}`;
+
+  logger.info('='.repeat(60));
+  logger.info('SHORTLIST v2');
+  logger.info(`${limitLabel} | Threshold: ${threshold} | Decay: ${decayDays}d → -${decayPenalty}pts`);
+  logger.info('='.repeat(60));
+  logger.info('');
+
+  const affinity = await loadAffinity(ctx);
+  if (affinity) logger.info(`Reading affinity: learned from ${affinity.read} read / ${affinity.skipped} skipped (${affinity.learnedAt.split('T')[0]})\n`);
+  const scoring = { config, now: clock.now(), affinity };
+
+  // 1. Fetch current Shortlist items
+  logger.info('Fetching current Shortlist...');
+  const currentShortlist = await reader.fetchDocuments('shortlist');
+  logger.info(`  ${currentShortlist.length} items currently in Shortlist`);
+
+  // Score existing Shortlist items; apply decay if untouched
+  const currentScored = currentShortlist.map(doc => {
+    const { score, breakdown } = scoreDoc(doc, scoring);
+    const { forced, score: override, stale } = shortlistDecision(decisions, doc);
+    if (stale) staleDecisions.push(doc.id);
+    const lastTouched = doc.last_opened_at || doc.updated_at || doc.saved_at;
+    let effectiveScore = override ?? score;
+    let decayApplied = false;
+    if (lastTouched && override === undefined) {
+      const untouched = daysSince(lastTouched, clock);
+      if (untouched >= decayDays) {
+        effectiveScore -= decayPenalty;
+        decayApplied = true;
+        logger.verbose(`  [DECAY -${decayPenalty}] ${doc.title || doc.url} (${untouched}d untouched)`);
+      }
+    }
+    return { doc, score, effectiveScore, breakdown, inShortlist: true, decayApplied, forced };
+  });
+
+  // 2. Fetch Later docs — only items saved/updated since last run
+  const lastRun = incremental && cache.data.lastShortlistRun ? new Date(cache.data.lastShortlistRun) : null;
+  const sinceLabel = lastRun ? lastRun.toISOString().split('T')[0] : 'all time';
+  logger.info(`\nFetching Later (changed since ${sinceLabel})...`);
+  const allLaterDocs = await reader.fetchDocuments('later');
+  // Filter to items that are new or updated since last run
+  const laterDocs = lastRun
+    ? allLaterDocs.filter(doc => {
+        const ts = doc.updated_at || doc.saved_at || doc.created_at;
+        return ts && new Date(ts) > lastRun;
+      })
+    : allLaterDocs;
+  // Later documents with a decision are looked at again whether or not they changed
+  const changedIds = new Set(laterDocs.map(doc => doc.id));
+  laterDocs.push(...allLaterDocs.filter(doc => !changedIds.has(doc.id) && decisions.get(doc.id)));
+  const knownIds = new Set([...currentShortlist, ...laterDocs].map(doc => doc.id));
+  laterDocs.push(...include.filter(doc => !knownIds.has(doc.id)));
+  logger.info(`  ${laterDocs.length} new/updated items in Later (${allLaterDocs.length} total)`);
+
+  // 3. Filter library candidates and score the rest
+  const libraryCandidates = [];
+  const laterCandidates = [];
+
+  for (const doc of laterDocs) {
+    const { forced, blocked, score: override, stale } = shortlistDecision(decisions, doc);
+    if (stale) staleDecisions.push(doc.id);
+    // A rejected promotion lasts only while the document would be promoted
+    if (!forced && isNewsletterWrapperDoc(doc)) {
+      logger.verbose(`  [WRAPPER skip] ${doc.title || doc.url}`);
+      outcomes.set(doc.id, { verdict: 'skip', reason: 'newsletter wrapper, not the article itself' });
+      if (blocked) staleDecisions.push(doc.id);
+      continue;
+    }
+    if (!forced && isLibraryContent(doc, { config })) {
+      libraryCandidates.push(doc);
+      outcomes.set(doc.id, { verdict: 'skip', reason: 'library material: tagged "library" instead' });
+      if (blocked) staleDecisions.push(doc.id);
+      continue;
+    }
+    const { score: computed, breakdown } = scoreDoc(doc, scoring);
+    const score = override ?? computed;
+    const docThreshold = isHeavyFormat(doc)
+      ? threshold + heavyFormatExtra
+      : threshold;
+    if (blocked && score >= docThreshold) {
+      logger.verbose(`  [REJECTED skip] ${doc.title || doc.url}`);
+      outcomes.set(doc.id, { verdict: 'skip', reason: blocked });
+    } else if (forced || score >= docThreshold) {
+      laterCandidates.push({ doc, score, effectiveScore: score, breakdown, inShortlist: false, decayApplied: false, forced });
+    } else {
+      const which = override === undefined ? 'score' : 'overridden score';
+      outcomes.set(doc.id, { verdict: 'skip', reason: `${which} ${score} is below the threshold of ${docThreshold}` });
+      if (blocked) staleDecisions.push(doc.id);
+    }
+  }
+
+  logger.info(`\n  Library candidates (will be tagged, not shortlisted): ${libraryCandidates.length}`);
+  logger.info(`  Later candidates above threshold: ${laterCandidates.length}`);
+
+  // 4. Story groups: several outlets covering one event. Only the member with the
+  // highest effective score stays eligible; ties go to the one already in the
+  // Shortlist. Pinned and approved documents always stay eligible. A member
+  // that then misses the Shortlist (diversity, the cap or the budget) passes
+  // the story on to the next, so a story is never dropped for a copy that
+  // does not make it
+  const dupOf = new Map(); // doc id → winning candidate
+  const pool = [...currentScored, ...laterCandidates];
+  const byId = new Map(pool.map(c => [c.doc.id, c]));
+  const storyGroups = findStoryGroups(pool.map(c => c.doc), { threshold: nearDuplicateThreshold })
+    .map(group => group
+      .map(doc => byId.get(doc.id))
+      .sort((a, b) => (Boolean(b.forced) - Boolean(a.forced)) || (b.effectiveScore - a.effectiveScore) || (b.inShortlist - a.inShortlist)));
+  const passedOver = new Set(); // group members ranked and not picked
+
+  // 5. Diversity filter on Later candidates (max 2 per domain, max 2 per cluster)
+  // 6. Merge and rank — pick top cap, or the best set within the reading
+  // budget. Pinned and approved documents rank first and make room for
+  // themselves if there are more of them than the cap or the budget
+  function rank() {
+    const domainCounts = {};
+    const clusterCounts = {};
+    const diversified = [];
+    const skipLog = []; // verbose lines, printed for the final ranking only
+    // A second copy of a story already in (or headed for) the Shortlist is never promoted;
+    // the dedupe command archives such copies
+    const storyUrls = new Set(currentShortlist.map(doc => canonicalUrl(doc.source_url || doc.url)).filter(Boolean));
+
+    laterCandidates.sort((a, b) => b.effectiveScore - a.effectiveScore);
+
+    for (const c of laterCandidates.filter(c => !dupOf.has(c.doc.id))) {
+      const storyUrl = canonicalUrl(c.doc.source_url || c.doc.url);
+      if (c.forced) {
+        if (storyUrl) storyUrls.add(storyUrl);
+        diversified.push(c);
+        continue;
+      }
+      if (storyUrl && storyUrls.has(storyUrl)) {
+        skipLog.push(`  [DUPLICATE skip] ${c.doc.title || c.doc.url}`);
+        outcomes.set(c.doc.id, { verdict: 'skip', reason: 'another copy of this URL is in or headed for the Shortlist' });
+        continue;
+      }
+      if (storyUrl) storyUrls.add(storyUrl);
+
+      const domain = getDomain(c.doc);
+      const cluster = detectCluster(c.doc, { config });
+
+      domainCounts[domain] = (domainCounts[domain] || 0) + 1;
+      clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
+
+      if (domainCounts[domain] > 2) {
+        skipLog.push(`  [DIVERSITY skip domain=${domain}] ${c.doc.title}`);
+        outcomes.set(c.doc.id, { verdict: 'skip', reason: `diversity: 2 higher-scoring candidates from ${domain} already` });
+        continue;
+      }
+      if (cluster !== 'other' && clusterCounts[cluster] > 2) {
+        skipLog.push(`  [DIVERSITY skip cluster=${cluster}] ${c.doc.title}`);
+        outcomes.set(c.doc.id, { verdict: 'skip', reason: `diversity: 2 higher-scoring candidates in the ${cluster} cluster already` });
+        continue;
+      }
+
+      diversified.push(c);
+    }
+
+    const allCandidates = [...currentScored.filter(c => !dupOf.has(c.doc.id)), ...diversified];
+    allCandidates.sort((a, b) => (Boolean(b.forced) - Boolean(a.forced)) || (b.effectiveScore - a.effectiveScore));
+    for (const c of allCandidates) {
+      c.minutes = readingMinutes(c.doc, { config });
+      c.budgetMinutes = c.minutes ?? config.shortlist.budget.unsizedMinutes;
+    }
+    const forced = allCandidates.filter(c => c.forced);
+
+    let winners;
+    if (budget) {
+      const forcedMinutes = forced.reduce((sum, c) => sum + c.budgetMinutes, 0);
+      const open = allCandidates.filter(c => !c.forced).map(c => ({ ...c, minutes: c.budgetMinutes }));
+      const pickedIds = new Set(pickWithinBudget(open, Math.max(0, budget.minutes - forcedMinutes)).map(c => c.doc.id));
+      winners = allCandidates.filter(c => c.forced || pickedIds.has(c.doc.id));
+    } else {
+      winners = allCandidates.slice(0, Math.max(cap, forced.length));
+    }
+    const winnerIds = new Set(winners.map(c => c.doc.id));
+
+    const budgetLabel = budget && `the ${formatMinutes(budget.minutes)} budget`;
+    allCandidates.forEach((c, i) => {
+      const rank = `ranked #${i + 1} at ${c.effectiveScore}`;
+      const length = `${formatMinutes(c.budgetMinutes)}${c.minutes === null ? ' (no word count)' : ''}`;
+      const kept = { verdict: c.inShortlist ? 'keep' : 'promote' };
+      const dropped = { verdict: c.inShortlist ? 'demote' : 'skip' };
+      if (c.forced) outcomes.set(c.doc.id, { ...kept, reason: `${c.forced} (${rank})` });
+      else if (budget && winnerIds.has(c.doc.id)) outcomes.set(c.doc.id, { ...kept, reason: `${rank}, ${length} within ${budgetLabel}` });
+      else if (budget) outcomes.set(c.doc.id, { ...dropped, reason: `${rank}, ${length} did not fit ${budgetLabel}` });
+      else if (winnerIds.has(c.doc.id)) outcomes.set(c.doc.id, { ...kept, reason: `${rank}, within the cap of ${cap}` });
+      else outcomes.set(c.doc.id, { ...dropped, reason: `${rank}, below the cap of ${cap}` });
+    });
+    return { diversified, winners, winnerIds, skipLog };
+  }
+
+  let ranked;
+  for (;;) {
+    dupOf.clear();
+    const leaders = [];
+    for (const members of storyGroups) {
+      const [winner, ...others] = members.filter(c => !passedOver.has(c.doc.id));
+      if (!winner) continue;
+      leaders.push(winner);
+      for (const c of others.filter(c => !c.forced)) dupOf.set(c.doc.id, winner);
+    }
+    ranked = rank();
+    const missed = leaders.filter(c => !ranked.winnerIds.has(c.doc.id));
+    if (missed.length === 0) break;
+    for (const c of missed) passedOver.add(c.doc.id);
+  }
+  const { diversified, winners, winnerIds, skipLog } = ranked;
+
+  for (const [id, winner] of dupOf) {
+    const c = byId.get(id);
+    logger.verbose(`  [STORY dup-of "${winner.doc.title}"] ${c.doc.title || c.doc.url} (score: ${c.effectiveScore})`);
+    outcomes.set(id, {
+      verdict: c.inShortlist ? 'demote' : 'skip',
+      reason: `same story as "${winner.doc.title || winner.doc.url}", which ${winner.forced ? `goes first (${winner.forced})` : 'scored higher'}`,
+    });
+  }
+  if (dupOf.size > 0) logger.info(`  Story duplicates (not eligible): ${dupOf.size}`);
+  for (const line of skipLog) logger.verbose(line);
+  logger.info(`  After diversity filter: ${diversified.length} Later candidates`);
+
+  return {
+    startedAt,
+    budget,
+    // Reading time of the projected Shortlist; unsized documents are counted
+    // as config.shortlist.budget.unsizedMinutes
+    readingMinutes: winners.reduce((sum, c) => sum + c.budgetMinutes, 0),
+    unsized: winners.filter(c => c.minutes === null).length,
+    currentScored,
+    laterCandidates,
+    libraryCandidates,
+    dupOf,
+    winners,
+    outcomes,
+    staleDecisions,
+    // Shortlist items that didn't survive
+    toDemote: currentScored.filter(c => !winnerIds.has(c.doc.id)),
+    // New items from Later
+    toPromote: diversified.filter(c => winnerIds.has(c.doc.id)),
+    // Later duplicates that need the story's winner noted (Shortlist ones get it when demoted)
+    toNote: laterCandidates.filter(c => dupOf.has(c.doc.id)
+      && withDupOfNote(c.doc, dupOf.get(c.doc.id).doc) !== (c.doc.notes || '')),
+  };
+}
+
+// "2 h 10 min of the 3 h budget (sat), 1 without a word count"
+function describeReadingTime({ readingMinutes, unsized, budget }) {
+  const parts = [formatMinutes(readingMinutes)];
+  if (budget) parts[0] += ` of the ${formatMinutes(budget.minutes)} budget (${budget.source})`;
+  if (unsized > 0) parts.push(`${unsized} without a word count`);
+  return parts.join(', ');
+}
+
+/**
+ * Carry out a plan from planShortlist(): tag library material, demote,
+ * promote and note story duplicates, then remember the run for the next
+ * incremental plan.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {object} plan - From planShortlist()
+ * @returns {Promise<{ promoted: number, demoted: number, libraryTagged: number, failed: number,
+ *   storyDuplicates: number, readingMinutes: number, shortlist: object[] }>}
+ */
+export async function executeShortlistPlan(ctx, plan) {
+  const { reader, clock, cache, decisions: decisionFile, logger, dryRun, guardrails } = resolveContext(ctx);
+  const { currentScored, libraryCandidates, dupOf, winners, toDemote, toPromote, toNote, outcomes } = plan;
+
+  guardrails?.reserve({
+    'library-tag': libraryCandidates.length,
+    demote: toDemote.length,
+    promote: toPromote.length,
+    'dup-note': toNote.length,
+  });
+
+  // Save timestamp for next run
+  if (!dryRun) { cache.data.lastShortlistRun = new Date(plan.startedAt ?? clock.now()).toISOString(); cache.save(); }
+
+  // Tag library content
+  let libTagged = 0;
+  await Promise.all(libraryCandidates.map(async doc => {
+    logger.verbose(`  [LIBRARY] ${doc.title || doc.url}`);
+    if (!dryRun) {
+      try {
+        await addLibraryTag(reader, doc);
+        libTagged++;
+      } catch (e) {
+        logger.verbose(`    library tag failed: ${e.message}`);
+      }
+    } else {
+      libTagged++;
+    }
+  }));
+  logger.info(`  Library tagged: ${libTagged}`);
+
+  logger.info(`\nShortlist changes:`);
+  logger.info(`  Keeping in Shortlist: ${currentScored.length - toDemote.length}`);
+  logger.info(`  Demoting back to Later: ${toDemote.length}`);
+  logger.info(`  Promoting from Later: ${toPromote.length}`);
+  if (toNote.length > 0) logger.info(`  Noting dup-of on Later duplicates: ${toNote.length}`);
+  logger.info(`  Final Shortlist size: ${winners.length}`);
+
+  // Execute demotions and promotions; the Reader client paces them
+  let demoted = 0;
+  const demotions = toDemote.map(async c => {
+    logger.verbose(`  [DEMOTE] ${c.doc.title || c.doc.url} (score: ${c.effectiveScore})`);
+    if (!dryRun) {
+      try {
+        const winner = dupOf.get(c.doc.id);
+        await demoteFromShortlist(reader, c.doc, winner && withDupOfNote(c.doc, winner.doc), { reason: outcomes.get(c.doc.id)?.reason, score: c.effectiveScore });
+        demoted++;
+      } catch (e) {
+        logger.verbose(`    demote failed: ${e.message}`);
+      }
+    } else {
+      demoted++;
+    }
+  });
+
+  let promoted = 0;
+  let promoteFailed = 0;
+  const promotedIds = [];
+  const promotions = toPromote.map(async c => {
+    logger.verbose(`  [PROMOTE] [${c.effectiveScore}] ${c.doc.title || c.doc.url}`);
+    if (!dryRun) {
+      try {
+        await moveToShortlist(reader, c.doc, c.score, c.breakdown, c.decayApplied, { reason: outcomes.get(c.doc.id)?.reason, score: c.effectiveScore });
+        promotedIds.push(c.doc.id);
+        promoted++;
+      } catch (e) {
+        promoteFailed++;
+        logger.verbose(`    promote failed: ${e.message}`);
+      }
+    } else {
+      promoted++;
+    }
+  });
+  const dupNotes = toNote.map(async c => {
+    if (dryRun) return;
+    try {
+      await reader.updateDocument(c.doc, { notes: withDupOfNote(c.doc, dupOf.get(c.doc.id).doc) }, 'dup-note', { reason: outcomes.get(c.doc.id)?.reason, score: c.effectiveScore });
+    } catch (e) {
+      logger.verbose(`    dup-of note failed: ${e.message}`);
+    }
+  });
+  await Promise.all([...demotions, ...promotions, ...dupNotes]);
+  // Approved promotions are done with, as are decisions about moves no longer
+  // pending; pins and overrides stay until cleared
+  const decisions = createDecisionStore(decisionFile);
+  const used = consumeApprovals(decisions, promotedIds) + (dryRun ? 0 : dropDecisions(decisions, plan.staleDecisions));
+  if (used > 0) decisionFile.save();
+
+  logger.info('\n' + '='.repeat(60));
+  logger.info(`${dryRun ? '[DRY RUN] ' : ''}Promoted: ${promoted} | Demoted: ${demoted} | Library: ${libTagged} | Failed: ${promoteFailed}`);
+
+  // Print final shortlist
+  logger.info('\nFinal Shortlist (projected):');
+  winners.forEach(c => {
+    const flag = c.inShortlist ? (c.decayApplied ? '↩' : '✓') : '↑';
+    logger.info(`  ${flag} [${c.effectiveScore}] ${c.doc.title || c.doc.url}${c.minutes ? ` (${formatMinutes(c.minutes)})` : ''}`);
+  });
+  logger.info(`Projected reading time: ${describeReadingTime(plan)}`);
+  logger.info('='.repeat(60));
+  return {
+    promoted,
+    demoted,
+    libraryTagged: libTagged,
+    failed: promoteFailed,
+    storyDuplicates: dupOf.size,
+    readingMinutes: plan.readingMinutes,
+    shortlist: winners,
+  };
+}
+
+/**
+ * Rescore the Shortlist and new Later items, tag library material, and
+ * promote/demote so the Shortlist holds the top config.shortlist.cap items,
+ * or the best set within the day's reading budget.
+ * Near-duplicate stories are grouped first; only the best-scoring member of a
+ * group is eligible, the others get a "dup-of" note.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {{ budget?: number|null }} [options] - Reading minutes, overriding config.shortlist.budget
+ * @returns {Promise<{ promoted: number, demoted: number, libraryTagged: number, failed: number,
+ *   storyDuplicates: number, readingMinutes: number, shortlist: object[] }>}
+ */
+export async function runShortlisting(ctx, { budget = null } = {}) {
+  return executeShortlistPlan(ctx, await planShortlist(ctx, { budget }));
+}
@@ -0,0 +1,143 @@
+import { resolveContext } from '../context.js';
+import { READER_LOCATIONS } from '../ledger.js';
+import {
+  SNAPSHOT_VERSION,
+  snapshotRecord,
+  writeSnapshot,
+  readSnapshot,
+  listSnapshotFiles,
+  diffSnapshot,
+} from '../snapshot.js';
+
+// Restore looks only at documents changed since the snapshot, with this much
+// slack for clock differences with Reader's servers
+const RESTORE_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Save every document in config.snapshot.locations to `file` (JSON) and the
+ * CSV beside it.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {{ file: string, runId?: string|null }} options
+ * @returns {Promise<{ documents: number, byLocation: Record<string, number>, file: string, csvFile: string }>}
+ */
+export async function takeSnapshot(ctx, { file, runId = null }) {
+  const { reader, config, clock, logger } = resolveContext(ctx);
+  logger.info('='.repeat(60));
+  logger.info(`SNAPSHOT (${config.snapshot.locations.join(', ')})`);
+  logger.info('='.repeat(60));
+
+  const takenAt = new Date(clock.now()).toISOString();
+  const documents = [];
+  const byLocation = {};
+  for (const location of config.snapshot.locations) {
+    const docs = await reader.fetchDocuments(location);
+    byLocation[location] = docs.length;
+    documents.push(...docs.map(snapshotRecord));
+  }
+  const written = writeSnapshot(file, { version: SNAPSHOT_VERSION, runId, takenAt, locations: config.snapshot.locations, documents });
+
+  logger.info(Object.entries(byLocation).map(([location, n]) => `${location}: ${n}`).join(' | '));
+  logger.info(`Saved ${documents.length} document(s) to ${written.file}`);
+  logger.info(`CSV: ${written.csvFile}`);
+  return { documents: documents.length, byLocation, ...written };
+}
+
+/**
+ * Print the snapshots in `dir`, newest last.
+ *
+ * @param {object} ctx - Stage context (see resolveContext)
+ * @param {{ dir: string }} options
+ */
+export function printSnapshots(ctx, { dir }) {
+  const { logger } = resolveContext(ctx);
+  const files = listSnapshotFiles(dir)
+    .map(file => {
+      try {
+        return { file, snapshot: readSnapshot(file) };
+      } catch (err) {
+        logger.warn(`Ignoring ${file}: ${err.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.snapshot.takenAt.localeCompare(b.snapshot.takenAt));
+  logger.info('='.repeat(60));
+  logger.info(`SNAPSHOTS in ${dir} (most recent last)`);
+  logger.info('='.repeat(60));
+  if (files.length === 0) {
+    logger.info('No snapshots yet.');
+    return;
+  }
+  for (const { file, snapshot } of files) {
+    logger.info(`  ${snapshot.takenAt}  ${String(snapshot.documents.length).padStart(5)} document(s)  ${file}`);
+  }
+  logger.info(`\nPreview a restore with: node process-feed.js --dry-run restore --snapshot=<file>`);
+}
+
+function describeDifference({ record, doc, moved, tagsAdded, tagsRemoved }) {
+  const parts = [];
+  if (moved) parts.push(`${doc.location ?? 'none'} → ${record.location}`);
+  const tags = [...tagsAdded.map(tag => `+${tag}`), ...tagsRemoved.map(tag => `-${tag}`)];
+  if (tags.length > 0) parts.push(`tags ${tags.join(' ')}`);
+  return `${record.title || record.url || record.id} (${record.id}): ${parts.join('; ')}`;
+}
+
+/**
+ * Put documents back in the locations and tags a snapshot recorded. Only
+ * documents changed since the snapshot are fetched; the differences are
+ * printed before anything changes, and a dry run stops there. Restores are
+ * journaled (op "restore"), so they can be undone.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader
+ * @param {{ file: string }} options - Snapshot JSON written by takeSnapshot()
+ * @returns {Promise<{ recorded: number, changed: object[], moved: number, retagged: number, restored: number, failed: number }>}
+ */
+export async function restoreSnapshot(ctx, { file }) {
+  const { reader, logger, dryRun, guardrails } = resolveContext(ctx);
+  const snapshot = readSnapshot(file);
+  logger.info('='.repeat(60));
+  logger.info(`RESTORING SNAPSHOT ${file}`);
+  logger.info('='.repeat(60));
+  logger.info(`Taken ${snapshot.takenAt}: ${snapshot.documents.length} document(s) in ${snapshot.locations.join(', ')}`);
+
+  const since = new Date(new Date(snapshot.takenAt).getTime() - RESTORE_SKEW_MS);
+  const current = [];
+  for (const location of READER_LOCATIONS) current.push(...await reader.fetchDocumentsUpdatedSince(location, since));
+  const diff = diffSnapshot(snapshot, current);
+  const moved = diff.filter(d => d.moved).length;
+  const retagged = diff.filter(d => d.changes.tags).length;
+
+  if (diff.length === 0) {
+    logger.info('\nEverything is where the snapshot left it.');
+    return { recorded: snapshot.documents.length, changed: [], moved: 0, retagged: 0, restored: 0, failed: 0 };
+  }
+  logger.info(`\n${diff.length} document(s) differ from the snapshot (${moved} moved, ${retagged} retagged):`);
+  for (const difference of diff) logger.info(`  ${describeDifference(difference)}`);
+
+  guardrails?.reserve({ restore: diff.length });
+  let restored = 0, failed = 0;
+  if (!dryRun) {
+    await Promise.all(diff.map(async ({ doc, changes }) => {
+      try {
+        await reader.updateDocument(doc, changes, 'restore', { reason: `snapshot of ${snapshot.takenAt}` });
+        restored++;
+      } catch (err) {
+        logger.verbose(`  restore failed for ${doc.title || doc.url}: ${err.message}`);
+        failed++;
+      }
+    }));
+  } else {
+    restored = diff.length;
+  }
+
+  logger.info(`\n${dryRun ? '[DRY RUN] Would restore' : 'Restored'}: ${restored}${failed ? ` | Failed: ${failed}` : ''}`);
+  return {
+    recorded: snapshot.documents.length,
+    changed: diff.map(({ record, changes }) => ({ id: record.id, title: record.title, url: record.url, changes })),
+    moved,
+    retagged,
+    restored,
+    failed,
+  };
+}
@@ -0,0 +1,74 @@
+import { resolveContext } from '../context.js';
+import { summarizeJournalRuns } from '../journal.js';
+
+function describeRestore(entry) {
+  return Object.keys(entry.after).map(key => (
+    key === 'location'
+      ? `location ${entry.after.location} → ${entry.before.location}`
+      : `restore ${key}`
+  )).join(', ');
+}
+
+/**
+ * Print the 20 most recent journaled runs.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs journal
+ */
+export function printJournalRuns(ctx) {
+  const { journal, logger } = resolveContext(ctx);
+  const runs = summarizeJournalRuns(journal.read());
+  logger.info('='.repeat(60));
+  logger.info('JOURNALED RUNS (most recent last)');
+  logger.info('='.repeat(60));
+  if (runs.length === 0) {
+    logger.info('No mutations journaled yet.');
+    return;
+  }
+  for (const run of runs.slice(-20)) {
+    const ops = Object.entries(run.ops).map(([op, n]) => `${op}: ${n}`).join(', ');
+    const undone = run.undoneBy ? ` — undone by ${run.undoneBy}` : '';
+    logger.info(`  ${run.runId}  ${run.total} change(s) (${ops})${undone}`);
+  }
+  logger.info(`\nRevert one with: node process-feed.js undo --run=<id>`);
+}
+
+/**
+ * Revert every change a journaled run made, newest first.
+ *
+ * @param {object} ctx - Stage context (see resolveContext); needs reader and journal
+ * @param {string} runId
+ * @returns {Promise<{ reverted: number, failed: number }>}
+ */
+export async function undoRun(ctx, runId) {
+  const { reader, journal, logger, dryRun, guardrails } = resolveContext(ctx);
+  logger.info('='.repeat(60));
+  logger.info(`UNDOING RUN ${runId}`);
+  logger.info('='.repeat(60));
+  const allEntries = journal.read();
+  const entries = allEntries.filter(e => e.runId === runId);
+  if (entries.length === 0) throw new Error(`No journaled changes for run ${runId}`);
+  const previousUndo = allEntries.find(e => e.undoOf === runId);
+  if (previousUndo) logger.warn(`Warning: run ${runId} was already undone by ${previousUndo.runId}`);
+  logger.info(`Reverting ${entries.length} change(s), newest first\n`);
+  guardrails?.reserve({ undo: entries.length });
+
+  let reverted = 0, failed = 0;
+  // Sequential on purpose: a doc changed twice in the run must be restored in order
+  for (const entry of [...entries].reverse()) {
+    const restore = {};
+    for (const key of Object.keys(entry.after)) restore[key] = entry.before[key];
+    // The doc as this entry left it, so the undo itself is journaled (and undoable)
+    const current = { id: entry.docId, title: entry.title, ...entry.before, ...entry.after };
+    logger.verbose(`  [${entry.op}] ${entry.title || entry.docId}: ${describeRestore(entry)}`);
+    if (dryRun) { reverted++; continue; }
+    try {
+      await reader.updateDocument(current, restore, 'undo', { undoOf: runId });
+      reverted++;
+    } catch (e) {
+      failed++;
+      logger.verbose(`    undo failed: ${e.message}`);
+    }
+  }
+  logger.info(`\n${dryRun ? '[DRY RUN] Would revert' : 'Reverted'}: ${reverted} | Failed: ${failed}`);
+  return { reverted, failed };
+}
@@ -0,0 +1,66 @@
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+// All HTTP goes through a transport: a fetch-compatible function. In "record"
+// mode every response is also written to the fixtures directory; in "replay"
+// mode responses come only from those fixtures, so a recorded run can be
+// repeated with no network.
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Create a fetch-compatible transport.
+ *
+ * @param {object} [options]
+ * @param {'live'|'record'|'replay'} [options.mode='live']
+ * @param {string} [options.fixturesDir] - Required for record and replay
+ * @param {typeof fetch} [options.fetch] - Underlying fetch for live and record
+ * @returns {(url: string, init?: RequestInit) => Promise<Response>}
+ */
+export function createTransport({ mode = 'live', fixturesDir, fetch: baseFetch = globalThis.fetch } = {}) {
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown transport "${mode}" (expected ${TRANSPORT_MODES.join(', ')})`);
+  }
+  if (mode === 'live') return baseFetch;
+  if (!fixturesDir) throw new Error(`The ${mode} transport needs a fixtures directory`);
+
+  // Repeated identical requests (e.g. re-listing after a 429) get their own fixture each
+  const fixtureCounters = new Map();
+
+  // Requests with a body are told apart by it too, so concurrent saves of
+  // different URLs replay their own responses whatever order they start in
+  function nextFixtureFile(method, url, body) {
+    const bodyHash = method !== 'GET' && body != null ? createHash('sha1').update(String(body)).digest('hex').slice(0, 12) : null;
+    const key = bodyHash ? `${method} ${url} ${bodyHash}` : `${method} ${url}`;
+    const n = fixtureCounters.get(key) || 0;
+    fixtureCounters.set(key, n + 1);
+    const hash = createHash('sha1').update(key).digest('hex').slice(0, 12);
+    return join(fixturesDir, `${hash}-${n}.json`);
+  }
+
+  return async function transportFetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const file = nextFixtureFile(method, url, init.body);
+
+    if (mode === 'replay') {
+      if (!existsSync(file)) throw new Error(`No recorded response for ${method} ${url} (expected ${file})`);
+      const { response } = JSON.parse(readFileSync(file, 'utf8'));
+      return new Response(response.body || null, { status: response.status, headers: response.headers });
+    }
+
+    const res = await baseFetch(url, init);
+    const body = await res.text();
+    const headers = {};
+    for (const name of ['content-type', 'retry-after', 'location']) {
+      if (res.headers.has(name)) headers[name] = res.headers.get(name);
+    }
+    // Credentials live in headers, which are never written out
+    mkdirSync(fixturesDir, { recursive: true });
+    writeFileSync(file, JSON.stringify({
+      request: { method, url, body: init.body ?? null },
+      response: { status: res.status, headers, body },
+    }, null, 2));
+    return new Response(body || null, { status: res.status, statusText: res.statusText, headers });
+  };
+}
@@ -1,1142 +1,448 @@
 #!/usr/bin/env node
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+// Command-line entry point. All of the work lives in lib/ (see lib/index.js);
+// this file only turns flags and environment variables into a stage context.
+
+import { existsSync, readFileSync, appendFileSync } from 'fs';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import {
+  loadConfig,
+  createTransport,
+  createJournal,
+  createFileCache,
+  createFileDecisions,
+  createFileMirror,
+  createMemoryMirror,
+  createConsoleLogger,
+  createReaderClient,
+  createReaderRateLimiter,
+  createRateLimiter,
+  createAgentMailClient,
+  createFeedClient,
+  createRedirectResolver,
+  parseOpml,
+  systemClock,
+  processFeed,
+  runShortlisting,
+  pruneStaleArticles,
+  nukeLaterArticles,
+  archiveAllLater,
+  dedupeDocuments,
+  explainDocument,
+  printAffinity,
+  startDashboard,
+  sendShortlistDigest,
+  ingestNewsletterEmails,
+  ingestFeeds,
+  undoRun,
+  printJournalRuns,
+  takeSnapshot,
+  restoreSnapshot,
+  printSnapshots,
+  rotateSnapshots,
+  createPlanRecorder,
+  writePlan,
+  diffState,
+  applyPlan,
+  loadNewsletterProfiles,
+  parseSourceSpec,
+  createIngestSource,
+  printNewsletterProfiles,
+  testNewsletterProfile,
+  createRunReport,
+  createGuardrails,
+  createNotifier,
+  formatReportMarkdown,
+} from './lib/index.js';
+import { GLOBAL_OPTIONS, COMMANDS, parseCommandLine, resolveOptions, formatHelp } from './lib/cli.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CACHE_FILE = join(__dirname, '.cache.json');
+const DEFAULT_CONFIG_FILE = join(__dirname, 'reader.config.json');
+const JOURNAL_FILE = join(__dirname, '.journal.jsonl');
+const MIRROR_FILE = join(__dirname, '.mirror.json');
 
-const API_BASE = 'https://readwise.io/api/v3';
-const DELAY_MS = 3000; // 20 req/min = 1 per 3 seconds
-const READ_MARKER = '📖 READ';
-
-// Parse CLI args
-const args = process.argv.slice(2);
-const dryRun = args.includes('--dry-run');
-const verbose = args.includes('--verbose');
-const noCache = args.includes('--no-cache');
-const archiveLater = args.includes('--archive-later');
-const archiveSkipped = args.includes('--archive-skipped');
-const pruneStale = args.includes('--prune-stale');
-const staleDaysArg = args.find(a => a.startsWith('--stale-days='));
-const staleDays = staleDaysArg ? parseInt(staleDaysArg.split('=')[1], 10) : 30;
-const nukeLater = args.includes('--nuke-later');
-const nukeDaysArg = args.find(a => a.startsWith('--nuke-days='));
-const nukeDays = nukeDaysArg ? parseInt(nukeDaysArg.split('=')[1], 10) : 30;
-const scoreShortlist = args.includes('--shortlist');
-const ingestNewsletters = args.includes('--ingest-newsletters');
-
-// ─── AgentMail config ────────────────────────────────────────────────────────
-const AGENTMAIL_API_KEY = process.env.AGENTMAIL_API_KEY || '';
-const AGENTMAIL_INBOX_ID = 'jungalowassistant@agentmail.to';
-const AGENTMAIL_API_BASE = 'https://api.agentmail.to/v0';
-
-const REDIRECT_PARAM_KEYS = [
-  'url', 'u', 'target', 'dest', 'destination', 'redirect', 'redirect_url',
-  'redirect_uri', 'href', 'r', 'to'
-];
-
-const TRACKING_QUERY_PREFIXES = ['utm_', 'mc_', 'fbclid', 'gclid', 'ref', 'ref_src', 'ref_url', 'source', 'attribution_', 'campaign', 'cid'];
-
-// Hard junk-link suppression
-const SKIP_URL_PATTERNS = [
-  /unsubscribe/i, /manage.*subscription/i, /manage-preferences/i, /optout/i, /opt-out/i,
-  /welcome/i, /confirm/i, /confirmation/i, /forward/i, /share/i,
-  /\/track\//i, /tracking\./i, /trk=/i,
-  /mail\.beehiiv\.com/i, /link\.mail\.beehiiv\.com/i,
-  /lists\./i, /campaign\./i,
-  /mailto:/i, /\.gif($|\?)/i, /\.png($|\?)/i, /\.jpe?g($|\?)/i, /\.webp($|\?)/i,
-  /^https:\/\/(www\.)?google\.com\/amp\//i,
-  /^https:\/\/(www\.)?google\.com\/url/i,
-  /^https:\/\/(www\.)?facebook\.com/i,
-  /^https:\/\/(www\.)?(twitter|x)\.com/i,
-  /^https:\/\/(www\.)?instagram\.com/i,
-  /^https:\/\/(www\.)?linkedin\.com/i,
-  /^https:\/\/(www\.)?youtube\.com/i,
-  /^https:\/\/(www\.)?tiktok\.com/i,
-  // Substack infra — skip everything except real post pages
-  /substack\.com\/(subscribe|account|login|profile|inbox|app|app-link|redirect|podcast|people|publish|archive|home)(\/|$)/i,
-  /substack\.com\/@/i,
-  /substackcdn\.com/i,
-  /substack\.com\/redirect/i,
-  // Mailchimp infra
-  /list-manage\.com/i,
-  /forward-to-friend\.com/i,
-  /mailchimp\.com/i,
-  /mcsv\.net/i,
-  // Newsletter nav/promo links
-  /thebrowser\.com\/(about|subscribe|gift|account|login|archive|archives)(\/|$)/i,
-  /nextdraft\.com\/(about|why|scream|archives\/page)(\/|$)/i,
-  /longreads\.com\/(about|subscribe|donate|store|tag|category|page|newsletter)(\/|$)/i,
-  /managingeditor\.substack\.com\/(about|subscribe|account)(\/|$)/i,
-  // Tracking pixels and redirectors
-  /\/open\?token=/i,
-  /click\.ghost\./i,
-  /ghost\.io\/r\//i,
-];
-
-const JUNK_ANCHOR_TEXT_PATTERNS = [
-  /^view in browser$/i, /^read online$/i, /^website$/i, /^share$/i, /^forward$/i,
-  /^tweet$/i, /^post$/i, /^subscribe$/i, /^donate$/i, /^gift$/i, /^account$/i,
-  /^manage preferences$/i, /^unsubscribe$/i, /^archives?$/i, /^about$/i, /^login$/i,
-  /^read more$/i, /^more$/i, /^here$/i, /^link$/i
-];
-
-const NEWSLETTER_PROFILES = {
-  browser: {
-    match: /the browser|thebrowser\.com|browsermedia/i,
-    allow(urlObj, anchor) {
-      const host = urlObj.hostname.replace(/^www\./, '');
-      if (host.endsWith('thebrowser.com') || host.endsWith('browsermedia.news')) return false;
-      return isGenericArticleCandidate(urlObj, anchor);
-    },
-  },
-  longreads: {
-    match: /longreads/i,
-    allow(urlObj, anchor) {
-      const host = urlObj.hostname.replace(/^www\./, '');
-      if (host.endsWith('longreads.com')) {
-        return (
-          /^\/(newsletters|picks|features|reading-lists|best-of)\/[^/]+\/?$/i.test(urlObj.pathname) ||
-          /^\/\d{4}\/\d{2}\/\d{2}\/.+/i.test(urlObj.pathname)
-        );
-      }
-      return isGenericArticleCandidate(urlObj, anchor);
-    },
-  },
-  nextdraft: {
-    match: /nextdraft|managingeditor\.substack\.com|dave pell|managing editor/i,
-    allow(urlObj, anchor) {
-      const host = urlObj.hostname.replace(/^www\./, '');
-      if (host === 'nextdraft.com') {
-        return /^\/archives\/n\d{8}\/[^/]+\/?$/i.test(urlObj.pathname);
-      }
-      if (host === 'managingeditor.substack.com') return false;
-      return isGenericArticleCandidate(urlObj, anchor);
-    },
-  },
-};
-
-function decodeHtmlEntities(str = '') {
-  return str
-    .replace(/&amp;/g, '&')
-    .replace(/&#038;/g, '&')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>');
-}
-
-function stripTags(str = '') {
-  return decodeHtmlEntities(str).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-}
-
-function normalizeNewsletterUrl(rawUrl) {
-  let candidate = decodeHtmlEntities((rawUrl || '').trim());
-  if (!candidate) return null;
-
-  for (let i = 0; i < 4; i++) {
-    let urlObj;
-    try {
-      urlObj = new URL(candidate);
-    } catch {
-      return null;
-    }
-
-    const redirectValue = REDIRECT_PARAM_KEYS
-      .map(key => urlObj.searchParams.get(key))
-      .find(Boolean);
-
-    if (redirectValue && /^https?:\/\//i.test(decodeURIComponent(redirectValue))) {
-      candidate = decodeURIComponent(redirectValue);
-      continue;
-    }
-
-    if (urlObj.hostname === 'www.google.com' && urlObj.pathname === '/url') {
-      const q = urlObj.searchParams.get('q');
-      if (q && /^https?:\/\//i.test(q)) {
-        candidate = q;
-        continue;
-      }
-    }
-
-    for (const key of [...urlObj.searchParams.keys()]) {
-      if (TRACKING_QUERY_PREFIXES.some(prefix => key.toLowerCase().startsWith(prefix))) {
-        urlObj.searchParams.delete(key);
-      }
-    }
-
-    urlObj.hash = '';
-    const normalized = urlObj.toString().replace(/\/$/, urlObj.pathname === '/' ? '/' : '');
-    return normalized;
-  }
-
-  return null;
-}
-
-function extractAnchorsFromHtml(html) {
-  const anchors = [];
-  const anchorRe = /<a\b[^>]*href=["']([^"']+)["'][^>]*>(.*?)<\/a>/gis;
-  let match;
-  while ((match = anchorRe.exec(html)) !== null) {
-    anchors.push({
-      rawUrl: match[1],
-      text: stripTags(match[2]),
-    });
-  }
-  return anchors;
-}
-
-function isLikelyNewsletterContent(anchor) {
-  const text = (anchor.text || '').trim();
-  if (JUNK_ANCHOR_TEXT_PATTERNS.some(p => p.test(text))) return false;
-  if (text && text.length < 5) return false;
-  return true;
-}
-
-function isGenericArticleCandidate(urlObj, anchor = {}) {
-  const url = urlObj.toString();
-  const host = urlObj.hostname.replace(/^www\./, '');
-  if (!['http:', 'https:'].includes(urlObj.protocol)) return false;
-  if (SKIP_URL_PATTERNS.some(p => p.test(url))) return false;
-  if (host === 'thebrowser.com' || host.endsWith('.thebrowser.com') || host === 'browsermedia.news') return false;
-  if (urlObj.pathname.length < 4) return false;
-  if (!isLikelyNewsletterContent(anchor)) return false;
-  return true;
-}
-
-function detectNewsletterSender(thread, fullThread) {
-  const messages = fullThread?.messages || [];
-  const haystack = [
-    thread?.subject,
-    thread?.from,
-    thread?.from_name,
-    thread?.from_email,
-    ...(messages.flatMap(m => [m.from, m.from_name, m.from_email, m.sender, m.sender_email, m.subject])),
-  ]
-    .filter(Boolean)
-    .join(' | ')
-    .toLowerCase();
-
-  for (const [key, profile] of Object.entries(NEWSLETTER_PROFILES)) {
-    if (profile.match.test(haystack)) return key;
-  }
-  return 'generic';
-}
-
-function extractNewsletterLinks(thread, fullThread) {
-  const senderKey = detectNewsletterSender(thread, fullThread);
-  const profile = NEWSLETTER_PROFILES[senderKey];
-  const messages = fullThread?.messages || [];
-  const html = messages.map(m => m.html || m.body || '').join('\n');
-  const anchors = extractAnchorsFromHtml(html);
-  const results = [];
-  const seen = new Set();
-
-  for (const anchor of anchors) {
-    const normalized = normalizeNewsletterUrl(anchor.rawUrl);
-    if (!normalized || seen.has(normalized)) continue;
-
-    let urlObj;
-    try {
-      urlObj = new URL(normalized);
-    } catch {
-      continue;
-    }
-
-    const allowed = profile
-      ? profile.allow(urlObj, anchor)
-      : isGenericArticleCandidate(urlObj, anchor);
-
-    if (!allowed) continue;
-
-    seen.add(normalized);
-    results.push({ url: normalized, title: anchor.text || null, senderKey });
-  }
-
-  return results;
-}
-
-async function fetchAgentMailThreads() {
-  const resp = await agentMailRequest(`/inboxes/${AGENTMAIL_INBOX_ID}/threads?labels=unread&limit=50`);
-  const threads = resp.threads || resp.items || resp || [];
-  return Array.isArray(threads) ? threads : [];
-}
-
-async function agentMailRequest(path, options = {}) {
-  const url = `${AGENTMAIL_API_BASE}${path}`;
-  const res = await fetch(url, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${AGENTMAIL_API_KEY}`,
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-  });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`AgentMail API error ${res.status}: ${txt}`);
-  }
-  return res.json();
-}
-
-async function saveUrlToReader(url, title = null) {
-  const body = { url, location: 'later' };
-  if (title) body.title = title;
-  try {
-    await apiRequest('/save/', { method: 'POST', body: JSON.stringify(body) });
-    return true;
-  } catch (err) {
-    log(`  Failed to save ${url}: ${err.message}`);
-    return false;
-  }
+// Parse CLI args: global options, then commands in the order they run (see lib/cli.js)
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
 }
 
-async function ingestNewsletterEmails() {
-  if (!AGENTMAIL_API_KEY) {
-    console.error('AGENTMAIL_API_KEY not set — skipping newsletter ingestion');
-    return;
-  }
-  console.log('='.repeat(60));
-  console.log('NEWSLETTER INGESTION (AgentMail → Reader Later)');
-  console.log('='.repeat(60));
-
-  // Fetch unread threads (threads contain full message bodies)
-  let threads;
+let cli;
+let options;
+try {
+  cli = parseCommandLine(process.argv.slice(2));
+  options = resolveOptions(GLOBAL_OPTIONS, cli.global).values;
+} catch (err) {
+  fail(err.message);
+}
+const dryRun = options['dry-run'] ?? false;
+const verbose = options.verbose ?? false;
+const noCache = options['no-cache'] ?? false;
+const fullResync = options['full-resync'] ?? false;
+const reportFormat = options.report ?? null;
+const confirm = options.confirm ?? null;
+
+// ─── Config ──────────────────────────────────────────────────────────────────
+
+const configPath = options.config
+  ? resolve(options.config)
+  : (existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+
+let config;
+try {
+  if (options.config && !existsSync(configPath)) throw new Error(`Config file not found: ${configPath}`);
+  config = loadConfig(configPath);
+} catch (err) {
+  // Help is still useful next to a broken config file
+  if (!cli.help) fail(err.message);
+}
+// Paths in the config file are relative to it
+const configDir = configPath ? dirname(configPath) : process.cwd();
+const SNAPSHOT_DIR = config && resolve(configDir, config.snapshot.dir);
+
+if (cli.help) {
   try {
-    threads = await fetchAgentMailThreads();
+    process.stdout.write(formatHelp(cli.help === true ? null : cli.help, { config }));
   } catch (err) {
-    console.error(`Failed to fetch AgentMail threads: ${err.message}`);
-    return;
-  }
-
-  console.log(`Found ${threads.length} unread thread(s)`);
-  let totalSaved = 0;
-  let totalSkipped = 0;
-
-  for (const thread of threads) {
-    const subject = thread.subject || '(no subject)';
-    const threadId = thread.thread_id || thread.id;
-    log(`\nProcessing: ${subject}`);
-
-    // Fetch full thread to get message HTML bodies
-    let fullThread;
-    try {
-      fullThread = await agentMailRequest(`/inboxes/${AGENTMAIL_INBOX_ID}/threads/${threadId}`);
-    } catch (err) {
-      log(`  Could not fetch thread: ${err.message}`);
-      continue;
-    }
-
-    const threadMessages = fullThread.messages || [];
-    const links = extractNewsletterLinks(thread, fullThread);
-    const senderKey = links[0]?.senderKey || detectNewsletterSender(thread, fullThread);
-    log(`  Sender: ${senderKey}`);
-    log(`  Extracted ${links.length} article URL(s) from ${threadMessages.length} message(s)`);
-
-    for (const link of links) {
-      if (dryRun) {
-        log(`  [DRY RUN] Would save: ${link.url}`);
-        totalSaved++;
-        continue;
-      }
-      await delay(DELAY_MS);
-      const saved = await saveUrlToReader(link.url, link.title);
-      if (saved) {
-        log(`  Saved: ${link.url}`);
-        totalSaved++;
-      } else {
-        totalSkipped++;
-      }
-    }
-
-    // Mark thread as read
-    if (!dryRun && threadId) {
-      try {
-        await agentMailRequest(`/inboxes/${AGENTMAIL_INBOX_ID}/threads/${threadId}`, {
-          method: 'PATCH',
-          body: JSON.stringify({ labels: [] }),
-        });
-      } catch (err) {
-        log(`  Could not mark thread as read: ${err.message}`);
-      }
-    }
-  }
-
-  console.log(`\nNewsletter ingestion complete: ${totalSaved} saved, ${totalSkipped} skipped`);
-}
-
-// ─── Shortlist config ─────────────────────────────────────────────────────────
-
-const SHORTLIST_THRESHOLD = 50;
-const SHORTLIST_CAP = 20;
-const SHORTLIST_DECAY_DAYS = 10;    // untouched for this many days → decay penalty
-const SHORTLIST_DECAY_PENALTY = 15; // points deducted for stale items
-const VIDEO_PDF_EXTRA = 10;         // videos/PDFs must beat threshold + this
-
-// ─── Taxonomy ────────────────────────────────────────────────────────────────
-
-const TRUSTED_DOMAINS = [
-  // Quality tech / product
-  'stratechery.com', 'paulgraham.com', 'waitbutwhy.com', 'every.to',
-  'ben-evans.com', 'lenny.substack.com', 'lennysnewsletter.com', 'morningbrew.com',
-  'hbr.org', 'firstround.com', 'a16z.com', 'sequoiacap.com',
-  // General quality
-  'nytimes.com', 'theatlantic.com', 'newyorker.com', 'noahpinion.substack.com',
-  'bloomberg.com', 'wsj.com', 'economist.com', 'ft.com',
-  // Tech news
-  'techcrunch.com', 'theverge.com', 'wired.com', 'arstechnica.com',
-  'simonwillison.net', 'macstories.net', 'daringfireball.net',
-];
-
-const SPAM_TITLE_SIGNALS = [
-  'digest', 'weekly', 'vol.', 'issue', 'roundup',
-  'links i loved', "what i'm reading", 'newsletter', 'edition',
-  'this week in', 'weekend reads', 'morning links',
-];
-
-// Reference/how-to content → Library tag, not Shortlist
-const LIBRARY_SIGNALS = [
-  'how to ', 'guide to', 'framework for', 'template for', 'cheat sheet',
-  'reference guide', 'step by step', 'tutorial', 'handbook', 'playbook',
-  'getting started', 'complete guide', 'beginners guide', 'crash course',
-];
-
-// Topic clusters for diversity enforcement
-const TOPIC_CLUSTERS = {
-  ai_ml: ['artificial intelligence', ' ai ', 'llm', 'machine learning', 'gpt',
-    'claude', 'openai', 'anthropic', 'neural network', 'foundation model',
-    'ai agent', 'chatgpt', 'gemini', 'language model'],
-  product: ['product manager', 'product management', 'product strategy', 'roadmap',
-    'user research', 'product market fit', 'prioritization', 'sprint', 'backlog'],
-  startup_vc: ['startup', 'venture capital', 'fundraising', 'seed round', 'series a',
-    'series b', 'founder', ' vc ', 'valuation', 'exit strategy', 'ipo'],
-  org_leadership: ['org design', 'leadership', 'management', 'company culture',
-    'team building', 'hiring', 'performance review', 'executive', 'ceo', 'strategy'],
-  writing_ideas: ['writing', 'essay', 'mental model', 'decision making', 'cognitive bias',
-    'reasoning', 'thinking clearly', 'philosophy'],
-};
-
-function detectCluster(doc) {
-  const text = ((doc.title || '') + ' ' + (doc.summary || '')).toLowerCase();
-  for (const [cluster, keywords] of Object.entries(TOPIC_CLUSTERS)) {
-    if (keywords.some(kw => text.includes(kw))) return cluster;
-  }
-  return 'other';
-}
-
-function isLibraryContent(doc) {
-  const text = ((doc.title || '') + ' ' + (doc.summary || '')).toLowerCase();
-  return LIBRARY_SIGNALS.some(s => text.includes(s));
-}
-
-function isHeavyFormat(doc) {
-  const cat = (doc.category || '').toLowerCase();
-  return cat === 'video' || cat === 'pdf' || cat === 'podcast';
-}
-
-function getDomain(doc) {
-  try {
-    return new URL(doc.url || '').hostname.replace(/^www\./, '');
-  } catch (_) {
-    return 'unknown';
-  }
-}
-
-function isNewsletterWrapperDoc(doc) {
-  try {
-    const u = new URL(doc.url || '');
-    const host = u.hostname.replace(/^www\./, '');
-    const path = u.pathname || '/';
-
-    if (host === 'thebrowser.com' || host === 'browsermedia.news') return true;
-    if (host === 'nextdraft.com') return true;
-    if (host === 'managingeditor.substack.com') return true;
-    if (host === 'longreads.com' && /^\/newsletters\//i.test(path)) return true;
-
-    return false;
-  } catch (_) {
-    return false;
-  }
-}
-
-// ─── Scoring ─────────────────────────────────────────────────────────────────
-
-function scoreDoc(doc) {
-  let score = 0;
-  const breakdown = [];
-  const title = (doc.title || '').toLowerCase();
-  const category = (doc.category || 'article').toLowerCase();
-  const summary = doc.summary || '';
-  const url = doc.url || '';
-  const readingProgress = doc.reading_progress || 0;
-  const wordCount = doc.word_count || 0;
-  const savedAt = doc.saved_at || doc.created_at;
-
-  // --- Category (0-30 pts) ---
-  let catScore = 0;
-  if (category === 'article') catScore = 30;
-  else if (category === 'pdf') catScore = 20;
-  else if (category === 'tweet') {
-    const isThread = title.includes('🧵') || title.includes('thread') || wordCount > 200;
-    catScore = isThread ? 20 : 5;
-  } else if (category === 'email') catScore = 5;
-  else catScore = 10; // video, podcast, etc.
-  score += catScore;
-  breakdown.push(`category(${category}): +${catScore}`);
-
-  // --- Summary quality (0-35 pts) ---
-  let summaryScore = 0;
-  if (summary.length > 100) {
-    summaryScore += 15;
-    if (summary.length > 300) { summaryScore += 5; breakdown.push('summary_long: +5'); }
-    const dataSignals = ['%', '$', 'study', 'research', 'found that', 'according to',
-      'survey', 'data shows', 'report', 'analysis'];
-    if (dataSignals.some(s => summary.toLowerCase().includes(s))) {
-      summaryScore += 5;
-      breakdown.push('summary_data_signals: +5');
-    }
-    const titleWords = (doc.title || '').toLowerCase().split(/\s+/).filter(w => w.length > 4);
-    const summaryLower = summary.toLowerCase();
-    const overlapRatio = titleWords.length > 0
-      ? titleWords.filter(w => summaryLower.includes(w)).length / titleWords.length
-      : 1;
-    if (overlapRatio < 0.4) { summaryScore += 5; breakdown.push('summary_non_redundant: +5'); }
-    if (/[""\u201C\u201D].{20,}[""\u201C\u201D]/.test(summary)) {
-      summaryScore += 5;
-      breakdown.push('summary_has_quote: +5');
-    }
-    const summarySpam = ['this newsletter', "this week's edition", 'roundup of',
-      'this issue', 'links this week', 'curated links'];
-    if (summarySpam.some(s => summary.toLowerCase().includes(s))) {
-      summaryScore -= 10;
-      breakdown.push('summary_spam: -10');
-    }
-  }
-
-  // Writing fuel signal (+5): suggests an angle worth thinking/blogging about
-  const writingFuelSignals = ['argues that', 'counterintuitive', 'most people',
-    'the real reason', 'unpopular opinion', 'this changes', 'what nobody',
-    'the problem with', 'case for', 'case against', 'why most', 'overlooked'];
-  if (writingFuelSignals.some(s => (summary + title).toLowerCase().includes(s))) {
-    summaryScore += 5;
-    breakdown.push('writing_fuel: +5');
-  }
-
-  score += summaryScore;
-  breakdown.push(`summary_base: +${Math.min(summaryScore, 15)}`);
-
-  // --- Recency (0-20 pts) ---
-  let recencyScore = 0;
-  if (savedAt) {
-    const daysSaved = Math.floor((Date.now() - new Date(savedAt)) / (1000 * 60 * 60 * 24));
-    if (daysSaved <= 7) recencyScore = 20;
-    else if (daysSaved <= 14) recencyScore = 15;
-    else if (daysSaved <= 30) recencyScore = 10;
-    else if (daysSaved <= 60) recencyScore = 5;
-    score += recencyScore;
-    breakdown.push(`recency(${daysSaved}d): +${recencyScore}`);
-  }
-
-  // --- Reading progress (0-15 pts) ---
-  let progressScore = 0;
-  const pct = readingProgress * 100;
-  if (pct > 0 && pct < 90) progressScore = 15;
-  else if (pct === 0) progressScore = 5;
-  score += progressScore;
-  breakdown.push(`progress(${Math.round(pct)}%): +${progressScore}`);
-
-  // --- Spam title penalty (-30 pts) ---
-  if (SPAM_TITLE_SIGNALS.some(s => title.includes(s))) {
-    score -= 30;
-    breakdown.push('spam_title: -30');
-  }
-
-  // --- Newsletter wrapper penalty (hard block) ---
-  if (isNewsletterWrapperDoc(doc)) {
-    score -= 100;
-    breakdown.push('newsletter_wrapper: -100');
-  }
-
-  // --- Domain boost (+15 pts) ---
-  try {
-    const hostname = new URL(url).hostname.replace(/^www\./, '');
-    if (TRUSTED_DOMAINS.some(d => hostname === d || hostname.endsWith('.' + d))) {
-      score += 15;
-      breakdown.push(`trusted_domain(${hostname}): +15`);
-    }
-  } catch (_) {}
-
-  return { score, breakdown, shortlist: score >= SHORTLIST_THRESHOLD };
-}
-
-// ─── Notes ───────────────────────────────────────────────────────────────────
-
-function humanizeShortlistReason(score, breakdown, decayApplied) {
-  const reasons = [];
-
-  const category = breakdown.find((b) => b.startsWith('category('));
-  if (category?.includes('article')) reasons.push('it\'s a full article');
-  else if (category?.includes('email')) reasons.push('it looks like a high-signal newsletter');
-  else if (category?.includes('tweet')) reasons.push('it looks like a worthwhile thread or tweet');
-  else if (category?.includes('video')) reasons.push('it\'s a video that scored unusually well');
-  else if (category?.includes('pdf')) reasons.push('it\'s a document worth your time');
-
-  const recency = breakdown.find((b) => b.startsWith('recency('));
-  if (recency) {
-    const m = recency.match(/recency\((\d+)d\)/);
-    if (m) {
-      const days = Number(m[1]);
-      if (days <= 3) reasons.push('it\'s very recent');
-      else if (days <= 7) reasons.push('it\'s still fresh');
-      else reasons.push('it\'s older but still worth surfacing');
-    }
-  }
-
-  if (breakdown.some((b) => b.startsWith('trusted_domain('))) {
-    reasons.push('it came from a source worth paying attention to');
-  }
-
-  if (breakdown.some((b) => b.includes('writing_fuel'))) {
-    reasons.push('the angle seems worth thinking about');
-  } else if (breakdown.some((b) => b.startsWith('summary_base'))) {
-    reasons.push('the summary suggests there\'s real substance here');
-  }
-
-  if (breakdown.some((b) => b.includes('newsletter_wrapper'))) {
-    reasons.push('it is probably a newsletter wrapper, not the real article');
-  }
-
-  const cleanReasons = [...new Set(reasons)].slice(0, 3);
-  const why = cleanReasons.length
-    ? cleanReasons.join(', ')
-    : 'it scored well across freshness, substance, and source quality';
-
-  const suffix = decayApplied ? ' (survived decay — still worth opening)' : '';
-  return `Worth reading soon: ${why}. Score: ${score}.${suffix}`;
-}
-
-// ─── API helpers ──────────────────────────────────────────────────────────────
-
-async function moveToShortlist(docId, score, breakdown, decayApplied = false) {
-  const note = humanizeShortlistReason(score, breakdown, decayApplied);
-  await apiRequest(`/update/${docId}/`, {
-    method: 'PATCH',
-    body: JSON.stringify({ location: 'shortlist', notes: note }),
+    fail(err.message);
+  }
+  process.exit(0);
+}
+
+// Every command's options are checked before any of them runs
+let steps;
+try {
+  steps = cli.commands.map(({ name, flags, args }) => ({ name, args, ...resolveOptions(COMMANDS[name].options, flags, { config }) }));
+} catch (err) {
+  fail(err.message);
+}
+const commandLine = steps.map(step => step.name).join(' ');
+
+// `plan <command>...` runs the commands with every change recorded to a plan
+// file instead of made; `apply` makes them later
+const planStep = steps[0].name === 'plan' ? steps.shift() : null;
+const planning = Boolean(planStep);
+if (planning && dryRun) fail('--dry-run does nothing with plan: a plan run never changes Reader');
+
+// ─── Transport ───────────────────────────────────────────────────────────────
+
+const TRANSPORT_MODE = options.transport;
+const FIXTURES_DIR = resolve(options.fixtures || join(__dirname, 'fixtures', 'recorded'));
+
+let transport;
+try {
+  transport = createTransport({ mode: TRANSPORT_MODE, fixturesDir: FIXTURES_DIR });
+} catch (err) {
+  fail(err.message);
+}
+
+// ─── Context ─────────────────────────────────────────────────────────────────
+
+// Replayed fixtures never saw real credentials, so none are needed to serve them
+const token = process.env.READWISE_TOKEN || (TRANSPORT_MODE === 'replay' ? 'replay' : '');
+// `profiles` only looks at local files
+if (!token && steps.some(step => step.name !== 'profiles')) fail('READWISE_TOKEN environment variable is required');
+const AGENTMAIL_API_KEY = process.env.AGENTMAIL_API_KEY || (TRANSPORT_MODE === 'replay' ? 'replay' : '');
+
+// With --report, stdout carries only the report
+const logger = createConsoleLogger({ verbose, stderr: Boolean(reportFormat) });
+const journal = createJournal({ file: JOURNAL_FILE, clock: systemClock, logger });
+const report = createRunReport({ runId: journal.runId, command: commandLine, dryRun: dryRun || planning, clock: systemClock });
+const cache = createFileCache(CACHE_FILE, { load: !noCache, persist: !dryRun && !noCache && !planning });
+// Dashboard decisions are meant to be committed, so they live beside the config
+let decisions;
+try {
+  decisions = createFileDecisions(resolve(configDir, config.review.decisionsFile), { persist: !dryRun && !planning });
+} catch (err) {
+  fail(err.message);
+}
+// A plan run saves its cache changes in the plan, for apply to save
+const planStartState = planning ? structuredClone(cache.data) : null;
+// Recorded and replayed runs always list in full, so fixtures don't depend on mirror state
+const mirror = TRANSPORT_MODE === 'live'
+  ? createFileMirror(MIRROR_FILE, { load: !fullResync })
+  : createMemoryMirror();
+
+// Replayed responses (including recorded 429s) are served without pacing or waiting
+const replayTiming = TRANSPORT_MODE === 'replay' ? { limits: {}, sleep: async () => {} } : {};
+
+// A plan run only warns over a cap; apply is where it counts
+const guardrails = createGuardrails({ config, confirm, dryRun: dryRun || planning, logger });
+const planner = planning ? createPlanRecorder({ clock: systemClock }) : null;
+
+const readerClient = createReaderClient({
+  token,
+  apiBase: process.env.READWISE_API_BASE || config.readwise.apiBase,
+  transport,
+  journal,
+  logger,
+  mirror,
+  clock: systemClock,
+  limiter: createReaderRateLimiter(config.readwise, { logger, ...replayTiming }),
+});
+// Guardrails outermost: a change over a cap is refused before it is recorded.
+// The planner innermost, so planned changes are reported like made ones.
+const reader = guardrails.observeReader(report.observeReader(planner ? planner.observeReader(readerClient) : readerClient));
+
+const agentMailClient = AGENTMAIL_API_KEY
+  ? createAgentMailClient({
+    apiKey: AGENTMAIL_API_KEY,
+    apiBase: process.env.AGENTMAIL_API_BASE || config.agentmail.apiBase,
+    inboxId: config.agentmail.inboxId,
+    transport,
+    limiter: createRateLimiter({ retry: config.readwise.retry, logger, ...replayTiming }),
+  })
+  : null;
+const agentMail = planner ? planner.observeAgentMail(agentMailClient) : agentMailClient;
+
+const feedClient = createFeedClient({
+  transport,
+  timeoutMs: config.ingest.feedTimeoutMs,
+  limiter: createRateLimiter({ retry: config.readwise.retry, logger, ...replayTiming }),
+});
+
+// Opt-in (--resolve-redirects): following trackers means requests to third-party sites
+function createIngestRedirectResolver() {
+  return createRedirectResolver({
+    cache,
+    transport,
+    trackerPatterns: config.ingest.redirects.trackerPatterns,
+    maxHops: config.ingest.redirects.maxHops,
+    timeoutMs: config.ingest.redirects.timeoutMs,
+    limiter: createRateLimiter({ retry: { ...config.readwise.retry, maxRetries: 1 }, logger, ...replayTiming }),
+    clock: systemClock,
+    logger,
   });
 }
 
-async function demoteFromShortlist(docId) {
-  await apiRequest(`/update/${docId}/`, {
-    method: 'PATCH',
-    body: JSON.stringify({ location: 'later' }),
-  });
-}
+// Live, non-dry runs only: recorded fixtures must not capture webhook URLs,
+// and replayed, dry or plan runs changed nothing worth announcing
+const notifier = TRANSPORT_MODE === 'live' && !dryRun && !planning
+  ? createNotifier({
+    webhooks: config.notify.webhooks,
+    timeoutMs: config.notify.timeoutMs,
+    limiter: createRateLimiter({ retry: { ...config.readwise.retry, maxRetries: 2 }, logger }),
+    logger,
+  })
+  : null;
 
-async function addLibraryTag(doc) {
-  // Use PATCH /update/ with the doc's id — no risk of re-saving archived items to Later
-  if (!doc.id) return;
-  await apiRequest(`/update/${doc.id}/`, {
-    method: 'PATCH',
-    body: JSON.stringify({ tags: { library: { name: 'library' } } }),
-  });
+let profiles;
+try {
+  const profilesDir = config.profilesDir && resolve(configDir, config.profilesDir);
+  profiles = await loadNewsletterProfiles({ dirs: profilesDir ? [profilesDir] : [] });
+} catch (err) {
+  fail(err.message);
 }
 
-// ─── Shortlisting v2 ─────────────────────────────────────────────────────────
-
-async function runShortlisting() {
-  console.log('='.repeat(60));
-  console.log('SHORTLIST v2');
-  console.log(`Cap: ${SHORTLIST_CAP} | Threshold: ${SHORTLIST_THRESHOLD} | Decay: ${SHORTLIST_DECAY_DAYS}d → -${SHORTLIST_DECAY_PENALTY}pts`);
-  console.log('='.repeat(60));
-  console.log('');
-
-  // 1. Fetch current Shortlist items
-  console.log('Fetching current Shortlist...');
-  const currentShortlist = await fetchDocuments('shortlist');
-  console.log(`  ${currentShortlist.length} items currently in Shortlist`);
-
-  // Score existing Shortlist items; apply decay if untouched
-  const currentScored = currentShortlist.map(doc => {
-    const { score, breakdown } = scoreDoc(doc);
-    const lastTouched = doc.last_opened_at || doc.updated_at || doc.saved_at;
-    let effectiveScore = score;
-    let decayApplied = false;
-    if (lastTouched) {
-      const daysSince = Math.floor((Date.now() - new Date(lastTouched)) / (1000 * 60 * 60 * 24));
-      if (daysSince >= SHORTLIST_DECAY_DAYS) {
-        effectiveScore -= SHORTLIST_DECAY_PENALTY;
-        decayApplied = true;
-        log(`  [DECAY -${SHORTLIST_DECAY_PENALTY}] ${doc.title || doc.url} (${daysSince}d untouched)`);
-      }
-    }
-    return { doc, score, effectiveScore, breakdown, inShortlist: true, decayApplied };
-  });
-
-  // 2. Fetch Later docs — only items saved/updated since last run
-  const lastRun = cache.lastShortlistRun ? new Date(cache.lastShortlistRun) : null;
-  const sinceLabel = lastRun ? lastRun.toISOString().split('T')[0] : 'all time';
-  console.log(`\nFetching Later (changed since ${sinceLabel})...`);
-  const allLaterDocs = await fetchDocuments('later');
-  // Filter to items that are new or updated since last run
-  const laterDocs = lastRun
-    ? allLaterDocs.filter(doc => {
-        const ts = doc.updated_at || doc.saved_at || doc.created_at;
-        return ts && new Date(ts) > lastRun;
-      })
-    : allLaterDocs;
-  console.log(`  ${laterDocs.length} new/updated items in Later (${allLaterDocs.length} total)`);
-  // Save timestamp for next run
-  if (!dryRun) { cache.lastShortlistRun = new Date().toISOString(); saveCache(cache); }
+const ctx = { reader, agentMail, feedClient, journal, config, clock: systemClock, cache, decisions, logger, dryRun, profiles, guardrails };
 
-  // 3. Filter library candidates and score the rest
-  const libraryCandidates = [];
-  const laterCandidates = [];
-
-  for (const doc of laterDocs) {
-    if (isNewsletterWrapperDoc(doc)) {
-      log(`  [WRAPPER skip] ${doc.title || doc.url}`);
-      continue;
-    }
-    if (isLibraryContent(doc)) {
-      libraryCandidates.push(doc);
-      continue;
-    }
-    const { score, breakdown } = scoreDoc(doc);
-    const threshold = isHeavyFormat(doc)
-      ? SHORTLIST_THRESHOLD + VIDEO_PDF_EXTRA
-      : SHORTLIST_THRESHOLD;
-    if (score >= threshold) {
-      laterCandidates.push({ doc, score, effectiveScore: score, breakdown, inShortlist: false, decayApplied: false });
-    }
-  }
-
-  console.log(`\n  Library candidates (will be tagged, not shortlisted): ${libraryCandidates.length}`);
-  console.log(`  Later candidates above threshold: ${laterCandidates.length}`);
-
-  // 4. Tag library content
-  let libTagged = 0;
-  for (const doc of libraryCandidates) {
-    log(`  [LIBRARY] ${doc.title || doc.url}`);
-    if (!dryRun) {
-      try {
-        await delay(DELAY_MS);
-        await addLibraryTag(doc);
-        libTagged++;
-      } catch (e) {
-        log(`    library tag failed: ${e.message}`);
-      }
-    } else {
-      libTagged++;
-    }
+// ingest --source replaces config ingest.sources
+function ingestSources(sourceArgs) {
+  let specs;
+  try {
+    specs = sourceArgs
+      ? sourceArgs.map(parseSourceSpec)
+      : config.ingest.sources.map(spec => (
+        spec.path ? { ...spec, path: resolve(configDir, spec.path) } : spec
+      ));
+  } catch (err) {
+    fail(err.message);
   }
-  console.log(`  Library tagged: ${libTagged}`);
-
-  // 5. Diversity filter on Later candidates (max 2 per domain, max 2 per cluster)
-  const domainCounts = {};
-  const clusterCounts = {};
-  const diversified = [];
-
-  laterCandidates.sort((a, b) => b.effectiveScore - a.effectiveScore);
-
-  for (const c of laterCandidates) {
-    const domain = getDomain(c.doc);
-    const cluster = detectCluster(c.doc);
-
-    domainCounts[domain] = (domainCounts[domain] || 0) + 1;
-    clusterCounts[cluster] = (clusterCounts[cluster] || 0) + 1;
-
-    if (domainCounts[domain] > 2) {
-      log(`  [DIVERSITY skip domain=${domain}] ${c.doc.title}`);
+  const sources = [];
+  for (const spec of specs) {
+    if (spec.type === 'agentmail' && !agentMail) {
+      console.error('AGENTMAIL_API_KEY not set — skipping AgentMail ingestion');
       continue;
     }
-    if (cluster !== 'other' && clusterCounts[cluster] > 2) {
-      log(`  [DIVERSITY skip cluster=${cluster}] ${c.doc.title}`);
-      continue;
-    }
-
-    diversified.push(c);
-  }
-
-  console.log(`  After diversity filter: ${diversified.length} Later candidates`);
-
-  // 6. Merge and rank — pick top SHORTLIST_CAP
-  const allCandidates = [...currentScored, ...diversified];
-  allCandidates.sort((a, b) => b.effectiveScore - a.effectiveScore);
-
-  const winners = allCandidates.slice(0, SHORTLIST_CAP);
-  const winnerIds = new Set(winners.map(c => c.doc.id));
-
-  // 7. Demote Shortlist items that didn't survive
-  const toDemote = currentScored.filter(c => !winnerIds.has(c.doc.id));
-  // 8. Promote new items from Later
-  const toPromote = diversified.filter(c => winnerIds.has(c.doc.id));
-
-  console.log(`\nShortlist changes:`);
-  console.log(`  Keeping in Shortlist: ${currentScored.length - toDemote.length}`);
-  console.log(`  Demoting back to Later: ${toDemote.length}`);
-  console.log(`  Promoting from Later: ${toPromote.length}`);
-  console.log(`  Final Shortlist size: ${winners.length}`);
-
-  // Execute demotions
-  let demoted = 0;
-  for (const c of toDemote) {
-    log(`  [DEMOTE] ${c.doc.title || c.doc.url} (score: ${c.effectiveScore})`);
-    if (!dryRun) {
-      await delay(DELAY_MS);
-      try {
-        await demoteFromShortlist(c.doc.id);
-        demoted++;
-      } catch (e) {
-        log(`    demote failed: ${e.message}`);
-      }
-    } else {
-      demoted++;
-    }
-  }
-
-  // Execute promotions
-  let promoted = 0;
-  let promoteFailed = 0;
-  for (const c of toPromote) {
-    log(`  [PROMOTE] [${c.effectiveScore}] ${c.doc.title || c.doc.url}`);
-    if (!dryRun) {
-      await delay(DELAY_MS);
-      try {
-        await moveToShortlist(c.doc.id, c.score, c.breakdown, c.decayApplied);
-        promoted++;
-      } catch (e) {
-        promoteFailed++;
-        log(`    promote failed: ${e.message}`);
-      }
-    } else {
-      promoted++;
+    try {
+      sources.push(createIngestSource(spec, { agentMail, cache, clock: systemClock }));
+    } catch (err) {
+      fail(err.message);
     }
   }
-
-  console.log('\n' + '='.repeat(60));
-  console.log(`${dryRun ? '[DRY RUN] ' : ''}Promoted: ${promoted} | Demoted: ${demoted} | Library: ${libTagged} | Failed: ${promoteFailed}`);
-
-  // Print final shortlist
-  console.log('\nFinal Shortlist (projected):');
-  winners.forEach(c => {
-    const flag = c.inShortlist ? (c.decayApplied ? '↩' : '✓') : '↑';
-    console.log(`  ${flag} [${c.effectiveScore}] ${c.doc.title || c.doc.url}`);
-  });
-  console.log('='.repeat(60));
+  return sources;
 }
 
-const limitArg = args.find(a => a.startsWith('--limit='));
-const limit = limitArg ? parseInt(limitArg.split('=')[1], 10) : null;
-const sinceArg = args.find(a => a.startsWith('--since='));
-const sinceDays = sinceArg ? parseInt(sinceArg.split('=')[1], 10) : null;
-
-// Cache functions
-function loadCache() {
-  if (noCache || !existsSync(CACHE_FILE)) return { processed: {} };
+// ingest --opml overrides config ingest.opml, which is relative to the config file
+function feedSubscriptions(step) {
+  const opml = step.values.opml;
+  const file = opml && resolve(step.from.opml === 'config' ? configDir : process.cwd(), opml);
+  if (!file) fail('Feed ingestion needs an OPML file: set ingest.opml in the config file or pass ingest --opml=<file>');
+  if (!existsSync(file)) fail(`OPML file not found: ${file}`);
   try {
-    return JSON.parse(readFileSync(CACHE_FILE, 'utf8'));
-  } catch {
-    return { processed: {} };
-  }
-}
-function saveCache(cache) {
-  if (dryRun || noCache) return;
-  writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
-}
-const cache = loadCache();
-
-// Get token from environment
-const token = process.env.READWISE_TOKEN;
-if (!token) {
-  console.error('Error: READWISE_TOKEN environment variable is required');
-  process.exit(1);
-}
-
-let stats = {
-  total: 0,
-  promoted: [],
-  archivedNoRead: [],
-  archivedNoSummary: [],
-  skippedNoRead: [],
-  skippedNoSummary: [],
-  skippedCached: 0,
-  skippedTooOld: 0,
-};
-
-function log(message) {
-  if (verbose) console.log(message);
-}
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-async function apiRequest(endpoint, options = {}) {
-  const url = endpoint.startsWith('http') ? endpoint : `${API_BASE}${endpoint}`;
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      'Authorization': `Token ${token}`,
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-  });
-  if (response.status === 429) {
-    const retryAfter = response.headers.get('Retry-After') || 60;
-    console.warn(`Rate limited. Waiting ${retryAfter}s...`);
-    await delay(retryAfter * 1000);
-    return apiRequest(endpoint, options);
+    return parseOpml(readFileSync(file, 'utf8'));
+  } catch (err) {
+    fail(`${file}: ${err.message}`);
   }
-  if (!response.ok) throw new Error(`API error: ${response.status} ${response.statusText}`);
-  return response.json();
-}
-
-async function fetchDocuments(location, maxDocs = null) {
-  const documents = [];
-  let cursor = null;
-  log(`Fetching documents from ${location}...`);
-  do {
-    const endpoint = cursor
-      ? `/list/?location=${location}&pageCursor=${cursor}`
-      : `/list/?location=${location}`;
-    const data = await apiRequest(endpoint);
-    const docs = (data.results || []).filter(
-      doc => doc.category !== 'highlight' && doc.category !== 'note'
-    );
-    documents.push(...docs);
-    cursor = data.nextPageCursor;
-    log(`  Fetched ${docs.length} docs (total: ${documents.length})`);
-    if (maxDocs && documents.length >= maxDocs) break;
-    if (cursor) await delay(DELAY_MS);
-  } while (cursor);
-  return documents;
 }
 
-async function updateDocumentLocation(documentId, location) {
-  await apiRequest(`/update/${documentId}/`, {
-    method: 'PATCH',
-    body: JSON.stringify({ location }),
-  });
-}
-
-function hasReadMarker(doc) {
-  return (doc.summary || '').includes(READ_MARKER) || (doc.notes || '').includes(READ_MARKER);
-}
-function hasSummary(doc) {
-  return (doc.summary || '').length > 0;
-}
-function isWithinDays(doc, days) {
-  if (!days) return true;
-  const docDate = new Date(doc.created_at || doc.updated_at);
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - days);
-  return docDate >= cutoff;
+// What an ingest step reads. Without --newsletters or --feeds it does both,
+// feeds only when an OPML file is configured. Sources and the subscription
+// list are read before any command changes anything.
+function prepareIngest(step) {
+  const { newsletters, feeds, opml } = step.values;
+  const both = !newsletters && !feeds;
+  return {
+    sources: newsletters || both ? ingestSources(step.values.source) : null,
+    feeds: feeds || (both && opml) ? feedSubscriptions(step) : null,
+  };
 }
 
-async function archiveAllLater() {
-  console.log('='.repeat(60));
-  console.log('ARCHIVING ALL LATER ITEMS');
-  console.log('='.repeat(60));
-  const documents = await fetchDocuments('later');
-  console.log(`\nFound ${documents.length} document(s) in Later\n`);
-  let archived = 0;
-  for (const doc of documents) {
-    log(`Archiving: ${doc.title || doc.url}`);
-    if (!dryRun) {
-      await delay(DELAY_MS);
-      await updateDocumentLocation(doc.id, 'archive');
-    }
-    archived++;
-  }
-  console.log(`\n${dryRun ? '[DRY RUN] Would archive' : 'Archived'}: ${archived}`);
-}
+// ─── Report ──────────────────────────────────────────────────────────────────
 
-async function nukeLaterArticles(days) {
-  console.log('='.repeat(60));
-  console.log(`NUKING LATER — archiving everything older than ${days} days`);
-  console.log('='.repeat(60));
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - days);
-  console.log(`Cutoff: ${cutoff.toISOString().split('T')[0]}\n`);
-  const docs = await fetchDocuments('later');
-  let nuked = 0, kept = 0, noDate = 0;
-  for (const doc of docs) {
-    const savedAt = doc.saved_at || doc.created_at;
-    if (!savedAt) { noDate++; continue; }
-    const savedDate = new Date(savedAt);
-    const daysSince = Math.floor((Date.now() - savedDate) / (1000 * 60 * 60 * 24));
-    const tags = Object.keys(doc.tags || {}).map(t => t.toLowerCase());
-    if (tags.includes('shortlist')) { kept++; continue; }
-    if (savedDate < cutoff) {
-      if (!dryRun) {
-        await delay(DELAY_MS);
-        await updateDocumentLocation(doc.id, 'archive');
-      }
-      nuked++;
-    } else {
-      kept++;
+// --report prints to stdout; on GitHub Actions the Markdown is also appended
+// to the job's step summary. Runs that changed nothing and ran no stage
+// (undo listing, explain, profiles, serve) add nothing to the summary.
+function emitReport(finished) {
+  if (reportFormat === 'json') process.stdout.write(JSON.stringify(finished, null, 2) + '\n');
+  if (reportFormat === 'markdown') process.stdout.write(formatReportMarkdown(finished));
+  const summaryFile = process.env.GITHUB_STEP_SUMMARY;
+  if (summaryFile && finished.stages.length > 0) {
+    try {
+      appendFileSync(summaryFile, formatReportMarkdown(finished) + '\n');
+    } catch (err) {
+      console.error(`Could not write the step summary: ${err.message}`);
+    }
+  }
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+// One line per command for the run header
+function describeStep({ name, values, args }) {
+  const details = {
+    feed: [values.limit && `limit ${values.limit}`, values.since && `since ${values.since} days`, values['archive-skipped'] && 'archive skipped'],
+    ingest: [values.newsletters && 'newsletters', values.feeds && 'feeds', values['resolve-redirects'] && 'resolve redirects'],
+    shortlist: [
+      values.budget ? `budget ${values.budget} min` : config.shortlist.budget.enabled ? 'reading budget' : `cap ${config.shortlist.cap}`,
+      `threshold ${config.shortlist.threshold}`,
+    ],
+    nuke: [`>${values.days} days`],
+    prune: [`>${values.days} days`],
+    undo: [values.run],
+    snapshot: [values.out],
+    restore: [values.snapshot],
+    apply: [args[0]],
+    serve: [`${values.host}:${values.port}`],
+  }[name]?.filter(Boolean) ?? [];
+  return details.length > 0 ? `${name} (${details.join(', ')})` : name;
+}
+
+const RUNNERS = {
+  feed: ({ values }) => report.stage('feed', () => processFeed(ctx, {
+    limit: values.limit ?? null,
+    sinceDays: values.since ?? null,
+    archiveSkipped: values['archive-skipped'] ?? false,
+  })),
+  ingest: async ({ values, prepared }) => {
+    const ingestCtx = { ...ctx, redirectResolver: values['resolve-redirects'] ? createIngestRedirectResolver() : null };
+    if (prepared.sources?.length > 0) {
+      await report.stage('ingest-newsletters', () => ingestNewsletterEmails(ingestCtx, { sources: prepared.sources }));
+    }
+    if (prepared.feeds) {
+      if (prepared.sources?.length > 0) logger.info('');
+      await report.stage('ingest-feeds', () => ingestFeeds(ingestCtx, { feeds: prepared.feeds }));
     }
-    if ((nuked + kept) % 50 === 0) console.log(`  Progress: ${nuked} archived, ${kept} kept...`);
-  }
-  console.log(`\n${dryRun ? '[DRY RUN] Would archive' : 'Archived'}: ${nuked} | Kept: ${kept} | No date: ${noDate}`);
-}
-
-async function processFeed() {
-  console.log('='.repeat(60));
-  console.log('PROCESSING FEED');
-  console.log('='.repeat(60));
-  if (sinceDays) console.log(`Filtering to last ${sinceDays} days`);
-  let documents = await fetchDocuments('feed', limit);
-  stats.total = documents.length;
-  if (limit) documents = documents.slice(0, limit);
-  console.log(`\nFound ${documents.length} document(s) in Feed\n`);
-  if (documents.length === 0) { console.log('Nothing to process.'); return; }
+  },
+  shortlist: ({ values }) => report.stage('shortlist', () => runShortlisting(ctx, { budget: values.budget ?? null })),
+  nuke: ({ values }) => report.stage('nuke-later', () => nukeLaterArticles(ctx, { days: values.days })),
+  prune: ({ values }) => report.stage('prune-stale', () => pruneStaleArticles(ctx, { days: values.days })),
+  'archive-later': () => report.stage('archive-later', () => archiveAllLater(ctx)),
+  dedupe: () => report.stage('dedupe', () => dedupeDocuments(ctx)),
+  digest: ({ values }) => report.stage('digest', () => sendShortlistDigest(ctx, { to: values.to })),
+  snapshot: ({ values }) => report.stage('snapshot', () => takeSnapshot(ctx, {
+    file: values.out ? resolve(values.out) : join(SNAPSHOT_DIR, `snapshot-${journal.runId}.json`),
+    runId: journal.runId,
+  })),
+  restore: ({ values }) => (values.snapshot
+    ? report.stage('restore', () => restoreSnapshot(ctx, { file: resolve(values.snapshot) }))
+    : printSnapshots(ctx, { dir: SNAPSHOT_DIR })),
+  apply: ({ args }) => report.stage('apply', () => applyPlan(ctx, { file: resolve(args[0]) })),
+  undo: ({ values }) => (values.run ? report.stage('undo', () => undoRun(ctx, values.run)) : printJournalRuns(ctx)),
+  explain: ({ args }) => explainDocument(ctx, { target: args[0] }),
+  affinity: () => printAffinity(ctx),
+  // Runs until Ctrl-C (or SIGTERM), then lets the run finish as usual
+  serve: async ({ values }) => {
+    const dashboard = await startDashboard(ctx, { host: values.host, port: values.port });
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    await dashboard.close();
+    logger.info('\nDashboard stopped.');
+  },
+  profiles: ({ args: [action, file], values }) => {
+    if (!action) return printNewsletterProfiles(ctx);
+    if (!file) throw new Error('Usage: profiles [test <eml-file>]');
+    return testNewsletterProfile({ ...ctx, redirectResolver: values['resolve-redirects'] ? createIngestRedirectResolver() : null }, { file });
+  },
+};
 
-  for (const doc of documents) {
-    const title = doc.title || doc.url || `ID: ${doc.id}`;
-    const docId = doc.id;
-    if (sinceDays && !isWithinDays(doc, sinceDays)) { stats.skippedTooOld++; continue; }
-    if (cache.processed[docId]) { stats.skippedCached++; continue; }
-    log(`\nProcessing: ${title}`);
-    if (!hasSummary(doc)) {
-      if (archiveSkipped) {
-        if (!dryRun) { await delay(DELAY_MS); await updateDocumentLocation(docId, 'archive'); }
-        stats.archivedNoSummary.push(title);
-        cache.processed[docId] = { archived: true };
-      } else {
-        stats.skippedNoSummary.push(title);
-      }
-      continue;
-    }
-    if (hasReadMarker(doc)) {
-      if (!dryRun) { await delay(DELAY_MS); await updateDocumentLocation(docId, 'later'); }
-      stats.promoted.push(title);
-      cache.processed[docId] = { promoted: true };
-    } else {
-      if (archiveSkipped) {
-        if (!dryRun) { await delay(DELAY_MS); await updateDocumentLocation(docId, 'archive'); }
-        stats.archivedNoRead.push(title);
-        cache.processed[docId] = { archived: true };
-      } else {
-        stats.skippedNoRead.push(title);
-        cache.processed[docId] = { promoted: false };
-      }
-    }
-  }
-  saveCache(cache);
-  printSummary();
-}
+// Live runs save where everything was before the first command that moves
+// documents. Recorded and replayed runs skip it, so fixtures stay as they were.
+const autoSnapshot = config.snapshot.auto && !dryRun && !planning && TRANSPORT_MODE === 'live'
+  && steps.some(step => COMMANDS[step.name].snapshotFirst);
 
-function printSummary() {
-  console.log('\n' + '='.repeat(60));
-  console.log('SUMMARY');
-  console.log('='.repeat(60));
-  if (dryRun) console.log('(DRY RUN - no changes made)\n');
-  console.log(`Total documents checked: ${stats.total}`);
-  console.log(`\nPromoted to Later (${stats.promoted.length}):`);
-  stats.promoted.length ? stats.promoted.forEach(t => console.log(`  - ${t}`)) : console.log('  (none)');
-  if (stats.archivedNoRead.length > 0) {
-    console.log(`\nArchived - no READ marker (${stats.archivedNoRead.length}):`);
-    stats.archivedNoRead.slice(0, 10).forEach(t => console.log(`  - ${t}`));
-    if (stats.archivedNoRead.length > 10) console.log(`  ... and ${stats.archivedNoRead.length - 10} more`);
-  }
-  if (stats.archivedNoSummary.length > 0) {
-    console.log(`\nArchived - no summary (${stats.archivedNoSummary.length}):`);
-    stats.archivedNoSummary.slice(0, 10).forEach(t => console.log(`  - ${t}`));
-  }
-  if (stats.skippedNoRead.length > 0) {
-    console.log(`\nSkipped - has summary, no READ marker (${stats.skippedNoRead.length}):`);
-    stats.skippedNoRead.forEach(t => console.log(`  - ${t}`));
-  }
-  if (stats.skippedNoSummary.length > 0) {
-    console.log(`\nSkipped - no summary yet (${stats.skippedNoSummary.length}):`);
-    stats.skippedNoSummary.forEach(t => console.log(`  - ${t}`));
-  }
-  if (stats.skippedTooOld > 0) console.log(`\nSkipped - older than ${sinceDays} days: ${stats.skippedTooOld}`);
-  if (stats.skippedCached > 0) console.log(`\nSkipped - cached: ${stats.skippedCached}`);
-  if (stats.pruned?.length > 0) {
-    console.log(`\nPruned - stale (${stats.pruned.length}):`);
-    stats.pruned.slice(0, 10).forEach(t => console.log(`  - ${t}`));
-    if (stats.pruned.length > 10) console.log(`  ... and ${stats.pruned.length - 10} more`);
-  }
-  console.log('\n' + '='.repeat(60));
+async function takeAutoSnapshot() {
+  const file = join(SNAPSHOT_DIR, `auto-${journal.runId}.json`);
+  await report.stage('snapshot', () => takeSnapshot(ctx, { file, runId: journal.runId }));
+  const removed = rotateSnapshots(SNAPSHOT_DIR, { prefix: 'auto-', keep: config.snapshot.keep });
+  if (removed.length > 0) logger.verbose(`Removed ${removed.length} old snapshot(s)`);
+  logger.info('');
 }
 
-async function pruneStaleArticles(days) {
-  console.log('='.repeat(60));
-  console.log(`PRUNING STALE ARTICLES (not opened in ${days}+ days)`);
-  console.log('='.repeat(60));
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - days);
-  log(`Cutoff date: ${cutoff.toISOString().split('T')[0]}`);
-  const pruned = [];
-  const skipped = [];
-  for (const location of ['feed', 'later']) {
-    const docs = await fetchDocuments(location);
-    log(`\nChecking ${docs.length} doc(s) in ${location}...`);
-    for (const doc of docs) {
-      const title = doc.title || doc.url || `ID: ${doc.id}`;
-      const lastTouched = doc.last_opened_at || doc.created_at;
-      if (!lastTouched) { skipped.push(title); continue; }
-      const lastDate = new Date(lastTouched);
-      const daysSince = Math.floor((Date.now() - lastDate) / (1000 * 60 * 60 * 24));
-      if (lastDate < cutoff) {
-        if (!dryRun) { await delay(DELAY_MS); await updateDocumentLocation(doc.id, 'archive'); }
-        pruned.push(`${title} (${daysSince}d, ${location})`);
-      }
-    }
-  }
-  console.log(`\n${dryRun ? '[DRY RUN] Would prune' : 'Pruned'}: ${pruned.length} stale article(s)`);
-  if (skipped.length > 0) console.log(`Skipped (no date): ${skipped.length}`);
-  return pruned;
+function writeRunPlan(step) {
+  const file = resolve(step.values.out);
+  const state = diffState(planStartState, cache.data);
+  writePlan(file, planner.toPlan({ planId: journal.runId, commands: steps.map(s => s.name).join(' '), state }));
+  logger.info('='.repeat(60));
+  logger.info(`Plan: ${planner.changes.length} change(s) and ${state.length} cache update(s) written to ${file}`);
+  logger.info(`Review it, then: node process-feed.js apply ${step.values.out}`);
+  logger.info('='.repeat(60));
 }
 
 async function main() {
-  console.log('Reader Feed Processor');
-  console.log(`Mode: ${dryRun ? 'DRY RUN' : 'LIVE'}`);
-  console.log(`Verbose: ${verbose ? 'ON' : 'OFF'}`);
-  if (archiveSkipped) console.log('Archive skipped: ON');
-  if (limit) console.log(`Limit: ${limit}`);
-  if (sinceDays) console.log(`Since: ${sinceDays} days`);
-  if (pruneStale) console.log(`Prune stale: ON (>${staleDays} days)`);
-  if (nukeLater) console.log(`Nuke Later: ON (>${nukeDays} days)`);
-  if (scoreShortlist) console.log(`Shortlist: ON (cap: ${SHORTLIST_CAP}, threshold: ${SHORTLIST_THRESHOLD})`);
-  console.log('');
+  let runError = null;
+  logger.info('Reader Feed Processor');
+  logger.info(`Mode: ${planning ? 'PLAN' : dryRun ? 'DRY RUN' : 'LIVE'}`);
+  logger.info(`Verbose: ${verbose ? 'ON' : 'OFF'}`);
+  logger.info(`Run: ${journal.runId}`);
+  if (TRANSPORT_MODE !== 'live') logger.info(`Transport: ${TRANSPORT_MODE.toUpperCase()} (${FIXTURES_DIR})`);
+  if (configPath) logger.info(`Config: ${configPath}`);
+  if (fullResync) logger.info('Full resync: ON');
+  if (planStep) logger.info(`Plan: ${resolve(planStep.values.out)}`);
+  if (autoSnapshot) logger.info(`Snapshot: before changes, keeping ${config.snapshot.keep} in ${SNAPSHOT_DIR}`);
+  logger.info(`Guardrails: ${config.guardrails.maxChangesPerRun} change(s) per run${confirm ? `, --confirm=${confirm}` : ''}`);
+  if (notifier?.webhooks.length) logger.info(`Notify: ${notifier.webhooks.map(hook => `${hook.name} (${hook.on})`).join(', ')}`);
+  logger.info(`Commands: ${steps.map(describeStep).join(' → ')}`);
+  if (cli.legacy) logger.warn(`Flag-only runs are deprecated. Use commands instead: ${cli.equivalent}`);
+  logger.info('');
 
   try {
-    if (ingestNewsletters) {
-      await ingestNewsletterEmails();
-      console.log('');
-    }
-    if (scoreShortlist) {
-      await runShortlisting();
-      console.log('');
-    }
-    if (nukeLater) {
-      await nukeLaterArticles(nukeDays);
-      console.log('');
-    }
-    if (pruneStale) {
-      const pruned = await pruneStaleArticles(staleDays);
-      stats.pruned = pruned;
-      console.log('');
-    }
-    if (archiveLater) {
-      await archiveAllLater();
-      console.log('');
-    }
-    // Only run feed processing if explicitly needed — don't run unconditionally
-    if (!scoreShortlist && !pruneStale && !nukeLater && !archiveLater && !ingestNewsletters) {
-      await processFeed();
-    } else if (archiveLater) {
-      // already handled above
-    } else {
-      // feed processing is a separate concern; skip unless nothing else was requested
+    for (const step of steps) {
+      if (step.name === 'ingest') step.prepared = prepareIngest(step);
+    }
+    let snapshotTaken = false;
+    for (const step of steps) {
+      if (autoSnapshot && !snapshotTaken && COMMANDS[step.name].snapshotFirst) {
+        await takeAutoSnapshot();
+        snapshotTaken = true;
+      }
+      await RUNNERS[step.name](step);
+      logger.info('');
     }
+    // Only a complete plan is written
+    if (planStep) writeRunPlan(planStep);
   } catch (error) {
     console.error('Error:', error.message);
-    process.exit(1);
+    runError = error.message;
+    process.exitCode = 1;
+  } finally {
+    const finished = report.finish({ error: runError });
+    emitReport(finished);
+    if (notifier) await notifier.notify(finished);
   }
 }
 
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+// Local stand-in for the Readwise Reader v3 and AgentMail v0 APIs, so the
+// whole pipeline (feed, shortlist, prune, ingestion) can run with no network.
+// With --feeds=<dir>, the files in it are served as /feeds/<name> for feed
+// ingestion. The seed's `redirects` ({ id: target }) become click trackers at
+// /track/<id> that answer 302, for --resolve-redirects. POSTs to /hooks/<name>
+// are kept as received webhooks (state.webhooks); /hooks/fail answers 500.
+// Mail sent through AgentMail lands in state.sent.
+//
+//   node tools/standin-server.js --seed=fixtures/standin/seed.json --feeds=fixtures/standin/feeds --page-size=2 --rate-limit-every=7 --error-every=11
+//
+// Then point the processor at it with fixtures/standin/reader.config.json.
+// Dates in the seed may be relative ("-3d", "-12h") to keep runs reproducible.
+
+import { createServer } from 'http';
+import { readFileSync, existsSync } from 'fs';
+import { resolve, join, basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+
+const READER_PREFIX = '/api/v3';
+const AGENTMAIL_PREFIX = '/v0';
+const FEEDS_PREFIX = '/feeds/';
+const TRACKER_PREFIX = '/track/';
+const HOOKS_PREFIX = '/hooks/';
+const FEED_TYPES = { '.xml': 'application/xml', '.rss': 'application/rss+xml', '.atom': 'application/atom+xml', '.json': 'application/feed+json' };
+const DATE_FIELDS = ['saved_at', 'created_at', 'updated_at', 'last_opened_at', 'published_date'];
+
+function resolveDate(value, now) {
+  const m = typeof value === 'string' && value.match(/^-(\d+)([dh])$/);
+  if (!m) return value;
+  const ms = Number(m[1]) * (m[2] === 'd' ? 86400000 : 3600000);
+  return new Date(now - ms).toISOString();
+}
+
+export function createStandinState(seed = {}, now = Date.now()) {
+  const documents = (seed.documents || []).map((doc, i) => {
+    const resolved = { id: `doc-${i + 1}`, category: 'article', tags: {}, notes: '', ...doc };
+    for (const field of DATE_FIELDS) {
+      if (resolved[field]) resolved[field] = resolveDate(resolved[field], now);
+    }
+    resolved.updated_at ||= resolved.saved_at || new Date(now).toISOString();
+    return resolved;
+  });
+  const threads = (seed.threads || []).map((thread, i) => ({
+    thread_id: `thread-${i + 1}`,
+    labels: ['unread'],
+    messages: [],
+    ...thread,
+  }));
+  return { documents, threads, redirects: seed.redirects || {}, webhooks: [], sent: [], requests: 0, nextId: documents.length + 1 };
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+function handleReader(state, { method, path, query, body }, pageSize) {
+  if (method === 'GET' && path === '/list/') {
+    const location = query.get('location');
+    const id = query.get('id');
+    const category = query.get('category');
+    const updatedAfter = query.get('updatedAfter');
+    const matching = state.documents.filter(doc => (
+      (!location || doc.location === location)
+      && (!id || doc.id === id)
+      && (!category || doc.category === category)
+      && (!updatedAfter || doc.updated_at > updatedAfter)
+    ));
+    // Cursors are plain offsets; the real API's are opaque, which the client never relies on
+    const offset = Number(query.get('pageCursor') || 0);
+    const results = matching.slice(offset, offset + pageSize);
+    const next = offset + pageSize < matching.length ? String(offset + pageSize) : null;
+    return [200, { count: matching.length, nextPageCursor: next, results }];
+  }
+
+  const update = path.match(/^\/update\/([^/]+)\/$/);
+  if (method === 'PATCH' && update) {
+    const doc = state.documents.find(d => d.id === update[1]);
+    if (!doc) return [404, { detail: 'Not found.' }];
+    Object.assign(doc, body, { updated_at: new Date().toISOString() });
+    return [200, doc];
+  }
+
+  if (method === 'POST' && path === '/save/') {
+    if (!body.url) return [400, { url: ['This field is required.'] }];
+    const existing = state.documents.find(d => d.url === body.url);
+    if (existing) return [200, { id: existing.id, url: existing.url }];
+    const now = new Date().toISOString();
+    const doc = {
+      id: `doc-${state.nextId++}`,
+      url: body.url,
+      title: body.title || body.url,
+      category: 'article',
+      location: body.location || 'new',
+      tags: {},
+      notes: '',
+      summary: '',
+      saved_at: now,
+      created_at: now,
+      updated_at: now,
+    };
+    state.documents.push(doc);
+    return [201, { id: doc.id, url: doc.url }];
+  }
+
+  return [404, { detail: `Stand-in has no route for ${method} ${path}` }];
+}
+
+function handleAgentMail(state, { method, path, query, body }) {
+  const threadList = path.match(/^\/inboxes\/[^/]+\/threads$/);
+  if (method === 'GET' && threadList) {
+    const labels = query.get('labels');
+    const limit = Number(query.get('limit') || 50);
+    const threads = state.threads
+      .filter(t => !labels || t.labels.includes(labels))
+      .slice(0, limit)
+      .map(({ messages, ...summary }) => summary);
+    return [200, { count: threads.length, threads }];
+  }
+
+  const threadPath = path.match(/^\/inboxes\/[^/]+\/threads\/([^/]+)$/);
+  const thread = threadPath && state.threads.find(t => t.thread_id === threadPath[1]);
+  if (threadPath && !thread) return [404, { message: 'Thread not found' }];
+  if (method === 'GET' && thread) return [200, thread];
+  if (method === 'PATCH' && thread) {
+    if (Array.isArray(body.labels)) thread.labels = body.labels;
+    return [200, thread];
+  }
+
+  // Sent mail is kept in state.sent instead of being delivered
+  const send = path.match(/^\/inboxes\/([^/]+)\/messages\/send$/);
+  if (method === 'POST' && send) {
+    if (!body.to || !body.subject) return [400, { message: 'to and subject are required' }];
+    const message = { message_id: `sent-${state.sent.length + 1}`, thread_id: `sent-thread-${state.sent.length + 1}`, inbox_id: decodeURIComponent(send[1]), ...body };
+    state.sent.push(message);
+    return [200, { message_id: message.message_id, thread_id: message.thread_id }];
+  }
+
+  return [404, { message: `Stand-in has no route for ${method} ${path}` }];
+}
+
+export function startStandinServer({
+  seed = {},
+  port = 8787,
+  pageSize = 100,
+  rateLimitEvery = 0,
+  errorEvery = 0,
+  feedsDir = null,
+  quiet = false,
+} = {}) {
+  const state = createStandinState(seed);
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://standin');
+    const logLine = `${req.method} ${url.pathname}${url.search}`;
+    try {
+      if (url.pathname === '/__state') return sendJson(res, 200, state);
+
+      // The webhook receiver is never throttled, so runs notify deterministically
+      if (url.pathname.startsWith(HOOKS_PREFIX) && req.method === 'POST') {
+        const name = url.pathname.slice(HOOKS_PREFIX.length);
+        const status = name === 'fail' ? 500 : 200;
+        if (status === 200) state.webhooks.push({ name, at: new Date().toISOString(), contentType: req.headers['content-type'] || null, body: await readBody(req) });
+        if (!quiet) console.log(`${status} ${logLine}`);
+        return sendJson(res, status, status === 200 ? { ok: true } : { detail: 'Receiver failure' });
+      }
+
+      state.requests++;
+      if (rateLimitEvery && state.requests % rateLimitEvery === 0) {
+        if (!quiet) console.log(`429 ${logLine}`);
+        return sendJson(res, 429, { detail: 'Request was throttled.' }, { 'Retry-After': '1' });
+      }
+      if (errorEvery && state.requests % errorEvery === 0) {
+        if (!quiet) console.log(`503 ${logLine}`);
+        return sendJson(res, 503, { detail: 'Service temporarily unavailable.' });
+      }
+
+      if (url.pathname.startsWith(FEEDS_PREFIX)) {
+        const file = feedsDir && join(feedsDir, basename(url.pathname));
+        const found = file && existsSync(file);
+        if (!quiet) console.log(`${found ? 200 : 404} ${logLine}`);
+        if (!found) return sendJson(res, 404, { detail: 'No such feed' });
+        res.writeHead(200, { 'Content-Type': FEED_TYPES[extname(file)] || 'text/plain' });
+        return res.end(readFileSync(file));
+      }
+
+      if (url.pathname.startsWith(TRACKER_PREFIX)) {
+        const target = state.redirects[url.pathname.slice(TRACKER_PREFIX.length)];
+        if (!quiet) console.log(`${target ? 302 : 404} ${logLine}`);
+        if (!target) return sendJson(res, 404, { detail: 'Unknown link' });
+        res.writeHead(302, { Location: target });
+        return res.end();
+      }
+
+      const auth = req.headers.authorization || '';
+      const request = { method: req.method, query: url.searchParams, body: await readBody(req) };
+      let status, body;
+      if (url.pathname.startsWith(READER_PREFIX)) {
+        if (!auth.startsWith('Token ')) [status, body] = [401, { detail: 'Invalid token.' }];
+        else [status, body] = handleReader(state, { ...request, path: url.pathname.slice(READER_PREFIX.length) }, pageSize);
+      } else if (url.pathname.startsWith(AGENTMAIL_PREFIX)) {
+        if (!auth.startsWith('Bearer ')) [status, body] = [401, { message: 'Unauthorized' }];
+        else [status, body] = handleAgentMail(state, { ...request, path: url.pathname.slice(AGENTMAIL_PREFIX.length) });
+      } else {
+        [status, body] = [404, { detail: 'Unknown API' }];
+      }
+      if (!quiet) console.log(`${status} ${logLine}`);
+      sendJson(res, status, body);
+    } catch (err) {
+      if (!quiet) console.log(`500 ${logLine} (${err.message})`);
+      sendJson(res, 500, { detail: err.message });
+    }
+  });
+
+  return new Promise(resolveServer => {
+    server.listen(port, '127.0.0.1', () => {
+      const { port: boundPort } = server.address();
+      resolveServer({ server, state, url: `http://127.0.0.1:${boundPort}` });
+    });
+  });
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const argValue = (name, fallback) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : fallback;
+  };
+  const seedPath = argValue('seed', null);
+  const seed = seedPath ? JSON.parse(readFileSync(seedPath, 'utf8')) : {};
+  const { url, state } = await startStandinServer({
+    seed,
+    port: Number(argValue('port', 8787)),
+    pageSize: Number(argValue('page-size', 100)),
+    rateLimitEvery: Number(argValue('rate-limit-every', 0)),
+    errorEvery: Number(argValue('error-every', 0)),
+    feedsDir: argValue('feeds', null),
+  });
+  console.log(`Stand-in API listening on ${url} (${state.documents.length} docs, ${state.threads.length} threads)`);
+  console.log(`  Reader:    ${url}${READER_PREFIX}`);
+  console.log(`  AgentMail: ${url}${AGENTMAIL_PREFIX}`);
+  if (argValue('feeds', null)) console.log(`  Feeds:     ${url}${FEEDS_PREFIX}`);
+  console.log(`  Webhooks:  ${url}${HOOKS_PREFIX}<name>`);
+}